@@ -0,0 +1,197 @@
+/**
+ * Authentication and Permissions
+ *
+ * HTTP clients present a bearer token. Tokens are listed in AUTH.tokensFile,
+ * each with a name, the tools it may call and an optional expiry; a token in
+ * SOLIBRI_MCP_TOKEN has full access. Tokens are compared as SHA-256 digests
+ * in constant time, so the file may hold the digest instead of the token,
+ * and they are never logged in full.
+ *
+ * Permissions are tool names or patterns ("*", "solibri_job_*"); the HTTP
+ * endpoints and MCP resources use the permissions "sessions", "files" and
+ * "resources". Local stdio clients are not authenticated and may call
+ * everything.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+
+const log = logger.create('Auth');
+
+// Identity of requests that did not come through an HTTP transport
+const LOCAL = { name: 'local', tools: ['*'], expires: null };
+
+let fileTokens = [];
+let fileMtime = null;
+let devToken = null;
+
+function digest(token) {
+  return crypto.createHash('sha256').update(String(token), 'utf8').digest();
+}
+
+/**
+ * A token shortened for logs and responses
+ */
+function redact(token) {
+  if (!token) return '';
+  return token.length > 12 ? `${token.slice(0, 4)}****` : '****';
+}
+
+function normalize(entry, i) {
+  const label = `${config.AUTH.tokensFile}: token ${i + 1}`;
+  if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) throw new Error(`${label}: name is required`);
+  if (!entry.token === !entry.sha256) throw new Error(`${label} (${entry.name}): set either token or sha256`);
+  if (entry.sha256 && !/^[0-9a-f]{64}$/i.test(entry.sha256)) throw new Error(`${label} (${entry.name}): sha256 must be 64 hex digits`);
+  if (!Array.isArray(entry.tools) || entry.tools.some((t) => typeof t !== 'string')) {
+    throw new Error(`${label} (${entry.name}): tools must be a list of tool names or patterns (["*"] for all)`);
+  }
+  if (entry.expires && Number.isNaN(Date.parse(entry.expires))) throw new Error(`${label} (${entry.name}): invalid expires date "${entry.expires}"`);
+
+  return {
+    name: entry.name,
+    digest: entry.sha256 ? Buffer.from(entry.sha256, 'hex') : digest(entry.token),
+    tools: entry.tools,
+    expires: entry.expires ? new Date(entry.expires).toISOString() : null,
+  };
+}
+
+/**
+ * Tokens of AUTH.tokensFile, re-read when the file changed. An invalid file
+ * throws when `strict` (at startup); later the previous tokens are kept.
+ */
+function loadFile(strict = false) {
+  const file = config.AUTH.tokensFile;
+  const mtime = fs.existsSync(file) ? fs.statSync(file).mtimeMs : null;
+  if (mtime === fileMtime) return fileTokens;
+
+  try {
+    const entries = mtime === null ? [] : JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(entries)) throw new Error(`${file}: expected a list of tokens`);
+    const tokens = entries.map(normalize);
+    const names = tokens.map((t) => t.name);
+    const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+    if (duplicate) throw new Error(`${file}: duplicate token name "${duplicate}"`);
+
+    fileTokens = tokens;
+    fileMtime = mtime;
+    if (mtime !== null) log.info(`Loaded ${tokens.length} tokens from ${file}`);
+  } catch (error) {
+    if (strict) throw error;
+    log.warning(`Failed to read ${file}, keeping the previous tokens: ${error.message}`);
+  }
+  return fileTokens;
+}
+
+function tokens(strict = false) {
+  const list = [...loadFile(strict)];
+  if (config.SSE.authToken) list.push({ name: 'default', digest: digest(config.SSE.authToken), tools: ['*'], expires: null });
+  if (devToken) list.push({ name: 'dev', digest: digest(devToken), tools: ['*'], expires: null });
+  return list;
+}
+
+/**
+ * Load the tokens before the HTTP transports start. Without any token the
+ * server refuses to start, unless AUTH.devMode is set: then a random
+ * full-access token is created for this process and returned.
+ *
+ * @returns {{ tokens: Array<{ name, tools, expires }>, devToken: string|null }}
+ */
+function init() {
+  const list = tokens(true);
+  if (list.length === 0) {
+    if (!config.AUTH.devMode) {
+      throw new Error(`No auth token configured: set SOLIBRI_MCP_TOKEN or list tokens in ${config.AUTH.tokensFile} (SOLIBRI_MCP_DEV=true starts with a temporary token)`);
+    }
+    devToken = crypto.randomBytes(32).toString('hex');
+  }
+  return { tokens: tokens().map(({ name, tools, expires }) => ({ name, tools, expires })), devToken };
+}
+
+/**
+ * The configured token matching a presented one. Every token is compared so
+ * the time taken does not depend on which one matched.
+ */
+function verify(token) {
+  const presented = digest(token);
+  let match = null;
+  for (const entry of tokens()) {
+    if (crypto.timingSafeEqual(presented, entry.digest) && !match) match = entry;
+  }
+  return match;
+}
+
+/**
+ * Express middleware: require a valid, unexpired bearer token. The identity
+ * is passed on as req.auth, which the MCP transports hand to the server as
+ * authInfo.
+ */
+function authenticate(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Missing authorization header' });
+  }
+  const token = authHeader.substring(7);
+  const entry = verify(token);
+  if (!entry) {
+    log.warning(`Invalid token ${redact(token)} from ${req.ip}`);
+    return res.status(403).json({ error: 'Invalid token' });
+  }
+  if (entry.expires && Date.parse(entry.expires) <= Date.now()) {
+    log.warning(`Expired token "${entry.name}" from ${req.ip}`);
+    return res.status(403).json({ error: `Token "${entry.name}" expired at ${entry.expires}` });
+  }
+
+  req.auth = {
+    token: redact(token),
+    clientId: entry.name,
+    scopes: entry.tools,
+    ...(entry.expires ? { expiresAt: Math.floor(Date.parse(entry.expires) / 1000) } : {}),
+  };
+  next();
+}
+
+/**
+ * Identity of a request from its MCP authInfo (undefined for stdio)
+ */
+function identityOf(authInfo) {
+  if (!authInfo) return LOCAL;
+  return {
+    name: authInfo.clientId,
+    tools: authInfo.scopes || [],
+    expires: authInfo.expiresAt ? new Date(authInfo.expiresAt * 1000).toISOString() : null,
+  };
+}
+
+/**
+ * Whether an identity has a permission (tool name, "sessions", "files" or "resources")
+ */
+function allows(identity, permission) {
+  return identity.tools.some((pattern) => pattern === '*'
+    || pattern === permission
+    || (pattern.endsWith('*') && permission.startsWith(pattern.slice(0, -1))));
+}
+
+/**
+ * Express middleware (after authenticate): require a permission
+ */
+function permit(permission) {
+  return (req, res, next) => {
+    const identity = identityOf(req.auth);
+    if (!allows(identity, permission)) {
+      return res.status(403).json({ error: `Token "${identity.name}" lacks the "${permission}" permission` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  redact,
+  init,
+  verify,
+  authenticate,
+  identityOf,
+  allows,
+  permit,
+};
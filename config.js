@@ -3,21 +3,44 @@
  */
 
 const path = require('path');
-const crypto = require('crypto');
 
-// Generate a default token if not set (for first run)
-const defaultToken = crypto.randomBytes(32).toString('hex');
+// Split a semicolon-separated list of paths from the environment
+function pathList(value) {
+  return (value || '').split(';').map((p) => p.trim()).filter(Boolean);
+}
 
 module.exports = {
   SERVER_NAME: 'solibri-mcp-server',
   SERVER_VERSION: '1.0.0',
 
-  // SSE Server Configuration
+  // MCP transports to serve (comma-separated): streamable-http (/mcp), sse (/sse, deprecated), stdio
+  TRANSPORTS: (process.env.SOLIBRI_MCP_TRANSPORTS || 'streamable-http,sse')
+    .split(',')
+    .map((t) => t.trim())
+    .filter(Boolean),
+
+  // HTTP Server Configuration (Streamable HTTP and SSE transports)
   SSE: {
     port: parseInt(process.env.SOLIBRI_MCP_PORT) || 3000,
     host: process.env.SOLIBRI_MCP_HOST || '0.0.0.0',
-    // Auth token - MUST be set in production
-    authToken: process.env.SOLIBRI_MCP_TOKEN || defaultToken,
+    // Single full-access token (optional when SOLIBRI_MCP_TOKENS_FILE lists tokens)
+    authToken: process.env.SOLIBRI_MCP_TOKEN || null,
+    // Messages kept per Streamable HTTP session for resuming with Last-Event-ID
+    eventHistory: parseInt(process.env.SOLIBRI_MCP_EVENT_HISTORY) || 1000,
+    // Maximum concurrent client sessions (all HTTP transports)
+    maxSessions: parseInt(process.env.SOLIBRI_MCP_MAX_SESSIONS) || 10,
+    // Close sessions idle for longer than this (ms, 0 disables) - default 1 hour
+    sessionIdleTimeout: process.env.SOLIBRI_MCP_SESSION_IDLE_TIMEOUT !== undefined
+      ? parseInt(process.env.SOLIBRI_MCP_SESSION_IDLE_TIMEOUT)
+      : 60 * 60 * 1000,
+  },
+
+  // Named tokens with per-tool permissions (HTTP transports)
+  AUTH: {
+    // JSON list of { name, token | sha256, tools, expires }, re-read when it changes
+    tokensFile: process.env.SOLIBRI_MCP_TOKENS_FILE || path.join(__dirname, 'data', 'tokens.json'),
+    // Start without configured tokens, with a random full-access token for this process
+    devMode: process.env.SOLIBRI_MCP_DEV === 'true',
   },
 
   // Solibri Configuration
@@ -28,6 +51,8 @@ module.exports = {
     // REST API settings (when Solibri is running with --rest-api-server-port)
     restApiPort: parseInt(process.env.SOLIBRI_REST_PORT) || 10876,
     restApiUrl: `http://localhost:${parseInt(process.env.SOLIBRI_REST_PORT) || 10876}`,
+    // How long REST tools wait for Solibri to finish processing (ms) - default 5 minutes
+    restIdleTimeout: parseInt(process.env.SOLIBRI_REST_IDLE_TIMEOUT) || 5 * 60 * 1000,
 
     // Working directories
     workDir: process.env.SOLIBRI_WORK_DIR || path.join(__dirname, 'work'),
@@ -41,6 +66,26 @@ module.exports = {
     templatesDir: process.env.SOLIBRI_TEMPLATES_DIR || 'C:\\Users\\Public\\Solibri\\SOLIBRI\\Templates',
   },
 
+  // Asset catalog: additional folders per type (semicolon-separated), searched
+  // recursively after the default folders above
+  ASSETS: {
+    roots: {
+      classifications: pathList(process.env.SOLIBRI_CLASSIFICATIONS_ROOTS),
+      rulesets: pathList(process.env.SOLIBRI_RULESETS_ROOTS),
+      ito: pathList(process.env.SOLIBRI_ITO_ROOTS),
+      templates: pathList(process.env.SOLIBRI_TEMPLATES_ROOTS),
+    },
+    // Subfolder levels searched below each root
+    maxDepth: parseInt(process.env.SOLIBRI_ASSETS_MAX_DEPTH) || 8,
+  },
+
+  // Allowed folders for file arguments. Empty lists use the defaults:
+  // inputs - work, output and asset folders; outputs - output folder
+  SANDBOX: {
+    inputRoots: pathList(process.env.SOLIBRI_ALLOWED_INPUT_ROOTS),
+    outputRoots: pathList(process.env.SOLIBRI_ALLOWED_OUTPUT_ROOTS),
+  },
+
   // Autorun settings
   AUTORUN: {
     // Timeout for autorun execution (ms) - default 30 minutes
@@ -49,6 +94,74 @@ module.exports = {
     keepXmlFiles: process.env.SOLIBRI_KEEP_XML === 'true',
   },
 
+  // Managed interactive Solibri instance (solibri_launch / solibri_shutdown)
+  INSTANCE: {
+    // PID of the running instance, so it is picked up again after a server restart
+    pidFile: process.env.SOLIBRI_INSTANCE_PID_FILE || path.join(__dirname, 'data', 'solibri.pid'),
+    // REST API health poll interval (ms)
+    healthInterval: parseInt(process.env.SOLIBRI_INSTANCE_HEALTH_INTERVAL) || 15000,
+    // Failed polls before the instance is reported unhealthy
+    unhealthyAfter: parseInt(process.env.SOLIBRI_INSTANCE_UNHEALTHY_AFTER) || 3,
+    // How long launch waits for the REST API to answer (ms) - default 3 minutes
+    startupTimeout: parseInt(process.env.SOLIBRI_INSTANCE_STARTUP_TIMEOUT) || 3 * 60 * 1000,
+    // How long shutdown waits for Solibri to close before killing it (ms)
+    shutdownTimeout: parseInt(process.env.SOLIBRI_INSTANCE_SHUTDOWN_TIMEOUT) || 30000,
+    // Restart after a crash, at most maxRestarts times per restartWindow (ms)
+    autoRestart: process.env.SOLIBRI_INSTANCE_AUTO_RESTART !== 'false',
+    maxRestarts: parseInt(process.env.SOLIBRI_INSTANCE_MAX_RESTARTS) || 3,
+    restartWindow: parseInt(process.env.SOLIBRI_INSTANCE_RESTART_WINDOW) || 10 * 60 * 1000,
+    restartDelay: parseInt(process.env.SOLIBRI_INSTANCE_RESTART_DELAY) || 5000,
+  },
+
+  // Job queue settings
+  JOBS: {
+    // Persisted job history (survives server restarts)
+    historyFile: process.env.SOLIBRI_JOBS_FILE || path.join(__dirname, 'data', 'jobs.json'),
+    // Number of finished jobs kept in history
+    maxHistory: parseInt(process.env.SOLIBRI_JOBS_MAX_HISTORY) || 500,
+  },
+
+  // BCF report history for solibri_issue_diff
+  ISSUES: {
+    // Compact copies of the issues of every check, per model/ruleset pair
+    historyDir: process.env.SOLIBRI_ISSUE_HISTORY_DIR || path.join(__dirname, 'data', 'issue-history'),
+    // Reports kept per model/ruleset pair
+    maxReports: parseInt(process.env.SOLIBRI_ISSUE_HISTORY_MAX) || 20,
+  },
+
+  // Scheduled checks (solibri_schedule_* tools)
+  SCHEDULER: {
+    // Run schedules in this server process (disable on all but one server sharing the files)
+    enabled: process.env.SOLIBRI_SCHEDULER !== 'false',
+    // Schedule definitions
+    schedulesFile: process.env.SOLIBRI_SCHEDULES_FILE || path.join(__dirname, 'data', 'schedules.json'),
+    // Outcome and issue counts of every run
+    historyFile: process.env.SOLIBRI_SCHEDULE_HISTORY_FILE || path.join(__dirname, 'data', 'schedule-runs.json'),
+    // Runs kept per schedule
+    maxRuns: parseInt(process.env.SOLIBRI_SCHEDULE_MAX_RUNS) || 100,
+  },
+
+  // Audit log of tool calls, autorun executions and jobs (solibri_audit_query)
+  AUDIT: {
+    // Append-only JSON lines
+    file: process.env.SOLIBRI_AUDIT_FILE || path.join(__dirname, 'data', 'audit.jsonl'),
+  },
+
+  // File uploads, downloads and retention
+  FILES: {
+    // Largest upload accepted by PUT /files/uploads (bytes) - default 2 GB
+    maxUploadBytes: parseInt(process.env.SOLIBRI_MAX_UPLOAD_BYTES) || 2 * 1024 * 1024 * 1024,
+    // Largest file sent or received as base64 through MCP tools (bytes) - default 20 MB
+    maxInlineBytes: parseInt(process.env.SOLIBRI_MAX_INLINE_BYTES) || 20 * 1024 * 1024,
+    // Delete uploads and job output folders older than this (days, 0 disables)
+    retentionDays: process.env.SOLIBRI_RETENTION_DAYS !== undefined
+      ? parseInt(process.env.SOLIBRI_RETENTION_DAYS)
+      : 30,
+  },
+
   // Logging
+  // Console level: debug, info, notice, warning, error or critical (job logs get every level)
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
+  // Console format: text or json (one JSON object per line)
+  LOG_FORMAT: process.env.LOG_FORMAT === 'json' ? 'json' : 'text',
 };
@@ -1,309 +1,177 @@
 /**
- * Solibri MCP Server with SSE Transport
+ * Solibri MCP Server
  *
  * Run on Windows machine with Solibri installed.
- * Connect from remote Claude Code via SSE.
+ * Connect from remote Claude Code via Streamable HTTP (or legacy SSE),
+ * or launch locally over stdio. Transports are selected with SOLIBRI_MCP_TRANSPORTS.
  */
 
 const express = require('express');
-const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
-const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
 const config = require('./config');
-const autorun = require('./solibri/autorun');
-const restClient = require('./solibri/rest-client');
-
-// Define all tools
-const TOOLS = [
-  {
-    name: 'solibri_list_assets',
-    description: 'List available Solibri assets (classifications, rulesets, ITOs, templates)',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        type: {
-          type: 'string',
-          enum: ['classifications', 'rulesets', 'ito', 'templates'],
-          description: 'Type of assets to list',
-        },
-      },
-      required: ['type'],
-    },
-    handler: async ({ type }) => {
-      const assets = autorun.listAssets(type);
-      return {
-        content: [{ type: 'text', text: JSON.stringify({ type, assets, count: assets.length }, null, 2) }],
-      };
-    },
-  },
-  {
-    name: 'solibri_check_model',
-    description: 'Run model checking on an IFC/SMC file with specified rulesets',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        modelPath: { type: 'string', description: 'Path to IFC or SMC file' },
-        rulesets: { type: 'array', items: { type: 'string' }, description: 'List of ruleset files to apply' },
-        classifications: { type: 'array', items: { type: 'string' }, description: 'Classification files (optional)' },
-        outputBcf: { type: 'string', description: 'Path for BCF output file (optional)' },
-        outputSmc: { type: 'string', description: 'Path to save SMC model (optional)' },
-      },
-      required: ['modelPath', 'rulesets'],
-    },
-    handler: async ({ modelPath, rulesets, classifications = [], outputBcf, outputSmc }) => {
-      const commands = [{ type: 'openmodel', file: modelPath }];
-      for (const cls of classifications) commands.push({ type: 'openclassification', file: cls });
-      for (const rs of rulesets) commands.push({ type: 'openruleset', file: rs });
-      commands.push({ type: 'check' });
-      if (outputBcf) commands.push({ type: 'bcfreport', file: outputBcf, version: '2.1' });
-      if (outputSmc) commands.push({ type: 'savemodel', file: outputSmc });
-      commands.push({ type: 'exit' });
-
-      try {
-        const result = await autorun.executeAutorun(commands);
-        return {
-          content: [{ type: 'text', text: JSON.stringify({ success: true, jobId: result.jobId, outputBcf, outputSmc }, null, 2) }],
-        };
-      } catch (error) {
-        return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
-      }
-    },
-  },
-  {
-    name: 'solibri_quantity_takeoff',
-    description: 'Run Information Takeoff (ITO) and export to Excel',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        modelPath: { type: 'string', description: 'Path to IFC or SMC file' },
-        itoFile: { type: 'string', description: 'Path to ITO definition file' },
-        outputExcel: { type: 'string', description: 'Path for Excel output file' },
-        templateFile: { type: 'string', description: 'Excel template file (optional)' },
-        itoName: { type: 'string', description: 'Specific ITO name to run (optional)' },
-        title: { type: 'string', description: 'Report title (optional)' },
-      },
-      required: ['modelPath', 'itoFile', 'outputExcel'],
-    },
-    handler: async ({ modelPath, itoFile, outputExcel, templateFile, itoName, title }) => {
-      const commands = [
-        { type: 'openmodel', file: modelPath },
-        { type: 'openito', file: itoFile },
-        { type: 'takeoff', name: itoName },
-        { type: 'itoreport', file: outputExcel, templatefile: templateFile, name: itoName, title },
-        { type: 'exit' },
-      ];
+const auth = require('./auth');
+const logger = require('./logger');
+const streamableHttp = require('./transports/streamable-http');
+const sse = require('./transports/sse');
+const stdio = require('./transports/stdio');
+const sessions = require('./transports/sessions');
+const files = require('./solibri/files');
+const instance = require('./solibri/instance');
+const scheduler = require('./solibri/scheduler');
+
+const HTTP_TRANSPORTS = {
+  'streamable-http': streamableHttp,
+  sse,
+};
+
+for (const name of config.TRANSPORTS) {
+  if (name !== 'stdio' && !HTTP_TRANSPORTS[name]) {
+    throw new Error(`Unknown transport "${name}" in SOLIBRI_MCP_TRANSPORTS (expected streamable-http, sse, stdio)`);
+  }
+}
 
-      try {
-        const result = await autorun.executeAutorun(commands);
-        return {
-          content: [{ type: 'text', text: JSON.stringify({ success: true, jobId: result.jobId, outputExcel }, null, 2) }],
-        };
-      } catch (error) {
-        return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
-      }
-    },
-  },
-  {
-    name: 'solibri_create_model',
-    description: 'Create a new Solibri model from multiple IFC files',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        ifcFiles: { type: 'array', items: { type: 'string' }, description: 'List of IFC file paths' },
-        outputSmc: { type: 'string', description: 'Path for output SMC file' },
-        classifications: { type: 'array', items: { type: 'string' }, description: 'Classification files (optional)' },
-      },
-      required: ['ifcFiles', 'outputSmc'],
-    },
-    handler: async ({ ifcFiles, outputSmc, classifications = [] }) => {
-      const commands = [];
-      for (const ifc of ifcFiles) commands.push({ type: 'openmodel', file: ifc });
-      for (const cls of classifications) commands.push({ type: 'openclassification', file: cls });
-      commands.push({ type: 'savemodel', file: outputSmc });
-      commands.push({ type: 'exit' });
+const log = logger.create('Server');
 
-      try {
-        const result = await autorun.executeAutorun(commands);
-        return {
-          content: [{ type: 'text', text: JSON.stringify({ success: true, jobId: result.jobId, outputSmc, ifcCount: ifcFiles.length }, null, 2) }],
-        };
-      } catch (error) {
-        return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
-      }
-    },
-  },
-  {
-    name: 'solibri_update_model',
-    description: 'Update an existing SMC model with new/updated IFC files',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        smcPath: { type: 'string', description: 'Path to existing SMC file' },
-        ifcFiles: { type: 'array', items: { type: 'string' }, description: 'IFC files to update/add' },
-        outputSmc: { type: 'string', description: 'Path for output SMC file (optional, defaults to input)' },
-      },
-      required: ['smcPath', 'ifcFiles'],
-    },
-    handler: async ({ smcPath, ifcFiles, outputSmc }) => {
-      const commands = [{ type: 'openmodel', file: smcPath }];
-      for (const ifc of ifcFiles) commands.push({ type: 'updatemodel', file: ifc });
-      commands.push({ type: 'savemodel', file: outputSmc || smcPath });
-      commands.push({ type: 'exit' });
+// stdout carries the protocol in stdio mode, so log output goes to stderr
+if (config.TRANSPORTS.includes('stdio')) {
+  logger.useStderr();
+  stdio.start();
+}
 
-      try {
-        const result = await autorun.executeAutorun(commands);
-        return {
-          content: [{ type: 'text', text: JSON.stringify({ success: true, jobId: result.jobId, outputSmc: outputSmc || smcPath }, null, 2) }],
-        };
-      } catch (error) {
-        return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
-      }
-    },
-  },
-  {
-    name: 'solibri_status',
-    description: 'Get status of running Solibri instance (requires REST API enabled)',
-    inputSchema: { type: 'object', properties: {} },
-    handler: async () => {
-      try {
-        const [ping, about, status] = await Promise.all([
-          restClient.ping().catch(() => null),
-          restClient.about().catch(() => null),
-          restClient.status().catch(() => null),
-        ]);
-        return {
-          content: [{ type: 'text', text: JSON.stringify({ running: !!ping, about, status }, null, 2) }],
-        };
-      } catch (error) {
-        return {
-          content: [{ type: 'text', text: JSON.stringify({ running: false, error: error.message }, null, 2) }],
-        };
-      }
-    },
-  },
-];
+const httpTransports = config.TRANSPORTS.filter((name) => HTTP_TRANSPORTS[name]);
 
 // Initialize Express
 const app = express();
-app.use(express.json());
+// Tool calls carry inline files as base64 (4 bytes per 3), plus the rest of the JSON-RPC message
+app.use(express.json({ limit: Math.ceil(config.FILES.maxInlineBytes / 3) * 4 + 1024 * 1024 }));
 
-// Auth middleware
-function authenticate(req, res, next) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Missing authorization header' });
-  }
-  const token = authHeader.substring(7);
-  if (token !== config.SSE.authToken) {
-    return res.status(403).json({ error: 'Invalid token' });
-  }
-  next();
-}
+// HTTP clients need a token; refuse to start without one (unless in dev mode)
+const { authenticate, permit } = auth;
+const authState = httpTransports.length > 0 ? auth.init() : null;
 
 // Health check (no auth)
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', server: config.SERVER_NAME, version: config.SERVER_VERSION });
+  res.json({
+    status: 'ok',
+    server: config.SERVER_NAME,
+    version: config.SERVER_VERSION,
+    transports: config.TRANSPORTS,
+    solibri: instance.status(),
+  });
 });
 
-// Store active transports
-const transports = new Map();
-
-// SSE endpoint
-app.get('/sse', authenticate, async (req, res) => {
-  console.log('[SSE] New client connection');
-
-  const transport = new SSEServerTransport('/messages', res);
-
-  // Create server instance for this connection
-  const server = new Server(
-    { name: config.SERVER_NAME, version: config.SERVER_VERSION },
-    { capabilities: { tools: {} } }
-  );
-
-  // Handle all requests
-  server.fallbackRequestHandler = async (request) => {
-    const { method, params } = request;
-    console.log(`[MCP] ${method}`);
-
-    if (method === 'initialize') {
-      return {
-        protocolVersion: '2024-11-05',
-        capabilities: { tools: {} },
-        serverInfo: { name: config.SERVER_NAME, version: config.SERVER_VERSION },
-      };
-    }
-
-    if (method === 'tools/list') {
-      return {
-        tools: TOOLS.map((t) => ({ name: t.name, description: t.description, inputSchema: t.inputSchema })),
-      };
-    }
-
-    if (method === 'resources/list') return { resources: [] };
-    if (method === 'prompts/list') return { prompts: [] };
+// Connected client sessions (admin view)
+app.get('/sessions', authenticate, permit('sessions'), (req, res) => {
+  const list = sessions.list();
+  res.json({ count: list.length, maxSessions: config.SSE.maxSessions, sessions: list });
+});
 
-    if (method === 'tools/call') {
-      const { name, arguments: args = {} } = params || {};
-      const tool = TOOLS.find((t) => t.name === name);
-      if (tool) {
-        try {
-          return await tool.handler(args);
-        } catch (error) {
-          return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
-        }
-      }
-      return { error: { code: -32601, message: `Tool not found: ${name}` } };
-    }
+// Disconnect a client session
+app.delete('/sessions/:id', authenticate, permit('sessions'), async (req, res) => {
+  if (!(await sessions.close(req.params.id))) {
+    return res.status(404).json({ error: `Unknown session: ${req.params.id}` });
+  }
+  res.json({ success: true, sessionId: req.params.id });
+});
 
-    return { error: { code: -32601, message: `Method not found: ${method}` } };
-  };
+// File transfer errors: unknown jobs/artifacts are 404, oversized uploads 413, the rest 400
+function fileError(res, error) {
+  const status = / not found/.test(error.message) ? 404 : /byte limit/.test(error.message) ? 413 : 400;
+  res.status(status).json({ error: error.message });
+}
 
-  transports.set(transport, server);
+// Uploaded models and assets
+app.get('/files/uploads', authenticate, permit('files'), async (req, res) => {
+  try {
+    const list = await files.listUploads();
+    res.json({ count: list.length, files: list });
+  } catch (error) {
+    fileError(res, error);
+  }
+});
 
-  req.on('close', () => {
-    console.log('[SSE] Client disconnected');
-    transports.delete(transport);
-  });
+// Upload a file (raw request body), e.g.
+// curl -T model.ifc -H "Authorization: Bearer <token>" http://host:3000/files/uploads/model.ifc
+app.put('/files/uploads/:name', authenticate, permit('files'), async (req, res) => {
+  try {
+    const upload = await files.saveUpload(req.params.name, req, {
+      folder: req.query.folder,
+      sha256: req.get('X-Checksum-SHA256'),
+      overwrite: req.query.overwrite === 'true',
+    });
+    res.status(201).json({ success: true, ...upload });
+  } catch (error) {
+    fileError(res, error);
+  }
+});
 
-  await server.connect(transport);
+// Files produced by a job
+app.get('/files/jobs/:jobId', authenticate, permit('files'), async (req, res) => {
+  try {
+    const artifacts = await files.listArtifacts(req.params.jobId);
+    res.json({ jobId: req.params.jobId, count: artifacts.length, artifacts });
+  } catch (error) {
+    fileError(res, error);
+  }
 });
 
-// Messages endpoint for SSE
-app.post('/messages', authenticate, async (req, res) => {
-  const [transport] = transports.keys();
-  if (transport) {
-    await transport.handlePostMessage(req, res);
-  } else {
-    res.status(400).json({ error: 'No active SSE connection' });
+// Download one job artifact
+app.get('/files/jobs/:jobId/:name', authenticate, permit('files'), async (req, res) => {
+  try {
+    const file = files.artifactPath(req.params.jobId, req.params.name);
+    res.set('X-Checksum-SHA256', await files.sha256File(file));
+    res.download(file);
+  } catch (error) {
+    fileError(res, error);
   }
 });
 
+for (const name of httpTransports) {
+  HTTP_TRANSPORTS[name].mount(app, authenticate);
+}
+
+// Remove old uploads and job outputs
+files.startRetention();
+
+// Run scheduled checks
+scheduler.start();
+
 // Start server
 const port = config.SSE.port;
 const host = config.SSE.host;
 
-app.listen(port, host, () => {
-  console.log(`
+if (httpTransports.length > 0) {
+  app.listen(port, host, () => {
+    const endpoints = [];
+    if (httpTransports.includes('streamable-http')) endpoints.push(`║  MCP:        http://${host}:${port}/mcp`);
+    if (httpTransports.includes('sse')) endpoints.push(`║  SSE:        http://${host}:${port}/sse (deprecated)`);
+    const tokens = authState.tokens.map((t) => t.name).join(', ');
+
+    log.info(`
 ╔══════════════════════════════════════════════════════════════╗
-║           Solibri MCP Server (SSE Transport)                 ║
+║           Solibri MCP Server                                 ║
 ╠══════════════════════════════════════════════════════════════╣
 ║  Server:     http://${host}:${port}
-║  SSE:        http://${host}:${port}/sse
+${endpoints.join('\n')}
 ║  Health:     http://${host}:${port}/health
+║  Transports: ${config.TRANSPORTS.join(', ')}
 ╠══════════════════════════════════════════════════════════════╣
-║  Auth Token: ${config.SSE.authToken.substring(0, 8)}...
+║  Tokens:     ${tokens}${authState.devToken ? ' (DEV MODE)' : ''}
 ╚══════════════════════════════════════════════════════════════╝
 
 Configure Claude Code (~/.claude/settings.json):
 {
   "mcpServers": {
     "solibri": {
-      "type": "sse",
-      "url": "http://<windows-ip>:${port}/sse",
+      "type": "${httpTransports.includes('streamable-http') ? 'http' : 'sse'}",
+      "url": "http://<windows-ip>:${port}/${httpTransports.includes('streamable-http') ? 'mcp' : 'sse'}",
       "headers": {
-        "Authorization": "Bearer ${config.SSE.authToken}"
+        "Authorization": "Bearer <token>"
       }
     }
   }
 }
 `);
-});
+    // The dev token exists only in this process, so it is shown once in full
+    if (authState.devToken) log.warning(`Dev mode: temporary full-access token ${authState.devToken}`);
+  });
+}
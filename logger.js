@@ -0,0 +1,135 @@
+/**
+ * Logging
+ *
+ * Leveled log entries (the MCP / syslog levels debug to emergency) with a
+ * component and optional correlation fields such as jobId and sessionId.
+ * Entries at or above LOG_LEVEL are written to the console as text or JSON
+ * lines (LOG_FORMAT). Every entry of a job, whatever its level, is also
+ * appended to the job's log file next to its artifacts, and entries are
+ * emitted on `events` so MCP sessions can forward them to their client.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const config = require('./config');
+
+const LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+const ALIASES = { warn: 'warning', fatal: 'critical' };
+
+// 'entry' ({ time, level, component, message, ...fields }) for every entry
+const events = new EventEmitter();
+// Every client session listens for entries
+events.setMaxListeners(0);
+
+let consoleLevel = null;
+let stderrOnly = false;
+
+/**
+ * A level name (aliases such as "warn" accepted), or null if unknown
+ */
+function normalizeLevel(level) {
+  const name = ALIASES[String(level).toLowerCase()] || String(level).toLowerCase();
+  return LEVELS.includes(name) ? name : null;
+}
+
+function severity(level) {
+  return LEVELS.indexOf(level);
+}
+
+/**
+ * Whether `level` is at or above `threshold`
+ */
+function isEnabled(level, threshold) {
+  return severity(level) >= severity(threshold);
+}
+
+function threshold() {
+  if (!consoleLevel) {
+    consoleLevel = normalizeLevel(config.LOG_LEVEL);
+    if (!consoleLevel) {
+      consoleLevel = 'info';
+      process.stderr.write(`Unknown LOG_LEVEL "${config.LOG_LEVEL}", using info (expected ${LEVELS.join(', ')})\n`);
+    }
+  }
+  return consoleLevel;
+}
+
+/**
+ * Log file of a job: <outputDir>/<jobId>/job.log
+ */
+function jobLogPath(jobId) {
+  return path.join(config.SOLIBRI.outputDir, jobId, 'job.log');
+}
+
+/**
+ * Correlation and other fields as " key=value" text
+ */
+function fieldText(fields) {
+  return Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ` ${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join('');
+}
+
+function appendJobLog(entry) {
+  const { time, level, component, message, jobId, ...fields } = entry;
+  try {
+    fs.mkdirSync(path.dirname(jobLogPath(jobId)), { recursive: true });
+    fs.appendFileSync(jobLogPath(jobId), `${time} ${level.toUpperCase()} [${component}]${fieldText(fields)} ${message}\n`);
+  } catch (error) {
+    process.stderr.write(`Failed to write log for job ${jobId}: ${error.message}\n`);
+  }
+}
+
+function write(entry) {
+  if (entry.jobId) appendJobLog(entry);
+
+  if (isEnabled(entry.level, threshold())) {
+    let line;
+    if (config.LOG_FORMAT === 'json') {
+      line = JSON.stringify(entry);
+    } else {
+      const { time, level, component, message, ...fields } = entry;
+      line = `${time} ${level.toUpperCase()} [${component}]${fieldText(fields)} ${message}`;
+    }
+    // stdout carries the protocol in stdio mode
+    const stream = stderrOnly || isEnabled(entry.level, 'warning') ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+  }
+
+  events.emit('entry', entry);
+}
+
+/**
+ * Logger of a component
+ *
+ * @param {string} component - Shown as [Component], e.g. "Jobs"
+ * @param {object} [bound] - Fields added to every entry, e.g. { jobId }
+ * @returns {object} debug, info, notice, warning, error and critical methods,
+ *   each (message, fields), and child(fields) for a logger with more bound fields
+ */
+function create(component, bound = {}) {
+  const log = { child: (fields) => create(component, { ...bound, ...fields }) };
+  for (const level of LEVELS.slice(0, 6)) {
+    log[level] = (message, fields = {}) => write({ time: new Date().toISOString(), level, component, message, ...bound, ...fields });
+  }
+  return log;
+}
+
+/**
+ * Write every console entry to stderr (stdio transport)
+ */
+function useStderr() {
+  stderrOnly = true;
+}
+
+module.exports = {
+  LEVELS,
+  events,
+  normalizeLevel,
+  isEnabled,
+  jobLogPath,
+  create,
+  useStderr,
+};
@@ -0,0 +1,164 @@
+/**
+ * MCP prompt registry
+ *
+ * Parameterized step-by-step instructions for common BIM coordination
+ * workflows, built on the tools in tools.js. Ruleset, classification and ITO
+ * arguments take asset names (as listed by solibri_list_assets) and are
+ * resolved to file paths when the prompt is fetched.
+ */
+
+const assets = require('./solibri/assets');
+
+/**
+ * Split a list argument ("a.ifc; b.ifc", comma or newline separated)
+ */
+function list(value) {
+  return (value || '').split(/[;,\n]/).map((v) => v.trim()).filter(Boolean);
+}
+
+function bullets(items) {
+  return items.map((item) => `  - ${item}`).join('\n');
+}
+
+/**
+ * Resolve an asset name (file name with or without extension, relative path
+ * or ruleset/ITO name, case-insensitive) to its path
+ */
+async function resolveAsset(type, name) {
+  const asset = await assets.findAsset(type, name);
+  if (!asset) {
+    const available = (await assets.listAssets(type, { metadata: false })).map((a) => a.relativePath).join(', ') || 'none';
+    throw new Error(`Unknown ${type} asset "${name}" (available: ${available})`);
+  }
+  return asset.path;
+}
+
+const PROMPTS = [
+  {
+    name: 'clash-check',
+    description: 'Clash-check a federated model against a company ruleset and report the issues by discipline',
+    arguments: [
+      { name: 'models', description: 'IFC files to federate (separated by ; or ,)', required: true },
+      { name: 'ruleset', description: 'Ruleset name (see solibri_list_assets)', required: true },
+      { name: 'classification', description: 'Classification name (optional)' },
+      { name: 'discipline', description: 'Discipline to focus the report on, e.g. MEP vs. structure (optional)' },
+    ],
+    // Arguments that name assets, and their asset type
+    assets: { ruleset: 'rulesets', classification: 'classifications' },
+    build: ({ models, ruleset, classification, discipline }) => `Run a clash check of a federated model in Solibri.
+
+Models:
+${bullets(list(models))}
+Ruleset: ${ruleset}${classification ? `\nClassification: ${classification}` : ''}${discipline ? `\nFocus discipline: ${discipline}` : ''}
+
+Steps:
+1. Call solibri_inspect_ifc on every model. Stop and report if a file is missing or not valid IFC, and note the schema and storeys of each model.
+2. Call solibri_create_model with all models as ifcFiles${classification ? ' and the classification' : ''}, writing federated.smc in the output folder (leave outputSmc relative) with overwrite true, so a re-run replaces the federated model of the previous run. Poll solibri_job_status until the job has finished.
+3. Call solibri_check_model on the federated SMC with rulesets ${JSON.stringify([ruleset])}${classification ? ` and classifications ${JSON.stringify([classification])}` : ''}. Poll solibri_job_status until it has finished; the result contains the issue summary.
+4. Call solibri_bcf_issues with the check job id to page through the issues${discipline ? `, concentrating on those involving ${discipline}` : ''}. Filter by severity to list critical issues first.
+5. Report: issue counts by rule and severity, the ten most important clashes with their title, rule and involved component GUIDs, and the job id and BCF path so the issues can be opened in BIM tools.
+
+If a job fails, show its error from solibri_job_status and do not retry with different files without asking.`,
+  },
+  {
+    name: 'quantity-takeoff',
+    description: 'Run an Information Takeoff for a cost estimate and summarize the quantities',
+    arguments: [
+      { name: 'model', description: 'IFC or SMC file', required: true },
+      { name: 'ito', description: 'Information Takeoff name (see solibri_list_assets)', required: true },
+      { name: 'template', description: 'Excel template name (optional)' },
+      { name: 'groupBy', description: 'Column to group quantities by, e.g. classification code (optional)' },
+    ],
+    assets: { ito: 'ito', template: 'templates' },
+    build: ({ model, ito, template, groupBy }) => `Prepare quantities for a cost estimate.
+
+Model: ${model}
+Information Takeoff: ${ito}${template ? `\nExcel template: ${template}` : ''}
+
+Steps:
+1. Call solibri_inspect_ifc on the model (IFC only) to confirm it is readable and note its schema and entity counts.
+2. Call solibri_quantity_takeoff with modelPath ${JSON.stringify(model)}, itoFile ${JSON.stringify(ito)}${template ? `, templateFile ${JSON.stringify(template)}` : ''}, outputExcel "takeoff.xlsx" and parseExcel true. If solibri_list_assets (type ito) lists several takeoffs in this ITO, pass the one needed for the estimate as itoName. Poll solibri_job_status until it has finished.
+3. Call solibri_takeoff_rows with the job id and page through all rows (limit 100 per call).
+4. Summarize the quantities${groupBy ? ` grouped by ${groupBy}` : ' grouped by element type'}: count, length, area and volume totals with their units as they appear in the sheet headers.
+5. Flag rows with missing or zero quantities and elements without classification, since they will be missing from the estimate.
+
+Do not invent unit prices; present quantities only and give the Excel path for the cost estimator.`,
+  },
+  {
+    name: 'revision-recheck',
+    description: 'Update a Solibri model with a new IFC revision, re-run the check and report what changed',
+    arguments: [
+      { name: 'smc', description: 'Existing SMC model', required: true },
+      { name: 'newIfc', description: 'New revision of the IFC file', required: true },
+      { name: 'previousIfc', description: 'Previous revision of the IFC file, to list changed elements (optional)' },
+      { name: 'ruleset', description: 'Ruleset name (see solibri_list_assets)', required: true },
+    ],
+    assets: { ruleset: 'rulesets' },
+    build: ({ smc, newIfc, previousIfc, ruleset }) => `Update the model with a new revision and re-check it.
+
+SMC model: ${smc}
+New revision: ${newIfc}${previousIfc ? `\nPrevious revision: ${previousIfc}` : ''}
+Ruleset: ${ruleset}
+
+Steps:
+1. Call solibri_inspect_ifc on the new revision to confirm it is valid IFC.${previousIfc ? `
+2. Call solibri_compare_models with oldModel ${JSON.stringify(previousIfc)} and newModel ${JSON.stringify(newIfc)} and note the added, removed and modified elements by type.` : `
+2. (No previous revision given; skip the element comparison.)`}
+3. Call solibri_update_model with smcPath ${JSON.stringify(smc)}, ifcFiles ${JSON.stringify([newIfc])} and an outputSmc name with a revision suffix in the output folder, so the original model is kept. Poll solibri_job_status until it has finished.
+4. Call solibri_check_model on the updated SMC with rulesets ${JSON.stringify([ruleset])}. Poll solibri_job_status until it has finished.
+5. Find the previous check of this model in solibri_job_list (the latest completed solibri_check_model job on ${JSON.stringify(smc)} or an earlier revision of it). Call solibri_issue_diff with base set to that job id and target set to the new check job id to list new, resolved and persisting issues. Without a previous check, call solibri_bcf_issues with the new check job id instead.
+6. Report: what changed in the model, the new issue counts by rule and severity, the new and resolved issues, and which issues are likely caused by the changed elements.`,
+  },
+];
+
+/**
+ * Prompt definitions for prompts/list
+ */
+function listPrompts() {
+  return PROMPTS.map((p) => ({ name: p.name, description: p.description, arguments: p.arguments }));
+}
+
+/**
+ * Build a prompt for prompts/get
+ *
+ * @param {string} name - Prompt name
+ * @param {object} [args] - Argument values (strings)
+ */
+async function getPrompt(name, args = {}) {
+  const prompt = PROMPTS.find((p) => p.name === name);
+  if (!prompt) throw new Error(`Prompt not found: ${name}`);
+
+  const missing = prompt.arguments.filter((a) => a.required && !args[a.name]).map((a) => a.name);
+  if (missing.length > 0) throw new Error(`Missing required arguments for ${name}: ${missing.join(', ')}`);
+
+  const values = { ...args };
+  for (const [arg, type] of Object.entries(prompt.assets || {})) {
+    if (values[arg]) values[arg] = await resolveAsset(type, values[arg]);
+  }
+
+  return {
+    description: prompt.description,
+    messages: [{ role: 'user', content: { type: 'text', text: prompt.build(values) } }],
+  };
+}
+
+/**
+ * Completions for asset-name arguments (completion/complete)
+ */
+async function complete(ref, argument) {
+  const prompt = ref && ref.type === 'ref/prompt' && PROMPTS.find((p) => p.name === ref.name);
+  const type = prompt && argument && (prompt.assets || {})[argument.name];
+  if (!type) return { completion: { values: [] } };
+
+  const typed = (argument.value || '').toLowerCase();
+  const names = (await assets.listAssets(type, { metadata: false }))
+    .map((a) => a.relativePath)
+    .filter((n) => n.toLowerCase().includes(typed));
+  return { completion: { values: names.slice(0, 100), total: names.length, hasMore: names.length > 100 } };
+}
+
+module.exports = {
+  listPrompts,
+  getPrompt,
+  complete,
+};
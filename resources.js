@@ -0,0 +1,185 @@
+/**
+ * MCP resource registry
+ *
+ * Exposes Solibri assets, job records and their artifacts, and uploaded IFC
+ * models as solibri:// resources:
+ *
+ * - solibri://assets/<type>/<path>   rulesets, classifications, ITOs, templates (path relative to the asset folder)
+ * - solibri://jobs/<jobId>           job record (status, commands, result)
+ * - solibri://jobs/<jobId>/<name>    job artifact (BCF, Excel, SMC, autorun XML, ...)
+ * - solibri://models/<path>          IFC metadata (path relative to the work folder)
+ *
+ * BCF and Excel files are returned parsed as JSON, text files as text and
+ * everything else as base64 blobs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+const assets = require('./solibri/assets');
+const jobs = require('./solibri/jobs');
+const files = require('./solibri/files');
+const paths = require('./solibri/paths');
+const bcf = require('./solibri/bcf');
+const xlsx = require('./solibri/xlsx');
+const ifc = require('./solibri/ifc');
+
+const log = logger.create('Resources');
+
+const SCHEME = 'solibri://';
+const MODEL_EXTENSIONS = ['.ifc'];
+const TEXT_EXTENSIONS = ['.xml', '.log', '.txt', '.csv', '.json', '.html', '.ifc'];
+// Jobs listed by resources/list (older jobs are still readable by URI)
+const LISTED_JOBS = 50;
+
+const TEMPLATES = [
+  {
+    uriTemplate: 'solibri://jobs/{jobId}',
+    name: 'job',
+    description: 'Job record: status, commands, outputs and result summary',
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: 'solibri://jobs/{jobId}/{name}',
+    name: 'job-artifact',
+    description: 'File produced by a job (BCF and Excel files are returned as JSON)',
+  },
+  {
+    uriTemplate: 'solibri://models/{path}',
+    name: 'model',
+    description: 'IFC model metadata (schema, header, storeys, entity counts, property sets); path relative to the work folder',
+    mimeType: 'application/json',
+  },
+];
+
+function encodePath(relative) {
+  return relative.split(/[\\/]/).map(encodeURIComponent).join('/');
+}
+
+function jobUri(jobId, name) {
+  return name ? `${SCHEME}jobs/${jobId}/${encodeURIComponent(name)}` : `${SCHEME}jobs/${jobId}`;
+}
+
+function fileResource(uri, file, description) {
+  const stat = fs.statSync(file);
+  return { uri, name: path.basename(file), description, mimeType: files.mimeType(file), size: stat.size };
+}
+
+/**
+ * All listed resources: assets, recent jobs with their artifacts, uploaded models
+ */
+async function listResources() {
+  const resources = [];
+
+  for (const type of Object.keys(assets.TYPES)) {
+    for (const asset of await assets.listAssets(type)) {
+      const { name, description } = asset.metadata;
+      resources.push({
+        ...fileResource(`${SCHEME}assets/${type}/${encodePath(asset.relativePath)}`, asset.path, description || `Solibri ${type} asset`),
+        ...(name ? { title: name } : {}),
+      });
+    }
+  }
+
+  for (const job of jobs.list({ limit: LISTED_JOBS })) {
+    resources.push({
+      uri: jobUri(job.id),
+      name: `${job.tool} ${job.id}`,
+      description: `Job ${job.status} (${job.createdAt})`,
+      mimeType: 'application/json',
+    });
+    for (const file of files.artifactPaths(job.id)) {
+      resources.push(fileResource(jobUri(job.id, path.basename(file)), file, `Output of ${job.tool} job ${job.id}`));
+    }
+  }
+
+  for (const upload of await files.listUploads()) {
+    if (!MODEL_EXTENSIONS.includes(path.extname(upload.name).toLowerCase())) continue;
+    resources.push({
+      uri: `${SCHEME}models/${encodePath(path.relative(config.SOLIBRI.workDir, upload.path))}`,
+      name: upload.name,
+      description: 'IFC model metadata',
+      mimeType: 'application/json',
+    });
+  }
+
+  return resources;
+}
+
+function jsonContent(uri, value) {
+  return { uri, mimeType: 'application/json', text: JSON.stringify(value, null, 2) };
+}
+
+/**
+ * Content of a file: parsed JSON for BCF/Excel, text for text formats,
+ * otherwise a base64 blob (up to FILES.maxInlineBytes)
+ */
+async function fileContent(uri, file) {
+  const ext = path.extname(file).toLowerCase();
+
+  try {
+    if (ext === '.bcfzip' || ext === '.bcf') return jsonContent(uri, await bcf.readBcf(file));
+    if (ext === '.xlsx') return jsonContent(uri, { sheets: await xlsx.readWorkbook(file) });
+  } catch (error) {
+    log.error(`Could not parse ${file}: ${error.message}`);
+  }
+
+  const size = fs.statSync(file).size;
+  if (size > config.FILES.maxInlineBytes) {
+    throw new Error(`${path.basename(file)} is ${size} bytes, above the ${config.FILES.maxInlineBytes} byte inline limit`);
+  }
+  if (TEXT_EXTENSIONS.includes(ext)) {
+    return { uri, mimeType: files.mimeType(file), text: fs.readFileSync(file, 'utf8') };
+  }
+  return { uri, mimeType: files.mimeType(file), blob: fs.readFileSync(file).toString('base64') };
+}
+
+/**
+ * Read a resource by URI
+ *
+ * @returns {Promise<{contents: object[]}>}
+ */
+async function readResource(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith(SCHEME)) {
+    throw new Error(`Unsupported resource URI: ${uri}`);
+  }
+  const [kind, ...rest] = uri.slice(SCHEME.length).split('/');
+  const segments = rest.map(decodeURIComponent);
+
+  if (kind === 'assets' && segments.length >= 2 && assets.TYPES[segments[0]]) {
+    const relativePath = segments.slice(1).join('/');
+    const asset = (await assets.listAssets(segments[0])).find((a) => a.relativePath === relativePath);
+    if (!asset) throw new Error(`Resource not found: ${uri}`);
+    // Catalog entry (with parsed metadata) followed by the file itself
+    return { contents: [jsonContent(uri, asset), await fileContent(uri, asset.path)] };
+  }
+
+  if (kind === 'jobs' && segments.length === 1) {
+    const job = jobs.get(segments[0]);
+    if (!job) throw new Error(`Resource not found: ${uri}`);
+    return { contents: [jsonContent(uri, job)] };
+  }
+
+  if (kind === 'jobs' && segments.length === 2) {
+    return { contents: [await fileContent(uri, files.artifactPath(segments[0], segments[1]))] };
+  }
+
+  if (kind === 'models' && segments.length > 0) {
+    const file = paths.resolveInput(segments.join('/'), 'model');
+    if (!MODEL_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+      throw new Error(`Model metadata is only available for IFC files: ${uri}`);
+    }
+    if (!fs.existsSync(file)) throw new Error(`Resource not found: ${uri}`);
+    return { contents: [jsonContent(uri, await ifc.inspect(file))] };
+  }
+
+  throw new Error(`Resource not found: ${uri}`);
+}
+
+module.exports = {
+  TEMPLATES,
+  listResources,
+  readResource,
+  jobUri,
+};
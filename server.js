@@ -0,0 +1,144 @@
+/**
+ * MCP Server factory
+ *
+ * Every client session gets its own Server instance; all of them serve the
+ * same tool, resource and prompt registries regardless of transport.
+ */
+
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const config = require('./config');
+const logger = require('./logger');
+const auth = require('./auth');
+const { TOOLS } = require('./tools');
+const resources = require('./resources');
+const prompts = require('./prompts');
+const jobs = require('./solibri/jobs');
+const audit = require('./solibri/audit');
+
+const log = logger.create('MCP');
+
+/**
+ * Create a Server instance wired to the tool registry
+ */
+function createServer() {
+  const server = new Server(
+    { name: config.SERVER_NAME, version: config.SERVER_VERSION },
+    { capabilities: { tools: {}, resources: { subscribe: true, listChanged: true }, prompts: {}, completions: {}, logging: {} } }
+  );
+  // logging/setLevel is handled below with the other requests
+  server.removeRequestHandler('logging/setLevel');
+
+  // Resource URIs this client subscribed to; a finished job updates its
+  // record and artifacts (solibri://jobs/<jobId>/...)
+  const subscriptions = new Set();
+
+  const onJobFinished = (job) => {
+    if (!server.transport) return;
+    const prefix = resources.jobUri(job.id);
+    for (const uri of subscriptions) {
+      if (uri === prefix || uri.startsWith(`${prefix}/`)) {
+        server.sendResourceUpdated({ uri }).catch(() => {});
+      }
+    }
+    server.sendResourceListChanged().catch(() => {});
+  };
+  jobs.events.on('finished', onJobFinished);
+
+  // Server log entries are sent to the client once it set a level, except
+  // entries of other sessions
+  let clientLevel = null;
+  const onLogEntry = ({ level, component, message, ...fields }) => {
+    if (!clientLevel || !server.transport || !logger.isEnabled(level, clientLevel)) return;
+    if (fields.sessionId && fields.sessionId !== server.transport.sessionId) return;
+    server.sendLoggingMessage({ level, logger: component, data: { message, ...fields } }).catch(() => {});
+  };
+  logger.events.on('entry', onLogEntry);
+
+  server.onclose = () => {
+    jobs.events.off('finished', onJobFinished);
+    logger.events.off('entry', onLogEntry);
+  };
+
+  // Handle all requests (initialize and ping are answered by the SDK itself)
+  server.fallbackRequestHandler = async (request, extra) => {
+    const { method, params } = request;
+    const sessionId = extra && extra.sessionId;
+    log.debug(method, { sessionId });
+    // The token of this request (HTTP), or the local stdio client
+    const identity = auth.identityOf(extra && extra.authInfo);
+
+    if (method === 'tools/list') {
+      return {
+        tools: TOOLS.filter((t) => auth.allows(identity, t.name))
+          .map((t) => ({ name: t.name, description: t.description, inputSchema: t.inputSchema })),
+      };
+    }
+
+    if (method.startsWith('resources/') && !auth.allows(identity, 'resources')) {
+      throw new Error(`Token "${identity.name}" lacks the "resources" permission`);
+    }
+
+    if (method === 'resources/list') return { resources: await resources.listResources() };
+    if (method === 'resources/templates/list') return { resourceTemplates: resources.TEMPLATES };
+    if (method === 'resources/read') return resources.readResource(params && params.uri);
+
+    if (method === 'resources/subscribe') {
+      subscriptions.add(params.uri);
+      return {};
+    }
+    if (method === 'resources/unsubscribe') {
+      subscriptions.delete(params.uri);
+      return {};
+    }
+
+    if (method === 'logging/setLevel') {
+      const level = logger.normalizeLevel(params && params.level);
+      if (!level) throw new Error(`Unknown log level "${params && params.level}" (expected ${logger.LEVELS.join(', ')})`);
+      clientLevel = level;
+      return {};
+    }
+
+    if (method === 'prompts/list') return { prompts: prompts.listPrompts() };
+    if (method === 'prompts/get') return prompts.getPrompt(params.name, params.arguments);
+    if (method === 'completion/complete') return prompts.complete(params.ref, params.argument);
+
+    if (method === 'tools/call') {
+      const { name, arguments: args = {}, _meta: meta } = params || {};
+      const tool = TOOLS.find((t) => t.name === name);
+      if (tool) {
+        const startedAt = Date.now();
+        const respond = (result, jobId) => {
+          const durationMs = Date.now() - startedAt;
+          audit.toolCall({ identity, sessionId, tool: name, args, durationMs, jobId, result });
+          log.info(`${name} (${identity.name}) ${result.isError ? 'failed' : 'done'} in ${durationMs}ms`, { sessionId, jobId });
+          return result;
+        };
+        if (!auth.allows(identity, name)) {
+          return respond({ content: [{ type: 'text', text: `Error: Token "${identity.name}" may not call ${name}` }], isError: true });
+        }
+        // Tools that queue jobs report progress when the client asked for it
+        const progressToken = meta && meta.progressToken;
+        const context = {
+          identity,
+          progressToken,
+          signal: extra && extra.signal,
+          sendProgress: (progress) => extra.sendNotification({ method: 'notifications/progress', params: { progressToken, ...progress } }),
+        };
+        try {
+          return respond(await tool.handler(args, context), context.jobId);
+        } catch (error) {
+          return respond({ content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true }, context.jobId);
+        }
+      }
+      return { error: { code: -32601, message: `Tool not found: ${name}` } };
+    }
+
+    return { error: { code: -32601, message: `Method not found: ${method}` } };
+  };
+
+  return server;
+}
+
+module.exports = {
+  createServer,
+};
@@ -0,0 +1,231 @@
+/**
+ * Asset Catalog
+ *
+ * Classifications, rulesets, ITOs and Excel templates, found recursively
+ * under the default folder of each type (SOLIBRI_*_DIR) and any additional
+ * roots (SOLIBRI_*_ROOTS, e.g. a company share and a project folder).
+ *
+ * Metadata is read from the files where possible: .cset, .classification and
+ * .ito files are either ZIP archives of XML documents or plain XML, so their
+ * name, description and (for ITOs) takeoff names are picked from the XML.
+ * Files in other formats are listed without metadata.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { readZip, isZip } = require('./zip');
+const { parseXml, asArray, text } = require('./xml');
+
+const TYPES = {
+  classifications: { dir: 'classificationsDir', extensions: ['.classification'] },
+  rulesets: { dir: 'rulesetsDir', extensions: ['.cset'] },
+  ito: { dir: 'itoDir', extensions: ['.ito'] },
+  templates: { dir: 'templatesDir', extensions: ['.xlsx', '.xls'] },
+};
+
+const NAME_KEYS = ['name', 'Name', 'NAME', 'title', 'Title', 'displayName', 'DisplayName'];
+const DESCRIPTION_KEYS = ['description', 'Description', 'DESCRIPTION', 'comment', 'Comment'];
+
+// Parsed metadata by path, reused while size and modification time are unchanged
+const metadataCache = new Map();
+
+/**
+ * Folders searched for an asset type, default folder first
+ */
+function roots(type) {
+  const def = TYPES[type];
+  if (!def) throw new Error(`Unknown asset type: ${type} (expected ${Object.keys(TYPES).join(', ')})`);
+  return [config.SOLIBRI[def.dir], ...config.ASSETS.roots[type]];
+}
+
+/**
+ * Files with one of the extensions below a folder
+ */
+function walk(dir, extensions, depth, found) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    return found;
+  }
+
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (depth < config.ASSETS.maxDepth) walk(full, extensions, depth + 1, found);
+    } else if (extensions.includes(path.extname(entry.name).toLowerCase())) {
+      found.push(full);
+    }
+  }
+  return found;
+}
+
+/**
+ * First non-empty attribute or child element text of a node
+ */
+function field(node, keys) {
+  if (!node || typeof node !== 'object') return null;
+  for (const key of keys) {
+    const attribute = node.$ && node.$[key];
+    if (typeof attribute === 'string' && attribute.trim()) return attribute.trim();
+    const child = text(asArray(node[key])[0]);
+    if (typeof child === 'string' && child.trim()) return child.trim();
+  }
+  return null;
+}
+
+/**
+ * Visit every element of an xml2js tree as (tag, node)
+ */
+function visit(tag, node, callback) {
+  if (!node || typeof node !== 'object') return;
+  callback(tag, node);
+  for (const [key, value] of Object.entries(node)) {
+    if (key === '$' || key === '_') continue;
+    for (const child of asArray(value)) visit(key, child, callback);
+  }
+}
+
+/**
+ * XML documents of an asset file: the entries of a ZIP archive, or the file itself
+ */
+function xmlDocuments(buffer) {
+  if (isZip(buffer)) {
+    return { format: 'zip', documents: [...readZip(buffer).values()].filter((data) => data.toString('utf8', 0, 64).trimStart().startsWith('<')) };
+  }
+  if (buffer.toString('utf8', 0, 64).replace(/^\uFEFF/, '').trimStart().startsWith('<')) {
+    return { format: 'xml', documents: [buffer] };
+  }
+  return { format: 'binary', documents: [] };
+}
+
+/**
+ * Sheet names of an Excel (.xlsx) template
+ */
+async function workbookSheets(buffer) {
+  const workbook = readZip(buffer).get('xl/workbook.xml');
+  if (!workbook) return [];
+  const root = (await parseXml(workbook)).workbook;
+  return asArray(root && root.sheets && root.sheets.sheet).map((s) => s.$ && s.$.name).filter(Boolean);
+}
+
+/**
+ * Read name, description and takeoff names (sheet names for templates) from an asset file
+ */
+async function parseMetadata(file, type) {
+  const buffer = fs.readFileSync(file);
+  if (type === 'templates') {
+    return isZip(buffer) ? { format: 'zip', sheets: await workbookSheets(buffer) } : { format: 'binary' };
+  }
+
+  const { format, documents } = xmlDocuments(buffer);
+  const metadata = { format };
+
+  const takeoffs = new Set();
+  for (const document of documents) {
+    let parsed;
+    try {
+      parsed = await parseXml(document);
+    } catch (error) {
+      continue;
+    }
+    const [rootTag, root] = Object.entries(parsed || {})[0] || [];
+    if (!root) continue;
+
+    metadata.name = metadata.name || field(root, NAME_KEYS);
+    metadata.description = metadata.description || field(root, DESCRIPTION_KEYS);
+
+    if (type === 'ito') {
+      visit(rootTag, root, (tag, node) => {
+        const name = /takeoff/i.test(tag) && field(node, NAME_KEYS);
+        if (name) takeoffs.add(name);
+      });
+    }
+  }
+
+  if (type === 'ito') metadata.takeoffs = [...takeoffs];
+  for (const key of Object.keys(metadata)) {
+    if (metadata[key] === null) delete metadata[key];
+  }
+  return metadata;
+}
+
+async function metadataFor(file, type, stat) {
+  const key = `${stat.size}:${stat.mtimeMs}`;
+  const cached = metadataCache.get(file);
+  if (cached && cached.key === key) return cached.metadata;
+
+  let metadata;
+  try {
+    metadata = await parseMetadata(file, type);
+  } catch (error) {
+    metadata = { format: 'unknown', error: error.message };
+  }
+  metadataCache.set(file, { key, metadata });
+  return metadata;
+}
+
+/**
+ * Whether every word of the query occurs in the asset's names, folder or metadata
+ */
+function matches(asset, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const m = asset.metadata || {};
+  const haystack = [asset.relativePath, m.name, m.description, ...(m.takeoffs || []), ...(m.sheets || [])]
+    .filter(Boolean)
+    .join('\n')
+    .toLowerCase();
+  return words.every((word) => haystack.includes(word));
+}
+
+/**
+ * List assets of one type
+ *
+ * @param {string} type - classifications, rulesets, ito or templates
+ * @param {object} [options]
+ * @param {string} [options.query] - Words that must all occur in the path, name, description or takeoff names
+ * @param {boolean} [options.metadata] - Read metadata from the files (default true; required for queries on metadata)
+ * @returns {Promise<Array<{name, path, root, relativePath, size, modified, metadata}>>}
+ */
+async function listAssets(type, { query, metadata = true } = {}) {
+  const { extensions } = TYPES[type] || {};
+  const assets = [];
+
+  for (const root of roots(type)) {
+    if (!root || !fs.existsSync(root)) continue;
+    for (const file of walk(root, extensions, 0, []).sort()) {
+      const stat = fs.statSync(file);
+      assets.push({
+        name: path.basename(file),
+        path: file,
+        root,
+        relativePath: path.relative(root, file).split(path.sep).join('/'),
+        size: stat.size,
+        modified: stat.mtime.toISOString(),
+        ...(metadata ? { metadata: await metadataFor(file, type, stat) } : {}),
+      });
+    }
+  }
+
+  return query ? assets.filter((asset) => matches(asset, query)) : assets;
+}
+
+/**
+ * Find an asset by relative path, file name (with or without extension) or
+ * metadata name, case-insensitive. The first root wins when names repeat.
+ */
+async function findAsset(type, ref) {
+  const wanted = ref.replace(/\\/g, '/').toLowerCase();
+  const assets = await listAssets(type);
+  const keys = (a) => [a.relativePath, a.name, path.parse(a.name).name, a.metadata && a.metadata.name].filter(Boolean).map((k) => k.toLowerCase());
+  return assets.find((a) => keys(a).includes(wanted)) || null;
+}
+
+module.exports = {
+  TYPES,
+  roots,
+  listAssets,
+  findAsset,
+};
@@ -0,0 +1,197 @@
+/**
+ * Audit Log
+ *
+ * Append-only JSON lines in AUDIT.file for QA documentation of who checked
+ * what: every tool call (caller, arguments, duration, job), every Solibri
+ * autorun execution (generated XML, exit code) and every finished job
+ * (duration, outcome, SHA-256 of the files it produced). Entries are never
+ * rewritten; `query` searches them by model, user, tool, job and date.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const config = require('../config');
+const logger = require('../logger');
+const autorun = require('./autorun');
+const files = require('./files');
+const jobs = require('./jobs');
+
+const log = logger.create('Audit');
+
+// Tool arguments that name models
+const MODEL_ARGS = ['modelPath', 'models', 'oldModel', 'newModel', 'ifcFiles', 'smcPath', 'ifcPath'];
+
+// Longer argument values (e.g. base64 uploads) are replaced by their length
+const MAX_ARGUMENT_LENGTH = 2000;
+
+/**
+ * Append an entry; failures are logged and never interrupt the caller
+ */
+function append(entry) {
+  try {
+    autorun.ensureDir(path.dirname(config.AUDIT.file));
+    fs.appendFileSync(config.AUDIT.file, `${JSON.stringify({ time: new Date().toISOString(), ...entry })}\n`, 'utf8');
+  } catch (error) {
+    log.error(`Failed to write ${config.AUDIT.file}: ${error.message}`);
+  }
+}
+
+function sanitize(value) {
+  if (typeof value === 'string') {
+    return value.length > MAX_ARGUMENT_LENGTH ? `<${value.length} characters>` : value;
+  }
+  if (Array.isArray(value)) return value.map(sanitize);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, sanitize(v)]));
+  }
+  return value;
+}
+
+function modelsOf(args = {}) {
+  return MODEL_ARGS.flatMap((key) => [].concat(args[key] || [])).filter((m) => typeof m === 'string');
+}
+
+/**
+ * Record a tool call
+ *
+ * @param {object} call
+ * @param {object} call.identity - Caller (see auth.identityOf)
+ * @param {string} [call.sessionId] - MCP session of the call
+ * @param {string} call.tool - Tool name
+ * @param {object} call.args - Tool arguments
+ * @param {number} call.durationMs - Time until the tool responded
+ * @param {string} [call.jobId] - Job queued by the call
+ * @param {object} call.result - Tool result (errors are recorded from isError results)
+ */
+function toolCall({ identity, sessionId, tool, args, durationMs, jobId, result }) {
+  const error = result && result.isError ? result.content.map((c) => c.text).join('\n') : null;
+  append({
+    type: 'tool',
+    user: identity.name,
+    sessionId: sessionId || null,
+    tool,
+    arguments: sanitize(args),
+    models: modelsOf(args),
+    jobId: jobId || null,
+    durationMs,
+    success: !error,
+    ...(error ? { error } : {}),
+  });
+}
+
+autorun.events.on('executed', ({ jobId, commands, xml, startedAt, durationMs, exitCode, error }) => {
+  // Batch jobs run each model as <jobId>-<n>
+  const job = jobs.get(jobId) || jobs.get(jobId.replace(/-\d+$/, ''));
+  append({
+    type: 'autorun',
+    jobId,
+    user: (job && job.requestedBy) || null,
+    models: commands.filter((c) => c.type === 'openmodel' || c.type === 'updatemodel').map((c) => c.file),
+    startedAt,
+    durationMs,
+    exitCode,
+    success: !error,
+    ...(error ? { error } : {}),
+    xml,
+  });
+});
+
+/**
+ * Files a job wrote, with size and SHA-256
+ */
+async function outputFiles(job) {
+  const values = [...Object.values(job.outputs || {}), ...Object.values((job.result && job.result.reports) || {})];
+  const unique = [...new Set(values.flat().filter((v) => typeof v === 'string'))];
+
+  const outputs = [];
+  for (const file of unique) {
+    try {
+      const stat = await fs.promises.stat(file);
+      outputs.push({ file, size: stat.size, sha256: await files.sha256File(file) });
+    } catch (error) {
+      outputs.push({ file, missing: true });
+    }
+  }
+  return outputs;
+}
+
+jobs.events.on('finished', async (job) => {
+  const outputs = await outputFiles(job);
+  append({
+    type: 'job',
+    jobId: job.id,
+    tool: job.tool,
+    user: job.requestedBy || null,
+    models: modelsOf(job.params),
+    params: sanitize(job.params),
+    status: job.status,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    durationMs: job.startedAt ? Date.parse(job.finishedAt) - Date.parse(job.startedAt) : null,
+    exitCode: job.exitCode,
+    ...(job.error ? { error: job.error } : {}),
+    outputs,
+  });
+});
+
+/**
+ * Time of a from/to filter; a date without time as `to` includes that whole day
+ */
+function parseTime(value, label, endOfDay = false) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw new Error(`${label}: invalid date "${value}"`);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+/**
+ * Search the audit log, newest entries first
+ *
+ * @param {object} [filters]
+ * @param {string} [filters.model] - Text contained in a model path (case-insensitive)
+ * @param {string} [filters.user] - Token name (or "scheduler", "local")
+ * @param {string} [filters.tool] - Tool name
+ * @param {string} [filters.jobId] - Job id, including the per-model runs of batch jobs
+ * @param {string} [filters.type] - tool, autorun or job
+ * @param {string} [filters.from] - Earliest time (ISO date or date-time)
+ * @param {string} [filters.to] - Latest time
+ * @param {number} [filters.offset] - Matches to skip
+ * @param {number} [filters.limit] - Matches to return
+ */
+async function query({ model, user, tool, jobId, type, from, to, offset = 0, limit = 50 } = {}) {
+  const fromTime = parseTime(from, 'from');
+  const toTime = parseTime(to, 'to', true);
+  const modelText = model && model.toLowerCase();
+
+  const matches = [];
+  if (fs.existsSync(config.AUDIT.file)) {
+    const lines = readline.createInterface({ input: fs.createReadStream(config.AUDIT.file, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+      const time = Date.parse(entry.time);
+      if (fromTime !== null && time < fromTime) continue;
+      if (toTime !== null && time > toTime) continue;
+      if (type && entry.type !== type) continue;
+      if (user && entry.user !== user) continue;
+      if (tool && entry.tool !== tool) continue;
+      if (jobId && entry.jobId !== jobId && !(entry.jobId || '').startsWith(`${jobId}-`)) continue;
+      if (modelText && !(entry.models || []).some((m) => m.toLowerCase().includes(modelText))) continue;
+      matches.push(entry);
+    }
+  }
+
+  matches.reverse();
+  return { total: matches.length, offset, entries: matches.slice(offset, offset + limit) };
+}
+
+module.exports = {
+  toolCall,
+  query,
+};
@@ -5,8 +5,15 @@
 const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
 const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
+const logger = require('../logger');
+const { COMMANDS, validateCommands } = require('./commands');
+const { escapeXml } = require('./xml');
+
+// 'executed' ({ jobId, commands, xml, startedAt, durationMs, exitCode, error }) after every Solibri run
+const events = new EventEmitter();
 
 // Ensure directories exist
 function ensureDir(dir) {
@@ -17,97 +24,22 @@ function ensureDir(dir) {
 
 /**
  * Generate Autorun XML from commands
+ *
+ * Commands are validated against the command schema first; unknown commands,
+ * missing attributes or invalid ordering throw instead of being skipped.
  */
 function generateXml(commands) {
+  validateCommands(commands);
+
   const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<autorun>'];
 
   for (const cmd of commands) {
-    switch (cmd.type) {
-      case 'openmodel':
-        lines.push(`  <openmodel file="${escapeXml(cmd.file)}" />`);
-        break;
-
-      case 'updatemodel':
-        lines.push(`  <updatemodel file="${escapeXml(cmd.file)}" />`);
-        break;
-
-      case 'savemodel':
-        lines.push(`  <savemodel file="${escapeXml(cmd.file)}" />`);
-        break;
-
-      case 'openclassification':
-        lines.push(`  <openclassification file="${escapeXml(cmd.file)}" />`);
-        break;
-
-      case 'openruleset':
-        lines.push(`  <openruleset file="${escapeXml(cmd.file)}" />`);
-        break;
-
-      case 'openito':
-        lines.push(`  <openito file="${escapeXml(cmd.file)}" />`);
-        break;
-
-      case 'check':
-        lines.push('  <check />');
-        break;
-
-      case 'takeoff':
-        if (cmd.name) {
-          lines.push(`  <takeoff name="${escapeXml(cmd.name)}" />`);
-        } else {
-          lines.push('  <takeoff />');
-        }
-        break;
-
-      case 'itoreport':
-        let itoReportAttrs = `file="${escapeXml(cmd.file)}"`;
-        if (cmd.templatefile) {
-          itoReportAttrs += ` templatefile="${escapeXml(cmd.templatefile)}"`;
-        }
-        if (cmd.title) {
-          itoReportAttrs += ` title="${escapeXml(cmd.title)}"`;
-        }
-        if (cmd.name) {
-          itoReportAttrs += ` name="${escapeXml(cmd.name)}"`;
-        }
-        lines.push(`  <itoreport ${itoReportAttrs} />`);
-        break;
-
-      case 'bcfreport':
-        let bcfAttrs = `file="${escapeXml(cmd.file)}"`;
-        if (cmd.version) {
-          bcfAttrs += ` version="${cmd.version}"`;
-        }
-        lines.push(`  <bcfreport ${bcfAttrs} />`);
-        break;
-
-      case 'createpresentation':
-        lines.push('  <createpresentation />');
-        break;
-
-      case 'updatepresentation':
-        lines.push('  <updatepresentation />');
-        break;
-
-      case 'autocomment':
-        let acAttrs = '';
-        if (cmd.snapshots !== undefined) {
-          acAttrs += ` snapshots="${cmd.snapshots}"`;
-        }
-        lines.push(`  <autocomment${acAttrs} />`);
-        break;
-
-      case 'autoupdatemodels':
-        lines.push('  <autoupdatemodels />');
-        break;
-
-      case 'exit':
-        lines.push('  <exit />');
-        break;
-
-      default:
-        console.warn(`Unknown command type: ${cmd.type}`);
-    }
+    // Attributes are written in schema order, omitting unset optional ones
+    const attrs = Object.keys(COMMANDS[cmd.type].attributes)
+      .filter((name) => cmd[name] !== undefined && cmd[name] !== null && cmd[name] !== '')
+      .map((name) => ` ${name}="${escapeXml(String(cmd[name]))}"`)
+      .join('');
+    lines.push(`  <${cmd.type}${attrs} />`);
   }
 
   lines.push('</autorun>');
@@ -115,34 +47,59 @@ function generateXml(commands) {
 }
 
 /**
- * Escape special XML characters
+ * Stop a spawned Solibri process. On Windows the whole process tree is
+ * killed, since Solibri.exe launches its JVM as a child process.
  */
-function escapeXml(str) {
-  if (!str) return '';
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&apos;');
+function killProcess(proc) {
+  if (process.platform === 'win32' && proc.pid) {
+    spawn('taskkill', ['/pid', String(proc.pid), '/T', '/F'], { windowsHide: true });
+  } else {
+    proc.kill('SIGTERM');
+  }
 }
 
 /**
  * Execute Solibri with Autorun XML
+ *
+ * Options:
+ * - jobId: reuse an existing job id (defaults to a new uuid)
+ * - logJobId: job whose log receives the XML and Solibri's output (defaults to jobId)
+ * - onSpawn: called with the child process once Solibri is started
+ * - onOutput: called with ('stdout' | 'stderr', text) as Solibri writes output
+ * - enableRestApi: start Solibri with the REST API server enabled
+ *
+ * Emits 'executed' on `events` once Solibri has exited, failed to start or timed out.
  */
 async function executeAutorun(commands, options = {}) {
   ensureDir(config.SOLIBRI.autorunDir);
   ensureDir(config.SOLIBRI.outputDir);
 
-  const jobId = uuidv4();
+  const jobId = options.jobId || uuidv4();
   const xmlPath = path.join(config.SOLIBRI.autorunDir, `${jobId}.xml`);
 
   // Generate and save XML
   const xml = generateXml(commands);
   fs.writeFileSync(xmlPath, xml, 'utf8');
 
-  console.log(`[Autorun ${jobId}] Generated XML:`, xmlPath);
-  console.log(xml);
+  // Runs of a batch job log to the batch job, tagged with their own id
+  const log = logger.create('Autorun', options.logJobId ? { jobId: options.logJobId, run: jobId } : { jobId });
+  log.debug(`Generated XML ${xmlPath}:\n${xml}`);
+
+  const startedAt = new Date();
+  let reported = false;
+  const report = (exitCode, error) => {
+    if (reported) return;
+    reported = true;
+    events.emit('executed', {
+      jobId,
+      commands,
+      xml,
+      startedAt: startedAt.toISOString(),
+      durationMs: Date.now() - startedAt.getTime(),
+      exitCode,
+      error: error ? error.message : null,
+    });
+  };
 
   return new Promise((resolve, reject) => {
     const args = ['--autorun', xmlPath];
@@ -153,29 +110,35 @@ async function executeAutorun(commands, options = {}) {
       args.push('--rest-api-server-http');
     }
 
-    console.log(`[Autorun ${jobId}] Executing: "${config.SOLIBRI.exePath}" ${args.join(' ')}`);
+    log.info(`Executing: "${config.SOLIBRI.exePath}" ${args.join(' ')}`);
 
     const proc = spawn(config.SOLIBRI.exePath, args, {
       stdio: ['ignore', 'pipe', 'pipe'],
       windowsHide: true,
     });
 
+    if (options.onSpawn) options.onSpawn(proc);
+
     let stdout = '';
     let stderr = '';
 
     proc.stdout.on('data', (data) => {
       stdout += data.toString();
-      console.log(`[Autorun ${jobId}] stdout:`, data.toString());
+      for (const line of data.toString().split(/\r?\n/).filter((l) => l.trim())) log.debug(`[stdout] ${line}`);
+      if (options.onOutput) options.onOutput('stdout', data.toString());
     });
 
     proc.stderr.on('data', (data) => {
       stderr += data.toString();
-      console.error(`[Autorun ${jobId}] stderr:`, data.toString());
+      for (const line of data.toString().split(/\r?\n/).filter((l) => l.trim())) log.debug(`[stderr] ${line}`);
+      if (options.onOutput) options.onOutput('stderr', data.toString());
     });
 
     const timeout = setTimeout(() => {
-      proc.kill('SIGTERM');
-      reject(new Error(`Autorun timed out after ${config.AUTORUN.timeout}ms`));
+      killProcess(proc);
+      const error = new Error(`Autorun timed out after ${config.AUTORUN.timeout}ms`);
+      report(null, error);
+      reject(error);
     }, config.AUTORUN.timeout);
 
     proc.on('close', (code) => {
@@ -191,6 +154,7 @@ async function executeAutorun(commands, options = {}) {
       }
 
       if (code === 0) {
+        report(code);
         resolve({
           jobId,
           success: true,
@@ -199,54 +163,25 @@ async function executeAutorun(commands, options = {}) {
           stderr,
         });
       } else {
-        reject(new Error(`Autorun exited with code ${code}: ${stderr || stdout}`));
+        const error = new Error(`Autorun exited with code ${code}: ${stderr || stdout}`);
+        report(code, error);
+        reject(error);
       }
     });
 
     proc.on('error', (err) => {
       clearTimeout(timeout);
-      reject(new Error(`Failed to start Solibri: ${err.message}`));
+      const error = new Error(`Failed to start Solibri: ${err.message}`);
+      report(null, error);
+      reject(error);
     });
   });
 }
 
-/**
- * List available assets (classifications, rulesets, ITOs)
- */
-function listAssets(type) {
-  const dirs = {
-    classifications: config.SOLIBRI.classificationsDir,
-    rulesets: config.SOLIBRI.rulesetsDir,
-    ito: config.SOLIBRI.itoDir,
-    templates: config.SOLIBRI.templatesDir,
-  };
-
-  const dir = dirs[type];
-  if (!dir || !fs.existsSync(dir)) {
-    return [];
-  }
-
-  const extensions = {
-    classifications: ['.classification'],
-    rulesets: ['.cset'],
-    ito: ['.ito'],
-    templates: ['.xlsx', '.xls'],
-  };
-
-  const exts = extensions[type] || [];
-  const files = fs.readdirSync(dir);
-
-  return files
-    .filter((f) => exts.some((ext) => f.toLowerCase().endsWith(ext)))
-    .map((f) => ({
-      name: f,
-      path: path.join(dir, f),
-    }));
-}
-
 module.exports = {
+  events,
   generateXml,
   executeAutorun,
-  listAssets,
+  killProcess,
   ensureDir,
 };
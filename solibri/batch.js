@@ -0,0 +1,239 @@
+/**
+ * Batch Model Checking
+ *
+ * Checks several models against the same rulesets as one job. Solibri is
+ * launched once per model, so a model that fails to open or check does not
+ * stop the others; each model gets its own BCF report (and takeoff reports
+ * when ITOs are given) and the job result is a table of issue counts per model
+ * and rule. Used by solibri_batch_check and scheduled checks.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const autorun = require('./autorun');
+const bcf = require('./bcf');
+const { validateCommands } = require('./commands');
+const ifc = require('./ifc');
+const paths = require('./paths');
+
+const CASE_INSENSITIVE = process.platform === 'win32';
+
+/**
+ * Regular expression for a glob pattern: * and ? match within a folder,
+ * ** matches any number of folders
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      // "**/" also matches no folder at all
+      source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else {
+      source += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, CASE_INSENSITIVE ? 'i' : '');
+}
+
+function walk(dir, depth, found) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    return found;
+  }
+
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (depth < config.ASSETS.maxDepth) walk(full, depth + 1, found);
+    } else {
+      found.push(full);
+    }
+  }
+  return found;
+}
+
+/**
+ * Model files matching a glob pattern (relative to the work directory)
+ */
+function expandPattern(pattern) {
+  const segments = pattern.replace(/\\/g, '/').split('/');
+  const fixed = segments.findIndex((s) => /[*?]/.test(s));
+  const base = paths.resolveInput(segments.slice(0, fixed).join('/') || '.', 'models');
+  const regex = globToRegExp(segments.slice(fixed).join('/'));
+
+  return walk(base, 0, [])
+    .filter((file) => regex.test(path.relative(base, file).split(path.sep).join('/')))
+    .filter((file) => ifc.MODEL_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort();
+}
+
+/**
+ * Resolve model paths and glob patterns (e.g. "models/*.ifc") to a list of
+ * files, in the given order and without duplicates
+ */
+function expandModels(models) {
+  const files = [];
+  for (const entry of models) {
+    if (typeof entry === 'string' && /[*?]/.test(entry)) {
+      const matches = expandPattern(entry);
+      if (matches.length === 0) throw new Error(`models: no model files match ${entry}`);
+      files.push(...matches.map((file) => paths.resolveInput(file, 'models')));
+    } else {
+      files.push(paths.resolveInput(entry, 'models'));
+    }
+  }
+
+  const seen = new Set();
+  return files.filter((file) => {
+    const key = CASE_INSENSITIVE ? file.toLowerCase() : file;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Short unique names for the models (file names, numbered when repeated) used
+ * in the summary table, and the matching BCF file names
+ */
+function modelNames(files) {
+  const counts = new Map();
+  return files.map((file) => {
+    const { base, name } = path.parse(file);
+    const n = (counts.get(base.toLowerCase()) || 0) + 1;
+    counts.set(base.toLowerCase(), n);
+    return n === 1
+      ? { name: base, bcfName: `${name}.bcfzip` }
+      : { name: `${base} #${n}`, bcfName: `${name}-${n}.bcfzip` };
+  });
+}
+
+/**
+ * Autorun script per model: open, check, write the BCF and run each ITO
+ *
+ * @param {string[]} files - Resolved model paths
+ * @param {object} options
+ * @param {string} options.outputDir - Folder for the reports
+ * @param {string[]} options.rulesets - Resolved ruleset paths
+ * @param {string[]} [options.classifications] - Resolved classification paths
+ * @param {string[]} [options.itos] - Resolved ITO paths; each writes <model>-<ito>.xlsx
+ * @param {string} [options.bcfVersion] - BCF version of the reports (default 2.1)
+ * @returns {Array<{model, name, bcf, takeoffs, commands}>}
+ */
+function plan(files, { outputDir, rulesets, classifications = [], itos = [], bcfVersion = '2.1' }) {
+  autorun.ensureDir(outputDir);
+  return modelNames(files).map(({ name, bcfName }, i) => {
+    const stem = path.parse(bcfName).name;
+    const bcfFile = path.join(outputDir, bcfName);
+    const commands = [{ type: 'openmodel', file: files[i] }];
+    for (const file of classifications) commands.push({ type: 'openclassification', file });
+    for (const file of rulesets) commands.push({ type: 'openruleset', file });
+    commands.push({ type: 'check' });
+    commands.push({ type: 'bcfreport', file: bcfFile, version: bcfVersion });
+
+    const takeoffs = itos.map((ito) => {
+      const excel = path.join(outputDir, `${stem}-${path.parse(ito).name}.xlsx`);
+      commands.push({ type: 'openito', file: ito }, { type: 'takeoff' }, { type: 'itoreport', file: excel });
+      return excel;
+    });
+    commands.push({ type: 'exit' });
+
+    validateCommands(commands);
+    return { model: files[i], name, bcf: bcfFile, takeoffs, commands: paths.resolveCommands(commands) };
+  });
+}
+
+/**
+ * Custom job executor checking each planned model in turn
+ *
+ * @param {Array<{model, name, bcf, takeoffs, commands}>} plans - From plan()
+ * @returns {Function} Executor (job, ctx) resolving to { code, results }
+ */
+function createRunner(plans) {
+  return async (job, ctx) => {
+    const results = [];
+
+    for (const [i, plan] of plans.entries()) {
+      if (ctx.isCancelled()) throw new Error('Job cancelled');
+      ctx.progress({ progress: i, total: plans.length, message: `Checking ${plan.name} (${i + 1}/${plans.length})` });
+
+      const result = { model: plan.model, name: plan.name, bcf: plan.bcf, takeoffs: plan.takeoffs };
+      try {
+        await autorun.executeAutorun(plan.commands, {
+          jobId: `${job.id}-${i + 1}`,
+          logJobId: job.id,
+          onSpawn: ctx.onSpawn,
+        });
+        const summary = bcf.summarize(await bcf.readBcf(plan.bcf));
+        Object.assign(result, { status: 'completed', issues: summary.topicCount, byRule: summary.byRule, bySeverity: summary.bySeverity });
+        ctx.log(`${plan.name}: ${summary.topicCount} issues`);
+      } catch (error) {
+        if (ctx.isCancelled()) throw new Error('Job cancelled');
+        Object.assign(result, { status: 'failed', error: error.message.slice(0, 2000) });
+        ctx.log(`${plan.name}: failed (${error.message.split('\n')[0]})`, 'warning');
+      }
+      results.push(result);
+    }
+
+    const failed = results.filter((r) => r.status === 'failed');
+    if (failed.length === results.length) {
+      throw new Error(`All ${results.length} models failed: ${failed.map((r) => `${r.name}: ${r.error}`).join('; ')}`);
+    }
+    return { code: 0, results };
+  };
+}
+
+/**
+ * Consolidated summary: per-model results, issue counts per rule and model,
+ * and the same counts as a Markdown table
+ */
+function consolidate(results) {
+  const completed = results.filter((r) => r.status === 'completed');
+  const rules = new Map();
+  for (const result of completed) {
+    for (const [rule, count] of Object.entries(result.byRule)) {
+      if (!rules.has(rule)) rules.set(rule, { rule, total: 0, byModel: {} });
+      const row = rules.get(rule);
+      row.byModel[result.name] = count;
+      row.total += count;
+    }
+  }
+  const byRule = [...rules.values()].sort((a, b) => b.total - a.total || a.rule.localeCompare(b.rule));
+
+  const names = completed.map((r) => r.name);
+  const cell = (value) => String(value).replace(/\|/g, '\\|');
+  const table = [
+    `| Rule | ${names.map(cell).join(' | ')} | Total |`,
+    `|---|${names.map(() => '---:').join('|')}|---:|`,
+    ...byRule.map((row) => `| ${cell(row.rule)} | ${names.map((n) => row.byModel[n] || 0).join(' | ')} | ${row.total} |`),
+    `| **Total** | ${completed.map((r) => r.issues).join(' | ')} | ${completed.reduce((sum, r) => sum + r.issues, 0)} |`,
+  ].join('\n');
+
+  return {
+    totals: {
+      models: results.length,
+      completed: completed.length,
+      failed: results.length - completed.length,
+      issues: completed.reduce((sum, r) => sum + r.issues, 0),
+    },
+    models: results,
+    byRule,
+    table,
+  };
+}
+
+module.exports = {
+  expandModels,
+  plan,
+  createRunner,
+  consolidate,
+};
@@ -0,0 +1,265 @@
+/**
+ * BCF Writer
+ *
+ * Creates BCF 2.1 and 3.0 archives from structured topics and merges archives
+ * written by `bcfreport`. Merged topic folders are copied unchanged (markup,
+ * viewpoints and snapshots), so only archives of the output version can be
+ * merged; a topic whose GUID was already added is skipped.
+ */
+
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const bcf = require('./bcf');
+const { readZip, writeZip } = require('./zip');
+const { parseXml, escapeXml } = require('./xml');
+
+const VERSIONS = ['2.1', '3.0'];
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>';
+const DEFAULT_AUTHOR = 'solibri-mcp-server';
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function element(name, value) {
+  if (value === undefined || value === null || value === '') return '';
+  return `<${name}>${escapeXml(String(value))}</${name}>`;
+}
+
+function vector(name, value, label) {
+  if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite)) {
+    throw new Error(`${label}: ${name} must be [x, y, z]`);
+  }
+  const [x, y, z] = value;
+  return `<${name}><X>${x}</X><Y>${y}</Y><Z>${z}</Z></${name}>`;
+}
+
+/**
+ * A GUID given for a topic or comment. It names the topic folder in the
+ * archive and goes into Guid attributes, so only UUIDs are accepted.
+ */
+function checkGuid(guid, label) {
+  if (typeof guid !== 'string' || !UUID.test(guid)) {
+    throw new Error(`${label}: guid must be a UUID such as 3f2504e0-4f89-41d3-9a0c-0305e82c3301 (got ${JSON.stringify(guid)})`);
+  }
+  return guid;
+}
+
+/**
+ * Camera element of a viewpoint
+ *
+ * @param {object} camera - { type: 'perspective' | 'orthogonal', position, direction, up, fieldOfView, viewToWorldScale, aspectRatio }
+ */
+function cameraXml(camera, version, label) {
+  const type = camera.type || 'perspective';
+  const vectors = vector('CameraViewPoint', camera.position, label)
+    + vector('CameraDirection', camera.direction, label)
+    + vector('CameraUpVector', camera.up || [0, 0, 1], label);
+  // BCF 3.0 requires the aspect ratio
+  const aspectRatio = version === '3.0' ? element('AspectRatio', camera.aspectRatio || 1.6) : '';
+
+  if (type === 'perspective') {
+    return `<PerspectiveCamera>${vectors}${element('FieldOfView', camera.fieldOfView || 60)}${aspectRatio}</PerspectiveCamera>`;
+  }
+  if (type === 'orthogonal') {
+    return `<OrthogonalCamera>${vectors}${element('ViewToWorldScale', camera.viewToWorldScale || 1)}${aspectRatio}</OrthogonalCamera>`;
+  }
+  throw new Error(`${label}: camera type must be perspective or orthogonal`);
+}
+
+function viewpointXml(guid, topic, version, label) {
+  const components = (topic.ifcGuids || []).map((g) => `<Component IfcGuid="${escapeXml(g)}"/>`).join('');
+  return [
+    XML_HEADER,
+    `<VisualizationInfo Guid="${guid}">`,
+    '<Components>',
+    components ? `<Selection>${components}</Selection>` : '',
+    '<Visibility DefaultVisibility="true"/>',
+    '</Components>',
+    topic.camera ? cameraXml(topic.camera, version, label) : '',
+    '</VisualizationInfo>',
+  ].join('');
+}
+
+/**
+ * Markup and viewpoint files of an authored topic, numbered `position` in the archive
+ *
+ * @param {object} topic - { guid, title, description, status, type, priority, labels, assignedTo, dueDate, author, ifcGuids, camera, comments }
+ * @returns {{ guid: string, entries: Array<[string, string]>, topic: object }} Files under the topic folder, and the topic with defaults applied
+ */
+function topicEntries(topic, index, version, position) {
+  const label = `topics[${index}]`;
+  if (!topic.title) throw new Error(`${label}: title is required`);
+
+  const guid = topic.guid === undefined || topic.guid === null ? uuidv4() : checkGuid(topic.guid, label);
+  const now = new Date().toISOString();
+  const author = topic.author || DEFAULT_AUTHOR;
+  const hasViewpoint = (topic.ifcGuids && topic.ifcGuids.length > 0) || topic.camera;
+  const viewpointGuid = uuidv4();
+  const labels = topic.labels || [];
+
+  const comments = (topic.comments || []).map((c, i) => ({
+    guid: c.guid === undefined || c.guid === null ? uuidv4() : checkGuid(c.guid, `${label}.comments[${i}]`),
+    xml: element('Date', c.date || now) + element('Author', c.author || author) + element('Comment', c.comment),
+  }));
+  const commentXml = (c) => `<Comment Guid="${c.guid}">${c.xml}${hasViewpoint ? `<Viewpoint Guid="${viewpointGuid}"/>` : ''}</Comment>`;
+
+  const fields = [
+    element('Title', topic.title),
+    element('Priority', topic.priority),
+    // Index was dropped in BCF 3.0
+    version === '3.0' ? '' : element('Index', position),
+    version === '3.0'
+      ? (labels.length > 0 ? `<Labels>${labels.map((l) => element('Label', l)).join('')}</Labels>` : '')
+      : labels.map((l) => element('Labels', l)).join(''),
+    element('CreationDate', now),
+    element('CreationAuthor', author),
+    element('DueDate', topic.dueDate),
+    element('AssignedTo', topic.assignedTo),
+    element('Description', topic.description),
+  ];
+
+  // BCF 3.0 nests comments and viewpoints in the topic, BCF 2.1 keeps them beside it
+  let markup;
+  const attributes = `Guid="${guid}" TopicType="${escapeXml(topic.type || 'Issue')}" TopicStatus="${escapeXml(topic.status || 'Open')}"`;
+  if (version === '3.0') {
+    markup = `<Markup><Topic ${attributes}>${fields.join('')}`
+      + (comments.length > 0 ? `<Comments>${comments.map(commentXml).join('')}</Comments>` : '')
+      + (hasViewpoint ? `<Viewpoints><ViewPoint Guid="${viewpointGuid}"><Viewpoint>viewpoint.bcfv</Viewpoint></ViewPoint></Viewpoints>` : '')
+      + '</Topic></Markup>';
+  } else {
+    markup = `<Markup><Topic ${attributes}>${fields.join('')}</Topic>`
+      + comments.map(commentXml).join('')
+      + (hasViewpoint ? `<Viewpoints Guid="${viewpointGuid}"><Viewpoint>viewpoint.bcfv</Viewpoint></Viewpoints>` : '')
+      + '</Markup>';
+  }
+
+  const entries = [[`${guid}/markup.bcf`, XML_HEADER + markup]];
+  if (hasViewpoint) entries.push([`${guid}/viewpoint.bcfv`, viewpointXml(viewpointGuid, topic, version, label)]);
+  return { guid, entries, topic: { ...topic, type: topic.type || 'Issue', status: topic.status || 'Open', author } };
+}
+
+/**
+ * Topic folders of an existing archive, with their GUID and parsed topic
+ */
+async function readArchive(file) {
+  const buffer = fs.readFileSync(file);
+  const entries = readZip(buffer);
+  const parsed = await bcf.readBcf(buffer);
+  const byGuid = new Map(parsed.topics.map((t) => [t.guid, t]));
+
+  const topics = [];
+  for (const name of entries.keys()) {
+    if (!name.endsWith('/markup.bcf')) continue;
+    const folder = name.slice(0, -'/markup.bcf'.length);
+    const markup = await parseXml(entries.get(name));
+    const attrs = (markup.Markup && markup.Markup.Topic && markup.Markup.Topic.$) || {};
+    const guid = checkGuid(attrs.Guid || folder, `${file}: topic ${folder}`);
+    topics.push({
+      guid,
+      topic: byGuid.get(guid),
+      entries: [...entries].filter(([entry]) => entry.startsWith(`${folder}/`)).map(([entry, data]) => [`${guid}/${entry.slice(folder.length + 1)}`, data]),
+    });
+  }
+  return { version: parsed.version, project: parsed.project, topics };
+}
+
+function projectXml(project, version) {
+  const inner = `<Project ProjectId="${escapeXml(project.id || uuidv4())}">${element('Name', project.name)}</Project>`;
+  return version === '3.0'
+    ? `${XML_HEADER}<ProjectInfo>${inner}</ProjectInfo>`
+    : `${XML_HEADER}<ProjectExtension>${inner}<ExtensionSchema></ExtensionSchema></ProjectExtension>`;
+}
+
+/**
+ * BCF 3.0 extensions.xml listing the values the topics use
+ */
+function extensionsXml(topics) {
+  const values = (pick) => [...new Set(topics.flatMap(pick).filter(Boolean))];
+  const list = (outer, inner, items) => (items.length > 0 ? `<${outer}>${items.map((v) => element(inner, v)).join('')}</${outer}>` : '');
+  return XML_HEADER + '<Extensions>'
+    + list('TopicTypes', 'TopicType', values((t) => [t.type]))
+    + list('TopicStatuses', 'TopicStatus', values((t) => [t.status]))
+    + list('Priorities', 'Priority', values((t) => [t.priority]))
+    + list('TopicLabels', 'TopicLabel', values((t) => t.labels || []))
+    + list('Users', 'User', values((t) => [t.assignedTo, t.author, t.creationAuthor]))
+    + '</Extensions>';
+}
+
+/**
+ * Write a BCF archive from merged archives and authored topics
+ *
+ * @param {string} file - Output path (already checked)
+ * @param {object} options
+ * @param {string} [options.version] - 2.1 or 3.0 (defaults to the version of the first merged archive, else 2.1)
+ * @param {string[]} [options.merge] - BCF archives whose topics are copied, in order
+ * @param {Array} [options.topics] - Topics to add after the merged ones
+ * @param {object} [options.project] - { id, name }; defaults to the project of the first merged archive
+ * @returns {Promise<object>} Counts of written, merged and skipped topics
+ */
+async function writeBcf(file, { version, merge = [], topics = [], project } = {}) {
+  const archives = [];
+  for (const source of merge) archives.push({ file: source, ...(await readArchive(source)) });
+
+  version = version || (archives[0] && archives[0].version) || '2.1';
+  if (!VERSIONS.includes(version)) throw new Error(`Unsupported BCF version ${version} (expected ${VERSIONS.join(' or ')})`);
+  for (const archive of archives) {
+    if (archive.version !== version) {
+      throw new Error(`Cannot merge ${archive.file} (BCF ${archive.version || 'unknown'}) into a BCF ${version} archive`);
+    }
+  }
+  if (archives.length === 0 && topics.length === 0) throw new Error('Nothing to write: pass topics or BCF files to merge');
+
+  const seen = new Set();
+  const duplicates = [];
+  const written = [];
+  const entries = [];
+  const sources = [];
+
+  for (const archive of archives) {
+    let count = 0;
+    for (const t of archive.topics) {
+      if (seen.has(t.guid)) {
+        duplicates.push(t.guid);
+        continue;
+      }
+      seen.add(t.guid);
+      entries.push(...t.entries);
+      if (t.topic) written.push(t.topic);
+      count++;
+    }
+    sources.push({ file: archive.file, topics: archive.topics.length, added: count });
+  }
+
+  let authored = 0;
+  topics.forEach((topic, i) => {
+    const result = topicEntries(topic, i, version, seen.size + 1);
+    if (seen.has(result.guid)) {
+      duplicates.push(result.guid);
+      return;
+    }
+    seen.add(result.guid);
+    entries.push(...result.entries);
+    written.push(result.topic);
+    authored++;
+  });
+
+  const header = [['bcf.version', version === '3.0'
+    ? `${XML_HEADER}<Version VersionId="3.0"/>`
+    : `${XML_HEADER}<Version VersionId="2.1"><DetailedVersion>2.1</DetailedVersion></Version>`]];
+  const projectInfo = project || (archives.find((a) => a.project) || {}).project;
+  if (projectInfo) header.push(['project.bcfp', projectXml(projectInfo, version)]);
+  if (version === '3.0') header.push(['extensions.xml', extensionsXml(written)]);
+
+  fs.writeFileSync(file, writeZip([...header, ...entries]));
+  return {
+    file,
+    version,
+    topicCount: seen.size,
+    authored,
+    merged: sources,
+    duplicates,
+  };
+}
+
+module.exports = {
+  VERSIONS,
+  writeBcf,
+};
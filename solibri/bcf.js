@@ -0,0 +1,209 @@
+/**
+ * BCF Reader
+ *
+ * Parses .bcfzip archives written by the autorun `bcfreport` command
+ * (BCF 2.1 and 3.0) into structured issues.
+ */
+
+const path = require('path');
+const { readZip } = require('./zip');
+const { parseXml, asArray, text } = require('./xml');
+
+/**
+ * Collect IFC GUIDs from a viewpoint's selection, visibility exceptions and coloring
+ */
+function viewpointGuids(visualizationInfo) {
+  const components = visualizationInfo && visualizationInfo.Components;
+  if (!components) return [];
+
+  const nodes = [];
+  if (components.Selection) nodes.push(...asArray(components.Selection.Component));
+  if (components.Visibility && components.Visibility.Exceptions) {
+    nodes.push(...asArray(components.Visibility.Exceptions.Component));
+  }
+  if (components.Coloring) {
+    for (const color of asArray(components.Coloring.Color)) nodes.push(...asArray(color.Component));
+  }
+  // BCF 2.0 style: Components/Component
+  nodes.push(...asArray(components.Component));
+
+  return nodes.map((c) => c && c.$ && c.$.IfcGuid).filter(Boolean);
+}
+
+/**
+ * Parse a topic folder (markup.bcf plus its viewpoints) into an issue
+ */
+async function parseTopic(folder, entries) {
+  const markup = await parseXml(entries.get(`${folder}/markup.bcf`));
+  const root = markup.Markup || {};
+  const topic = root.Topic || {};
+  const attrs = topic.$ || {};
+
+  // BCF 2.1 keeps comments and viewpoints beside the topic, BCF 3.0 nests them inside it
+  const commentNodes = topic.Comments ? asArray(topic.Comments.Comment) : asArray(root.Comment);
+  const viewpointNodes = topic.Viewpoints ? asArray(topic.Viewpoints.ViewPoint) : asArray(root.Viewpoints);
+  const labels = topic.Labels && topic.Labels.Label !== undefined
+    ? asArray(topic.Labels.Label).map(text)
+    : asArray(topic.Labels).map(text);
+
+  const viewpoints = [];
+  const guids = new Set();
+  for (const vp of viewpointNodes) {
+    const file = text(vp.Viewpoint);
+    let components = [];
+    if (file && entries.has(`${folder}/${file}`)) {
+      const info = await parseXml(entries.get(`${folder}/${file}`));
+      components = viewpointGuids(info.VisualizationInfo);
+      components.forEach((g) => guids.add(g));
+    }
+    viewpoints.push({
+      guid: vp.$ && vp.$.Guid,
+      viewpoint: file,
+      snapshot: text(vp.Snapshot),
+      components,
+    });
+  }
+
+  return {
+    guid: attrs.Guid || folder,
+    title: text(topic.Title),
+    description: text(topic.Description),
+    type: attrs.TopicType || null,
+    status: attrs.TopicStatus || null,
+    priority: text(topic.Priority),
+    labels: labels.filter(Boolean),
+    // Solibri writes the rule path as the topic labels, the last label being the rule itself
+    rule: labels.filter(Boolean).pop() || attrs.TopicType || null,
+    index: text(topic.Index),
+    assignedTo: text(topic.AssignedTo),
+    creationDate: text(topic.CreationDate),
+    creationAuthor: text(topic.CreationAuthor),
+    modifiedDate: text(topic.ModifiedDate),
+    dueDate: text(topic.DueDate),
+    comments: commentNodes.map((c) => ({
+      guid: c.$ && c.$.Guid,
+      date: text(c.Date),
+      author: text(c.Author),
+      comment: text(c.Comment),
+      viewpoint: c.Viewpoint && c.Viewpoint.$ ? c.Viewpoint.$.Guid : null,
+    })),
+    viewpoints,
+    ifcGuids: [...guids],
+  };
+}
+
+/**
+ * Read a BCF archive
+ *
+ * @param {string|Buffer} file - Path to the .bcfzip (or .bcf) archive, or its contents
+ * @returns {Promise<{version: string|null, project: object|null, topics: Array}>}
+ */
+async function readBcf(file) {
+  const entries = readZip(file);
+
+  let version = null;
+  if (entries.has('bcf.version')) {
+    const doc = await parseXml(entries.get('bcf.version'));
+    version = doc.Version && doc.Version.$ ? doc.Version.$.VersionId : null;
+  }
+
+  let project = null;
+  if (entries.has('project.bcfp')) {
+    const doc = await parseXml(entries.get('project.bcfp'));
+    // BCF 2.1 ProjectExtension, BCF 3.0 ProjectInfo
+    const node = (doc.ProjectExtension || doc.ProjectInfo || {}).Project;
+    if (node) project = { id: node.$ && node.$.ProjectId, name: text(node.Name) };
+  }
+
+  const folders = [...entries.keys()]
+    .filter((name) => path.posix.basename(name) === 'markup.bcf')
+    .map((name) => path.posix.dirname(name));
+
+  const topics = [];
+  for (const folder of folders) {
+    topics.push(await parseTopic(folder, entries));
+  }
+  topics.sort((a, b) => (Number(a.index) || 0) - (Number(b.index) || 0));
+
+  return { version, project, topics };
+}
+
+function countBy(topics, key) {
+  const counts = {};
+  for (const topic of topics) {
+    const value = topic[key] || 'Unspecified';
+    counts[value] = (counts[value] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Summarize a parsed BCF: counts by rule/severity/status, titles and referenced GUIDs
+ */
+function summarize(bcf, { maxTitles = 200, maxGuids = 1000 } = {}) {
+  const { topics } = bcf;
+  const titles = [...new Set(topics.map((t) => t.title).filter(Boolean))];
+  const guids = [...new Set(topics.flatMap((t) => t.ifcGuids))];
+
+  return {
+    version: bcf.version,
+    project: bcf.project,
+    topicCount: topics.length,
+    byRule: countBy(topics, 'rule'),
+    bySeverity: countBy(topics, 'priority'),
+    byStatus: countBy(topics, 'status'),
+    titles: titles.slice(0, maxTitles),
+    titleCount: titles.length,
+    ifcGuids: guids.slice(0, maxGuids),
+    ifcGuidCount: guids.length,
+  };
+}
+
+/**
+ * Snapshot images of each topic
+ *
+ * @param {string|Buffer} file - Path to the archive, or its contents
+ * @returns {Promise<Map<string, Array<{name: string, data: Buffer}>>>} Topic GUID -> snapshots
+ */
+async function readSnapshots(file) {
+  const entries = readZip(file);
+  const snapshots = new Map();
+
+  for (const name of entries.keys()) {
+    if (path.posix.basename(name) !== 'markup.bcf') continue;
+    const folder = path.posix.dirname(name);
+    const markup = await parseXml(entries.get(name));
+    const topic = (markup.Markup && markup.Markup.Topic) || {};
+    const guid = (topic.$ && topic.$.Guid) || folder;
+
+    const images = [...entries.keys()]
+      .filter((entry) => path.posix.dirname(entry) === folder && /\.(png|jpe?g)$/i.test(entry))
+      .map((entry) => ({ name: path.posix.basename(entry), data: entries.get(entry) }));
+    snapshots.set(guid, images);
+  }
+  return snapshots;
+}
+
+/**
+ * Filter and page topics for detailed issue listings
+ */
+function pageTopics(topics, { rule, severity, status, offset = 0, limit = 50 } = {}) {
+  const filtered = topics
+    .filter((t) => !rule || t.rule === rule)
+    .filter((t) => !severity || t.priority === severity)
+    .filter((t) => !status || t.status === status);
+
+  return {
+    total: filtered.length,
+    offset,
+    limit,
+    issues: filtered.slice(offset, offset + limit),
+  };
+}
+
+module.exports = {
+  readBcf,
+  readSnapshots,
+  summarize,
+  pageTopics,
+};
@@ -0,0 +1,223 @@
+/**
+ * Autorun Command Schema
+ *
+ * Typed definitions of every supported autorun command, with validation of
+ * attributes and of command ordering (e.g. `check` needs an open model and
+ * ruleset) so bad scripts are rejected before Solibri is launched.
+ */
+
+const path = require('path');
+
+const BCF_VERSIONS = ['1.0', '2.0', '2.1', '3.0'];
+
+/**
+ * Attribute types:
+ * - input: file Solibri reads
+ * - output: file Solibri writes
+ * - string: free text
+ * - boolean: true/false
+ * - enum: one of `values`
+ */
+const COMMANDS = {
+  openmodel: {
+    description: 'Open an IFC/SMC model (repeat to open several IFCs)',
+    attributes: { file: { type: 'input', required: true } },
+  },
+  updatemodel: {
+    description: 'Update the open model with a new revision of one of its IFC files',
+    attributes: { file: { type: 'input', required: true } },
+    requires: ['model'],
+  },
+  savemodel: {
+    description: 'Save the open model as SMC',
+    attributes: { file: { type: 'output', required: true } },
+    requires: ['model'],
+  },
+  openclassification: {
+    description: 'Open a classification (.classification)',
+    attributes: { file: { type: 'input', required: true } },
+  },
+  openruleset: {
+    description: 'Open a ruleset (.cset)',
+    attributes: { file: { type: 'input', required: true } },
+  },
+  openito: {
+    description: 'Open an Information Takeoff definition (.ito)',
+    attributes: { file: { type: 'input', required: true } },
+  },
+  check: {
+    description: 'Run checking with the open rulesets',
+    attributes: {},
+    requires: ['model', 'ruleset'],
+    provides: 'check',
+  },
+  takeoff: {
+    description: 'Run an Information Takeoff (all, or the one named)',
+    attributes: { name: { type: 'string' } },
+    requires: ['model', 'ito'],
+    provides: 'takeoff',
+  },
+  itoreport: {
+    description: 'Write the takeoff results to Excel',
+    attributes: {
+      file: { type: 'output', required: true },
+      templatefile: { type: 'input' },
+      title: { type: 'string' },
+      name: { type: 'string' },
+    },
+    requires: ['model', 'takeoff'],
+  },
+  bcfreport: {
+    description: 'Export issues to a BCF archive',
+    attributes: {
+      file: { type: 'output', required: true },
+      version: { type: 'enum', values: BCF_VERSIONS },
+    },
+    requires: ['model', 'results'],
+  },
+  createpresentation: {
+    description: 'Create a presentation from the checking results',
+    attributes: {},
+    requires: ['model', 'check'],
+    provides: 'presentation',
+  },
+  updatepresentation: {
+    description: 'Update the existing presentation with the checking results',
+    attributes: {},
+    requires: ['model', 'check'],
+    provides: 'presentation',
+  },
+  autocomment: {
+    description: 'Add automatic comments to the presentation issues, optionally with snapshots',
+    attributes: { snapshots: { type: 'boolean' } },
+    requires: ['model', 'presentation'],
+  },
+  autoupdatemodels: {
+    description: 'Update all models of the open SMC from their source files',
+    attributes: {},
+    requires: ['model'],
+  },
+  exit: {
+    description: 'Close Solibri (must be the last command)',
+    attributes: {},
+  },
+};
+
+// Commands that open things, and what they make available to later commands
+const OPENS = {
+  openmodel: 'model',
+  openruleset: 'ruleset',
+  openito: 'ito',
+};
+
+const REQUIREMENT_HINTS = {
+  model: 'an open model (openmodel)',
+  ruleset: 'an open ruleset (openruleset)',
+  ito: 'an open ITO (openito)',
+  check: 'a check (check)',
+  takeoff: 'a takeoff (takeoff)',
+  presentation: 'a presentation (createpresentation or updatepresentation)',
+  results: 'checking results (check, or an SMC model with saved results)',
+};
+
+/**
+ * Validate a single attribute value; returns an error message or null
+ */
+function validateAttribute(name, spec, value) {
+  if (value === undefined || value === null || value === '') {
+    return spec.required ? `missing required attribute "${name}"` : null;
+  }
+
+  switch (spec.type) {
+    case 'boolean':
+      if (![true, false, 'true', 'false'].includes(value)) return `"${name}" must be true or false`;
+      return null;
+    case 'enum':
+      if (!spec.values.includes(String(value))) return `"${name}" must be one of ${spec.values.join(', ')} (got "${value}")`;
+      return null;
+    default:
+      if (typeof value !== 'string') return `"${name}" must be a string`;
+      return null;
+  }
+}
+
+/**
+ * Validate a command list: known types, attributes and ordering.
+ * Throws one error listing every problem found.
+ */
+function validateCommands(commands) {
+  if (!Array.isArray(commands) || commands.length === 0) {
+    throw new Error('Invalid autorun commands: at least one command is required');
+  }
+
+  const errors = [];
+  const available = new Set();
+
+  commands.forEach((cmd, i) => {
+    const label = `command ${i + 1}${cmd && cmd.type ? ` (${cmd.type})` : ''}`;
+    const def = cmd && COMMANDS[cmd.type];
+    if (!def) {
+      errors.push(`${label}: unknown command type. Supported: ${Object.keys(COMMANDS).join(', ')}`);
+      return;
+    }
+
+    for (const key of Object.keys(cmd)) {
+      if (key !== 'type' && !def.attributes[key] && cmd[key] !== undefined) {
+        errors.push(`${label}: unknown attribute "${key}"`);
+      }
+    }
+    for (const [name, spec] of Object.entries(def.attributes)) {
+      const error = validateAttribute(name, spec, cmd[name]);
+      if (error) errors.push(`${label}: ${error}`);
+    }
+
+    for (const requirement of def.requires || []) {
+      if (!available.has(requirement)) {
+        errors.push(`${label}: requires ${REQUIREMENT_HINTS[requirement]} earlier in the script`);
+      }
+    }
+
+    if (cmd.type === 'exit' && i !== commands.length - 1) {
+      errors.push(`${label}: must be the last command`);
+    }
+
+    if (OPENS[cmd.type]) available.add(OPENS[cmd.type]);
+    if (def.provides) available.add(def.provides);
+    if (cmd.type === 'check') available.add('results');
+    // An SMC may already contain checking results and presentations
+    if (cmd.type === 'openmodel' && typeof cmd.file === 'string' && path.extname(cmd.file).toLowerCase() === '.smc') {
+      available.add('results');
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid autorun commands:\n- ${errors.join('\n- ')}`);
+  }
+}
+
+/**
+ * Files a command list reads and writes, from the attribute types
+ *
+ * @returns {{inputs: string[], outputs: string[]}}
+ */
+function commandFiles(commands) {
+  const inputs = [];
+  const outputs = [];
+  for (const cmd of commands) {
+    const def = COMMANDS[cmd.type];
+    if (!def) continue;
+    for (const [name, spec] of Object.entries(def.attributes)) {
+      if (!cmd[name]) continue;
+      if (spec.type === 'input') inputs.push(cmd[name]);
+      if (spec.type === 'output') outputs.push(cmd[name]);
+    }
+  }
+  return { inputs, outputs };
+}
+
+module.exports = {
+  COMMANDS,
+  BCF_VERSIONS,
+  validateCommands,
+  commandFiles,
+};
@@ -0,0 +1,142 @@
+/**
+ * IFC Model Comparison
+ *
+ * Compares two revisions of a model by GlobalId: added, removed and modified
+ * objects with their changed attributes and property sets.
+ */
+
+const path = require('path');
+const ifc = require('./ifc');
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Changes between two { key: value } maps
+ */
+function diffValues(before = {}, after = {}) {
+  const changes = {};
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (!same(before[key], after[key])) {
+      changes[key] = { before: before[key] === undefined ? null : before[key], after: after[key] === undefined ? null : after[key] };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Changes between the property sets of two revisions of an object
+ */
+function diffPsets(before, after) {
+  const changes = {};
+  for (const name of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (!(name in before)) {
+      changes[name] = { status: 'added', properties: after[name] };
+    } else if (!(name in after)) {
+      changes[name] = { status: 'removed', properties: before[name] };
+    } else {
+      const properties = diffValues(before[name], after[name]);
+      if (Object.keys(properties).length > 0) changes[name] = { status: 'modified', properties };
+    }
+  }
+  return changes;
+}
+
+function describe(obj) {
+  return { globalId: obj.globalId, type: obj.type, name: obj.attributes.Name === undefined ? null : obj.attributes.Name };
+}
+
+/**
+ * Compare two parsed models
+ *
+ * @param {object} oldModel - Result of ifc.readModel for the previous revision
+ * @param {object} newModel - Result of ifc.readModel for the new revision
+ * @param {object} [options]
+ * @param {string[]} [options.entityTypes] - Only compare these IFC entity types (e.g. IFCWALL)
+ */
+function compare(oldModel, newModel, { entityTypes } = {}) {
+  const types = entityTypes && entityTypes.length > 0 ? new Set(entityTypes.map((t) => t.toUpperCase())) : null;
+  const filter = (objects) => new Map([...objects].filter(([, o]) => !types || types.has(o.type)));
+
+  const before = filter(ifc.objects(oldModel));
+  const after = filter(ifc.objects(newModel));
+
+  const added = [];
+  const removed = [];
+  const modified = [];
+  let unchanged = 0;
+
+  for (const [guid, obj] of after) {
+    if (!before.has(guid)) added.push(describe(obj));
+  }
+
+  for (const [guid, old] of before) {
+    const obj = after.get(guid);
+    if (!obj) {
+      removed.push(describe(old));
+      continue;
+    }
+
+    const attributes = diffValues(old.attributes, obj.attributes);
+    const psets = diffPsets(old.psets, obj.psets);
+    const typeChanged = old.type !== obj.type;
+
+    if (typeChanged || Object.keys(attributes).length > 0 || Object.keys(psets).length > 0) {
+      modified.push({
+        ...describe(obj),
+        ...(typeChanged ? { previousType: old.type } : {}),
+        attributes,
+        psets,
+      });
+    } else {
+      unchanged++;
+    }
+  }
+
+  return { added, removed, modified, unchanged };
+}
+
+/**
+ * Count changes per entity type
+ */
+function countByType(items) {
+  const counts = {};
+  for (const item of items) counts[item.type] = (counts[item.type] || 0) + 1;
+  return counts;
+}
+
+/**
+ * Read and compare two IFC files
+ */
+async function compareFiles(oldFile, newFile, options = {}) {
+  for (const file of [oldFile, newFile]) {
+    if (path.extname(file).toLowerCase() === '.smc') {
+      throw new Error(`Cannot read ${file}: SMC is Solibri's proprietary format. Compare the IFC files the SMC was built from instead.`);
+    }
+  }
+
+  const oldModel = await ifc.readModel(oldFile);
+  const newModel = await ifc.readModel(newFile);
+  const diff = compare(oldModel, newModel, options);
+
+  return {
+    oldModel: { path: oldFile, schema: oldModel.schema, application: oldModel.header.application, timestamp: oldModel.header.timestamp },
+    newModel: { path: newFile, schema: newModel.schema, application: newModel.header.application, timestamp: newModel.header.timestamp },
+    summary: {
+      added: diff.added.length,
+      removed: diff.removed.length,
+      modified: diff.modified.length,
+      unchanged: diff.unchanged,
+      addedByType: countByType(diff.added),
+      removedByType: countByType(diff.removed),
+      modifiedByType: countByType(diff.modified),
+    },
+    ...diff,
+  };
+}
+
+module.exports = {
+  compare,
+  compareFiles,
+};
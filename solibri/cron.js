@@ -0,0 +1,138 @@
+/**
+ * Cron Expressions
+ *
+ * Standard five-field expressions (minute hour day-of-month month
+ * day-of-week) in server local time. Fields accept *, numbers, ranges (1-5),
+ * lists (1,3,5), steps (*\/15, 8-18/2) and month/weekday names (jan, mon).
+ * As in cron, when both day fields are restricted a day matching either one
+ * qualifies.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 },
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+};
+
+function value(text, field, expression) {
+  const lower = text.toLowerCase();
+  const named = field.names ? field.names.indexOf(lower) : -1;
+  const number = named >= 0 ? named + field.offset : /^\d+$/.test(text) ? parseInt(text, 10) : NaN;
+  if (Number.isNaN(number) || number < field.min || number > field.max) {
+    throw new Error(`Invalid cron expression "${expression}": ${field.name} "${text}" (expected ${field.min}-${field.max})`);
+  }
+  return number;
+}
+
+/**
+ * Values allowed by one field
+ */
+function parseField(text, field, expression) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step > 0) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Invalid cron expression "${expression}": step "${stepText}" in ${field.name}`);
+    }
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = value(start, field, expression);
+      to = end !== undefined ? value(end, field, expression) : stepText !== undefined ? field.max : from;
+    }
+    if (from > to) throw new Error(`Invalid cron expression "${expression}": range "${range}" in ${field.name}`);
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse an expression (or @hourly, @daily, @weekly, @monthly, @yearly)
+ *
+ * @returns {{ expression, minute, hour, dayOfMonth, month, dayOfWeek, anyDayOfMonth, anyDayOfWeek }}
+ */
+function parse(expression) {
+  const text = ALIASES[String(expression).trim().toLowerCase()] || String(expression).trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields (minute hour day-of-month month day-of-week)`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i], expression));
+  // 7 is Sunday as well as 0
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+  return {
+    expression,
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*',
+  };
+}
+
+function dayMatches(cron, date) {
+  const dom = cron.dayOfMonth.has(date.getDate());
+  const dow = cron.dayOfWeek.has(date.getDay());
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) return dom && dow;
+  return dom || dow;
+}
+
+/**
+ * Whether a parsed expression matches the minute of a date
+ */
+function matches(cron, date) {
+  return cron.minute.has(date.getMinutes())
+    && cron.hour.has(date.getHours())
+    && cron.month.has(date.getMonth() + 1)
+    && dayMatches(cron, date);
+}
+
+/**
+ * First matching minute after a date, or null if none within five years
+ */
+function next(cron, after = new Date()) {
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parse,
+  matches,
+  next,
+};
@@ -0,0 +1,294 @@
+/**
+ * File Transfer and Retention
+ *
+ * Uploads (models, rulesets, classifications, ITOs, templates) are stored
+ * under <workDir>/uploads; job artifacts are the outputs recorded on a job
+ * plus everything in its <outputDir>/<jobId> folder. Old uploads and job
+ * folders are removed after the retention period, unless their job is still
+ * queued or running; folders of jobs no longer in the history are removed
+ * too. Other files and folders in the output folder (outputs written to a
+ * path of the caller's or a schedule's choosing, such as the live-*.bcfzip
+ * exports) are never removed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const config = require('../config');
+const logger = require('../logger');
+const autorun = require('./autorun');
+const jobs = require('./jobs');
+const paths = require('./paths');
+
+const log = logger.create('Files');
+
+// Job folders are named after the job id
+const JOB_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const UPLOAD_EXTENSIONS = ['.ifc', '.ifczip', '.ifcxml', '.smc', '.cset', '.classification', '.ito', '.xlsx', '.xls'];
+
+const MIME_TYPES = {
+  '.bcfzip': 'application/zip',
+  '.bcf': 'application/zip',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.xls': 'application/vnd.ms-excel',
+  '.xml': 'application/xml',
+  '.json': 'application/json',
+  '.log': 'text/plain',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.html': 'text/html',
+  '.ifc': 'application/x-step',
+};
+
+function uploadDir() {
+  return path.join(config.SOLIBRI.workDir, 'uploads');
+}
+
+function mimeType(file) {
+  return MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * SHA-256 of a file
+ */
+async function sha256File(file) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(file), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * Validate an upload file name and optional subfolder; returns the target path
+ */
+function uploadTarget(filename, folder) {
+  if (!filename || path.basename(filename) !== filename || /[<>:"|?*\\/\0]/.test(filename)) {
+    throw new Error(`Invalid file name: ${filename}`);
+  }
+  const ext = path.extname(filename).toLowerCase();
+  if (!UPLOAD_EXTENSIONS.includes(ext)) {
+    throw new Error(`File type "${ext}" cannot be uploaded (allowed: ${UPLOAD_EXTENSIONS.join(', ')})`);
+  }
+
+  const dir = folder ? path.join(uploadDir(), folder) : uploadDir();
+  const target = path.join(dir, filename);
+  if (!paths.isWithin(uploadDir(), target)) throw new Error(`Invalid upload folder: ${folder}`);
+  // Uploads are inputs for later tool calls, so they must be readable through the sandbox
+  paths.resolveInput(target, 'upload');
+  return target;
+}
+
+/**
+ * Store an uploaded file from a stream, enforcing the size limit and
+ * (optionally) verifying the client's SHA-256
+ *
+ * @param {string} filename - Base name of the file
+ * @param {stream.Readable} source - File content
+ * @param {object} [options]
+ * @param {string} [options.folder] - Subfolder below the upload folder
+ * @param {string} [options.sha256] - Expected checksum (hex); mismatches are rejected
+ * @param {boolean} [options.overwrite] - Replace an existing upload
+ * @param {number} [options.maxBytes] - Size limit (defaults to FILES.maxUploadBytes)
+ * @returns {Promise<{path, name, size, sha256}>}
+ */
+async function saveUpload(filename, source, { folder, sha256, overwrite = false, maxBytes = config.FILES.maxUploadBytes } = {}) {
+  const target = uploadTarget(filename, folder);
+  if (!overwrite && fs.existsSync(target)) {
+    throw new Error(`${target} already exists (set overwrite to true to replace it)`);
+  }
+  autorun.ensureDir(path.dirname(target));
+
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxBytes) return callback(new Error(`Upload exceeds the ${maxBytes} byte limit`));
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+
+  const tmp = `${target}.${crypto.randomBytes(4).toString('hex')}.part`;
+  try {
+    await pipeline(source, meter, fs.createWriteStream(tmp));
+    const digest = hash.digest('hex');
+    if (sha256 && sha256.toLowerCase() !== digest) {
+      throw new Error(`Checksum mismatch: expected ${sha256}, received ${digest}`);
+    }
+    fs.renameSync(tmp, target);
+    log.info(`Uploaded ${target} (${size} bytes)`);
+    return { path: target, name: filename, size, sha256: digest };
+  } finally {
+    if (fs.existsSync(tmp)) fs.unlinkSync(tmp);
+  }
+}
+
+/**
+ * Describe a file for listings
+ */
+async function describeFile(file, withHash = true) {
+  const stat = fs.statSync(file);
+  return {
+    name: path.basename(file),
+    path: file,
+    size: stat.size,
+    modified: stat.mtime.toISOString(),
+    mimeType: mimeType(file),
+    ...(withHash ? { sha256: await sha256File(file) } : {}),
+  };
+}
+
+/**
+ * List uploaded files
+ */
+async function listUploads() {
+  const root = uploadDir();
+  if (!fs.existsSync(root)) return [];
+
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) walk(full);
+      else if (!entry.name.endsWith('.part')) files.push(full);
+    }
+  };
+  walk(root);
+
+  const result = [];
+  for (const file of files) {
+    result.push({ ...(await describeFile(file, false)), folder: path.relative(root, path.dirname(file)) || null });
+  }
+  return result;
+}
+
+/**
+ * Files belonging to a job: recorded outputs, its output folder and the
+ * autorun XML (when SOLIBRI_KEEP_XML keeps it)
+ */
+function artifactPaths(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) throw new Error(`Job not found: ${jobId}`);
+
+  const files = new Set();
+  for (const value of Object.values(job.outputs || {})) {
+    for (const file of [].concat(value)) {
+      if (typeof file === 'string' && fs.existsSync(file) && fs.statSync(file).isFile()) files.add(file);
+    }
+  }
+
+  const dir = path.join(config.SOLIBRI.outputDir, jobId);
+  if (fs.existsSync(dir)) {
+    for (const name of fs.readdirSync(dir)) {
+      const file = path.join(dir, name);
+      if (fs.statSync(file).isFile()) files.add(file);
+    }
+  }
+
+  const xml = path.join(config.SOLIBRI.autorunDir, `${jobId}.xml`);
+  if (fs.existsSync(xml)) files.add(xml);
+
+  return [...files];
+}
+
+/**
+ * List a job's artifacts with size and checksum
+ */
+async function listArtifacts(jobId) {
+  const result = [];
+  for (const file of artifactPaths(jobId)) result.push(await describeFile(file));
+  return result;
+}
+
+/**
+ * Path of one job artifact, by file name
+ */
+function artifactPath(jobId, name) {
+  const file = artifactPaths(jobId).find((f) => path.basename(f) === name);
+  if (!file) throw new Error(`Artifact not found for job ${jobId}: ${name}`);
+  return file;
+}
+
+function olderThan(file, cutoff) {
+  return fs.statSync(file).mtimeMs < cutoff;
+}
+
+/**
+ * Delete uploads and job folders older than the retention period. Folders
+ * not named like a job id, and those of queued or running jobs, are kept.
+ *
+ * @returns {{uploads: number, jobFolders: number}} Number of items removed
+ */
+function cleanup() {
+  const removed = { uploads: 0, jobFolders: 0 };
+  if (!(config.FILES.retentionDays > 0)) return removed;
+
+  const cutoff = Date.now() - config.FILES.retentionDays * 24 * 60 * 60 * 1000;
+
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(full);
+        if (fs.readdirSync(full).length === 0) fs.rmdirSync(full);
+      } else if (olderThan(full, cutoff)) {
+        fs.unlinkSync(full);
+        removed.uploads++;
+      }
+    }
+  };
+  if (fs.existsSync(uploadDir())) walk(uploadDir());
+
+  const outputDir = config.SOLIBRI.outputDir;
+  if (fs.existsSync(outputDir)) {
+    for (const entry of fs.readdirSync(outputDir, { withFileTypes: true })) {
+      if (!entry.isDirectory() || !JOB_ID.test(entry.name)) continue;
+      // Without a record the job was dropped from the history or never queued
+      const job = jobs.get(entry.name);
+      if (job && !jobs.FINISHED_STATES.includes(job.status)) continue;
+
+      const dir = path.join(outputDir, entry.name);
+      const stale = fs.readdirSync(dir).every((name) => olderThan(path.join(dir, name), cutoff)) && olderThan(dir, cutoff);
+      if (stale) {
+        fs.rmSync(dir, { recursive: true, force: true });
+        removed.jobFolders++;
+      }
+    }
+  }
+
+  if (removed.uploads || removed.jobFolders) {
+    log.info(`Retention cleanup removed ${removed.uploads} uploads and ${removed.jobFolders} job folders`);
+  }
+  return removed;
+}
+
+/**
+ * Run the retention cleanup now and then periodically
+ */
+function startRetention() {
+  const run = () => {
+    try {
+      cleanup();
+    } catch (error) {
+      log.error(`Retention cleanup failed: ${error.message}`);
+    }
+  };
+  run();
+  setInterval(run, 60 * 60 * 1000).unref();
+}
+
+module.exports = {
+  UPLOAD_EXTENSIONS,
+  mimeType,
+  sha256File,
+  saveUpload,
+  listUploads,
+  artifactPaths,
+  listArtifacts,
+  artifactPath,
+  cleanup,
+  startRetention,
+};
@@ -0,0 +1,561 @@
+/**
+ * IFC STEP (ISO 10303-21) Reader
+ *
+ * Streams .ifc files statement by statement so models can be inspected and
+ * compared on the server without a running Solibri. Only rooted entities
+ * (those with a GlobalId) and the property/relationship entities needed to
+ * describe them are kept; geometry is counted but not parsed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const GLOBAL_ID = /^'[0-9A-Za-z_$]{22}'/;
+const ENTITY = /^#(\d+)\s*=\s*([A-Za-z0-9_]+)\s*\(/;
+
+// Non-rooted entities kept for property sets and quantities
+const PROPERTY_TYPES = new Set([
+  'IFCPROPERTYSINGLEVALUE',
+  'IFCPROPERTYENUMERATEDVALUE',
+  'IFCPROPERTYLISTVALUE',
+  'IFCPROPERTYBOUNDEDVALUE',
+  'IFCQUANTITYLENGTH',
+  'IFCQUANTITYAREA',
+  'IFCQUANTITYVOLUME',
+  'IFCQUANTITYCOUNT',
+  'IFCQUANTITYWEIGHT',
+  'IFCQUANTITYTIME',
+  'IFCQUANTITYNUMBER',
+]);
+
+// Spatial structure shown in the storey hierarchy (IFC4X3 adds the facility types)
+const SPATIAL_TYPES = new Set([
+  'IFCPROJECT',
+  'IFCSITE',
+  'IFCBUILDING',
+  'IFCBUILDINGSTOREY',
+  'IFCFACILITY',
+  'IFCFACILITYPART',
+  'IFCBRIDGE',
+  'IFCBRIDGEPART',
+  'IFCROAD',
+  'IFCROADPART',
+  'IFCRAILWAY',
+  'IFCRAILWAYPART',
+  'IFCMARINEFACILITY',
+  'IFCMARINEPART',
+]);
+
+const MODEL_EXTENSIONS = ['.ifc', '.ifczip', '.ifcxml', '.smc'];
+
+const ROOT_ATTRIBUTES = ['GlobalId', 'OwnerHistory', 'Name', 'Description'];
+const OBJECT_ATTRIBUTES = [...ROOT_ATTRIBUTES, 'ObjectType', 'ObjectPlacement', 'Representation', 'Tag'];
+const TYPE_ATTRIBUTES = [...ROOT_ATTRIBUTES, 'ApplicableOccurrence', 'HasPropertySets', 'RepresentationMaps', 'Tag', 'ElementType'];
+
+/**
+ * Decode STEP string escapes (\X2\...\X0\, \X4\...\X0\, \X\hh, \S\c)
+ */
+function decodeString(raw) {
+  let s = raw.replace(/''/g, "'");
+  if (!s.includes('\\')) return s;
+
+  s = s.replace(/\\X2\\((?:[0-9A-Fa-f]{4})+)\\X0\\/g, (m, hex) =>
+    hex.match(/.{4}/g).map((h) => String.fromCharCode(parseInt(h, 16))).join(''));
+  s = s.replace(/\\X4\\((?:[0-9A-Fa-f]{8})+)\\X0\\/g, (m, hex) =>
+    hex.match(/.{8}/g).map((h) => String.fromCodePoint(parseInt(h, 16))).join(''));
+  s = s.replace(/\\X\\([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+  s = s.replace(/\\S\\(.)/g, (m, ch) => String.fromCharCode(ch.charCodeAt(0) + 128));
+  return s.replace(/\\\\/g, '\\');
+}
+
+/**
+ * Parse the parameter list of a STEP statement (text between the outer parentheses).
+ *
+ * Values: strings, numbers, null ($ and *), booleans (.T./.F.), enumerations
+ * as strings, references as { ref: id }, lists as arrays and typed values
+ * (e.g. IFCLABEL('x')) as their inner value.
+ */
+function parseArgs(text) {
+  let pos = 0;
+
+  function skipSpace() {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  }
+
+  function list() {
+    const values = [];
+    pos++; // (
+    skipSpace();
+    if (text[pos] === ')') {
+      pos++;
+      return values;
+    }
+    for (;;) {
+      values.push(value());
+      skipSpace();
+      if (text[pos] === ',') {
+        pos++;
+      } else {
+        pos++; // )
+        return values;
+      }
+    }
+  }
+
+  function value() {
+    skipSpace();
+    const ch = text[pos];
+
+    if (ch === "'") {
+      let end = pos + 1;
+      for (;;) {
+        end = text.indexOf("'", end);
+        if (end === -1) throw new Error('Unterminated string');
+        if (text[end + 1] === "'") {
+          end += 2;
+        } else {
+          break;
+        }
+      }
+      const raw = text.slice(pos + 1, end);
+      pos = end + 1;
+      return decodeString(raw);
+    }
+
+    if (ch === '(') return list();
+
+    if (ch === '$' || ch === '*') {
+      pos++;
+      return null;
+    }
+
+    if (ch === '#') {
+      const match = /^#(\d+)/.exec(text.slice(pos, pos + 20));
+      pos += match[0].length;
+      return { ref: Number(match[1]) };
+    }
+
+    if (ch === '.') {
+      const end = text.indexOf('.', pos + 1);
+      const name = text.slice(pos + 1, end);
+      pos = end + 1;
+      if (name === 'T') return true;
+      if (name === 'F') return false;
+      if (name === 'U') return null;
+      return name;
+    }
+
+    if (ch === '"') {
+      const end = text.indexOf('"', pos + 1);
+      const raw = text.slice(pos + 1, end);
+      pos = end + 1;
+      return raw;
+    }
+
+    const number = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/.exec(text.slice(pos, pos + 40));
+    if (number) {
+      pos += number[0].length;
+      return Number(number[0]);
+    }
+
+    // Typed value, e.g. IFCLABEL('x') or IFCBOOLEAN(.T.)
+    const typed = /^[A-Za-z0-9_]+/.exec(text.slice(pos, pos + 100));
+    if (typed) {
+      pos += typed[0].length;
+      skipSpace();
+      const inner = list();
+      return inner.length === 1 ? inner[0] : inner;
+    }
+
+    throw new Error(`Unexpected character "${ch}" at ${pos}`);
+  }
+
+  return list();
+}
+
+/**
+ * Parse "NAME(args)" statements (header and data section)
+ */
+function parseStatement(statement) {
+  const open = statement.indexOf('(');
+  return {
+    type: statement.slice(0, open).trim().toUpperCase(),
+    args: parseArgs(statement.slice(open)),
+  };
+}
+
+/**
+ * Stream the statements of a STEP file, with comments stripped.
+ * `onStatement` may return false to stop reading.
+ */
+async function readStatements(file, onStatement) {
+  const stream = fs.createReadStream(file, { encoding: 'utf8', highWaterMark: 1 << 20 });
+
+  let statement = '';
+  let inString = false;
+  let inComment = false;
+  let prev = '';
+
+  try {
+    for await (const chunk of stream) {
+      let segment = 0;
+
+      for (let i = 0; i < chunk.length; i++) {
+        const ch = chunk[i];
+
+        if (inComment) {
+          if (prev === '*' && ch === '/') {
+            inComment = false;
+            segment = i + 1;
+            prev = '';
+            continue;
+          }
+        } else if (inString) {
+          if (ch === "'") inString = false;
+        } else if (ch === "'") {
+          inString = true;
+        } else if (ch === '*' && prev === '/') {
+          statement = (statement + chunk.slice(segment, i)).slice(0, -1);
+          inComment = true;
+        } else if (ch === ';') {
+          statement += chunk.slice(segment, i);
+          segment = i + 1;
+          const text = statement.trim();
+          statement = '';
+          if (text && onStatement(text) === false) return;
+        }
+
+        prev = ch;
+      }
+
+      if (!inComment) statement += chunk.slice(segment);
+    }
+  } finally {
+    stream.destroy();
+  }
+}
+
+/**
+ * Interpret parsed header statements
+ */
+function buildHeader(statements) {
+  const header = { description: null, fileName: null, timestamp: null, author: null, organization: null, preprocessor: null, application: null, authorization: null, schema: null };
+
+  for (const { type, args } of statements) {
+    if (type === 'FILE_DESCRIPTION') {
+      header.description = (args[0] || []).join(' ') || null;
+    } else if (type === 'FILE_NAME') {
+      header.fileName = args[0] || null;
+      header.timestamp = args[1] || null;
+      header.author = (args[2] || []).filter(Boolean).join(', ') || null;
+      header.organization = (args[3] || []).filter(Boolean).join(', ') || null;
+      header.preprocessor = args[4] || null;
+      header.application = args[5] || null;
+      header.authorization = args[6] || null;
+    } else if (type === 'FILE_SCHEMA') {
+      header.schema = ((args[0] || [])[0] || '').toUpperCase() || null;
+    }
+  }
+
+  return header;
+}
+
+/**
+ * Read an IFC file
+ *
+ * @param {string} file - Path to the .ifc file
+ * @param {object} [options]
+ * @param {boolean} [options.headerOnly] - Stop after the HEADER section
+ * @returns {Promise<{header: object, schema: string|null, counts: object, entityCount: number, entities: Map}>}
+ *   `entities` holds rooted, property-set and property entities: id -> { id, type, args }
+ */
+async function readModel(file, { headerOnly = false } = {}) {
+  const headerStatements = [];
+  const counts = {};
+  const entities = new Map();
+  let section = null;
+  let entityCount = 0;
+  let sawMagic = false;
+
+  await readStatements(file, (statement) => {
+    if (!sawMagic) {
+      if (statement !== 'ISO-10303-21') throw new Error(`Not an IFC STEP file (missing ISO-10303-21 header): ${file}`);
+      sawMagic = true;
+      return;
+    }
+    if (statement === 'HEADER' || statement === 'DATA') {
+      section = statement;
+      return;
+    }
+    if (statement === 'ENDSEC' || statement === 'END-ISO-10303-21') {
+      if (headerOnly && section === 'HEADER') return false;
+      section = null;
+      return;
+    }
+
+    if (section === 'HEADER') {
+      headerStatements.push(parseStatement(statement));
+      return;
+    }
+    if (section !== 'DATA') return;
+
+    const match = ENTITY.exec(statement);
+    if (!match) return;
+
+    const type = match[2].toUpperCase();
+    counts[type] = (counts[type] || 0) + 1;
+    entityCount++;
+
+    const body = statement.slice(match[0].length - 1);
+    if (PROPERTY_TYPES.has(type) || GLOBAL_ID.test(body.slice(1).trimStart())) {
+      entities.set(Number(match[1]), { id: Number(match[1]), type, args: parseArgs(body) });
+    }
+  });
+
+  if (!sawMagic) throw new Error(`Not an IFC STEP file (empty): ${file}`);
+
+  const header = buildHeader(headerStatements);
+  return { header, schema: header.schema, counts, entityCount, entities };
+}
+
+/**
+ * Read only the HEADER section of an IFC file
+ */
+async function readHeader(file) {
+  return (await readModel(file, { headerOnly: true })).header;
+}
+
+/**
+ * Schema family of a FILE_SCHEMA identifier (e.g. IFC4X3_ADD2 -> IFC4X3)
+ */
+function schemaVersion(schema) {
+  if (!schema) return null;
+  const match = /^IFC(2X3|4X3|4X2|4X1|4)/.exec(schema);
+  return match ? `IFC${match[1]}` : schema;
+}
+
+/**
+ * Check that a model path exists and, for .ifc files, that it is a readable
+ * IFC STEP file. Used before spending minutes launching Solibri.
+ *
+ * @returns {Promise<{path: string, format: string, schema: string|null}>}
+ */
+async function validateModelFile(file) {
+  if (!file) throw new Error('Model path is required');
+
+  const ext = path.extname(file).toLowerCase();
+  if (!MODEL_EXTENSIONS.includes(ext)) {
+    throw new Error(`Unsupported model file type "${ext}": ${file} (expected ${MODEL_EXTENSIONS.join(', ')})`);
+  }
+  if (!fs.existsSync(file) || !fs.statSync(file).isFile()) {
+    throw new Error(`Model file not found: ${file}`);
+  }
+
+  if (ext !== '.ifc') return { path: file, format: ext.slice(1), schema: null };
+
+  const header = await readHeader(file);
+  if (!header.schema) throw new Error(`IFC file has no FILE_SCHEMA in its header: ${file}`);
+  return { path: file, format: 'ifc', schema: schemaVersion(header.schema) };
+}
+
+/**
+ * Spatial structure tree (project > site > building > storey) with the number
+ * of elements contained in each level
+ */
+function spatialHierarchy(model) {
+  const children = new Map();
+  const contained = new Map();
+  const hasParent = new Set();
+
+  for (const rel of model.entities.values()) {
+    if (rel.type === 'IFCRELAGGREGATES') {
+      const parent = rel.args[4] && rel.args[4].ref;
+      for (const child of rel.args[5] || []) {
+        if (!children.has(parent)) children.set(parent, []);
+        children.get(parent).push(child.ref);
+        hasParent.add(child.ref);
+      }
+    } else if (rel.type === 'IFCRELCONTAINEDINSPATIALSTRUCTURE') {
+      const structure = rel.args[5] && rel.args[5].ref;
+      const elements = contained.get(structure) || {};
+      for (const element of rel.args[4] || []) {
+        const entity = model.entities.get(element.ref);
+        const type = entity ? entity.type : 'UNKNOWN';
+        elements[type] = (elements[type] || 0) + 1;
+      }
+      contained.set(structure, elements);
+    }
+  }
+
+  const build = (id) => {
+    const entity = model.entities.get(id);
+    const elements = contained.get(id) || {};
+    const node = {
+      globalId: entity.args[0],
+      type: entity.type,
+      name: entity.args[2],
+      elementCount: Object.values(elements).reduce((a, b) => a + b, 0),
+      elementsByType: elements,
+    };
+    if (entity.type === 'IFCBUILDINGSTOREY' && typeof entity.args[9] === 'number') node.elevation = entity.args[9];
+
+    const spaces = (children.get(id) || []).filter((c) => model.entities.get(c)?.type === 'IFCSPACE').length;
+    if (spaces > 0) node.spaceCount = spaces;
+
+    const nested = (children.get(id) || [])
+      .filter((c) => SPATIAL_TYPES.has(model.entities.get(c)?.type))
+      .map(build);
+    if (nested.some((n) => n.elevation !== undefined)) {
+      nested.sort((a, b) => (a.elevation ?? 0) - (b.elevation ?? 0));
+    }
+    if (nested.length > 0) node.children = nested;
+    return node;
+  };
+
+  return [...model.entities.values()]
+    .filter((e) => SPATIAL_TYPES.has(e.type) && !hasParent.has(e.id))
+    .map((e) => build(e.id));
+}
+
+/**
+ * Property set and quantity set names in use, with the number of objects each is attached to
+ */
+function propertySetNames(model) {
+  const names = {};
+  for (const psets of propertySets(model).values()) {
+    for (const name of Object.keys(psets)) names[name] = (names[name] || 0) + 1;
+  }
+  return Object.fromEntries(Object.entries(names).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Summary of an IFC file: schema, header, storey hierarchy, entity counts and property set names
+ *
+ * @param {string} file - Path to the .ifc file
+ * @param {object} [options]
+ * @param {boolean} [options.includeGeometry] - Include non-rooted entity types (geometry, placements) in the counts
+ */
+async function inspect(file, { includeGeometry = false } = {}) {
+  const model = await readModel(file);
+
+  const rootedTypes = new Set([...model.entities.values()].map((e) => e.type));
+  const counts = Object.entries(model.counts)
+    .filter(([type]) => includeGeometry || rootedTypes.has(type))
+    .sort(([, a], [, b]) => b - a);
+
+  return {
+    path: file,
+    sizeBytes: fs.statSync(file).size,
+    schema: model.schema,
+    schemaVersion: schemaVersion(model.schema),
+    header: model.header,
+    entityCount: model.entityCount,
+    spatialHierarchy: spatialHierarchy(model),
+    entityCounts: Object.fromEntries(counts),
+    propertySets: propertySetNames(model),
+  };
+}
+
+/**
+ * Attribute name for a positional argument of a rooted entity
+ */
+function attributeName(type, index) {
+  const names = type.endsWith('TYPE') ? TYPE_ATTRIBUTES : OBJECT_ATTRIBUTES;
+  return names[index] || `Attribute${index + 1}`;
+}
+
+/**
+ * Plain value of a property/quantity entity
+ */
+function propertyValue(entity) {
+  const [, , ...rest] = entity.args;
+  switch (entity.type) {
+    case 'IFCPROPERTYSINGLEVALUE':
+      return rest[0];
+    case 'IFCPROPERTYENUMERATEDVALUE':
+    case 'IFCPROPERTYLISTVALUE':
+      return rest[0];
+    case 'IFCPROPERTYBOUNDEDVALUE':
+      return { upper: rest[0], lower: rest[1] };
+    default:
+      // IfcQuantity*: Name, Description, Unit, Value
+      return rest[1];
+  }
+}
+
+/**
+ * Property sets and quantity sets attached to each object id
+ *
+ * @returns {Map<number, object>} object id -> { psetName: { property: value } }
+ */
+function propertySets(model) {
+  const byObject = new Map();
+
+  for (const rel of model.entities.values()) {
+    if (rel.type !== 'IFCRELDEFINESBYPROPERTIES') continue;
+
+    const definition = rel.args[5] && model.entities.get(rel.args[5].ref);
+    if (!definition || !['IFCPROPERTYSET', 'IFCELEMENTQUANTITY'].includes(definition.type)) continue;
+
+    const items = definition.type === 'IFCPROPERTYSET' ? definition.args[4] : definition.args[5];
+    const values = {};
+    for (const item of items || []) {
+      const prop = item && model.entities.get(item.ref);
+      if (prop && PROPERTY_TYPES.has(prop.type)) values[prop.args[0]] = propertyValue(prop);
+    }
+
+    const related = Array.isArray(rel.args[4]) ? rel.args[4] : [rel.args[4]];
+    for (const target of related) {
+      if (!target) continue;
+      if (!byObject.has(target.ref)) byObject.set(target.ref, {});
+      byObject.get(target.ref)[definition.args[2] || definition.type] = values;
+    }
+  }
+
+  return byObject;
+}
+
+/**
+ * Rooted objects of a model (relationships and property definitions excluded), keyed by GlobalId
+ *
+ * @returns {Map<string, {globalId, type, attributes, psets}>}
+ *   `attributes` holds scalar attributes only; references are model-specific and ignored
+ */
+function objects(model) {
+  const psets = propertySets(model);
+  const result = new Map();
+
+  for (const entity of model.entities.values()) {
+    if (PROPERTY_TYPES.has(entity.type) || entity.type.startsWith('IFCREL')) continue;
+    if (entity.type === 'IFCPROPERTYSET' || entity.type === 'IFCELEMENTQUANTITY') continue;
+
+    const attributes = {};
+    entity.args.forEach((arg, i) => {
+      if (i === 0 || (arg && typeof arg === 'object')) return;
+      attributes[attributeName(entity.type, i)] = arg;
+    });
+
+    result.set(entity.args[0], {
+      globalId: entity.args[0],
+      type: entity.type,
+      attributes,
+      psets: psets.get(entity.id) || {},
+    });
+  }
+
+  return result;
+}
+
+module.exports = {
+  MODEL_EXTENSIONS,
+  readStatements,
+  readModel,
+  readHeader,
+  parseArgs,
+  objects,
+  propertySets,
+  schemaVersion,
+  validateModelFile,
+  spatialHierarchy,
+  inspect,
+};
@@ -0,0 +1,301 @@
+/**
+ * Managed Solibri Instance
+ *
+ * A long-lived, interactive Solibri started with the REST API enabled (used
+ * by the solibri_live_* tools). The PID is persisted so a restarted server
+ * picks the instance up again; the REST API is polled for health, and the
+ * instance is restarted when it crashes (within INSTANCE.maxRestarts per
+ * INSTANCE.restartWindow).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const config = require('../config');
+const logger = require('../logger');
+const autorun = require('./autorun');
+const restClient = require('./rest-client');
+
+const log = logger.create('Instance');
+
+// stopped | starting | running | unhealthy | stopping | crashed
+let state = 'stopped';
+let proc = null;
+let pid = null;
+let startedAt = null;
+let stopping = false;
+let restartTimes = [];
+let lastExit = null;
+let healthTimer = null;
+const health = { ok: false, busy: null, lastCheck: null, lastError: null, consecutiveFailures: 0 };
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function isAlive(processId) {
+  try {
+    process.kill(processId, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Ask a process to close (taskkill without /F closes its windows), or kill it
+ */
+function stopProcess(processId, force) {
+  if (process.platform === 'win32') {
+    spawn('taskkill', ['/pid', String(processId), '/T', ...(force ? ['/F'] : [])], { windowsHide: true });
+  } else {
+    process.kill(processId, force ? 'SIGKILL' : 'SIGTERM');
+  }
+}
+
+function savePid() {
+  autorun.ensureDir(path.dirname(config.INSTANCE.pidFile));
+  fs.writeFileSync(config.INSTANCE.pidFile, JSON.stringify({ pid, startedAt }));
+}
+
+function clearPid() {
+  try {
+    fs.unlinkSync(config.INSTANCE.pidFile);
+  } catch (error) {
+    // Already gone
+  }
+}
+
+/**
+ * Current instance status (reported by /health and solibri_status)
+ */
+function status() {
+  return {
+    state,
+    pid,
+    startedAt,
+    restApiUrl: config.SOLIBRI.restApiUrl,
+    restarts: restartTimes.length,
+    autoRestart: config.INSTANCE.autoRestart,
+    lastExit,
+    health: { ...health },
+  };
+}
+
+/**
+ * Poll the REST API (and the process) once
+ */
+async function checkHealth() {
+  if (!pid) return;
+
+  // Adopted instances have no child process handle, so watch the PID instead
+  if (!proc && !isAlive(pid)) {
+    onExit(null, null);
+    return;
+  }
+
+  health.lastCheck = new Date().toISOString();
+  try {
+    await restClient.ping();
+    const s = await restClient.status();
+    health.ok = true;
+    health.busy = s && typeof s === 'object' ? s.busy === true : null;
+    health.lastError = null;
+    health.consecutiveFailures = 0;
+    if (state === 'unhealthy' || state === 'starting') state = 'running';
+  } catch (error) {
+    health.ok = false;
+    health.lastError = error.message;
+    health.consecutiveFailures++;
+    if (state === 'running' && health.consecutiveFailures >= config.INSTANCE.unhealthyAfter) {
+      log.warning(`Solibri (pid ${pid}) is not responding: ${error.message}`);
+      state = 'unhealthy';
+    }
+  }
+}
+
+function startHealthChecks() {
+  if (healthTimer) return;
+  healthTimer = setInterval(() => {
+    checkHealth().catch((error) => log.error(`Health check failed: ${error.message}`));
+  }, config.INSTANCE.healthInterval);
+  healthTimer.unref();
+}
+
+function stopHealthChecks() {
+  clearInterval(healthTimer);
+  healthTimer = null;
+}
+
+/**
+ * Handle the instance exiting; restart it unless it was shut down on purpose
+ */
+function onExit(code, signal) {
+  const exitedPid = pid;
+  lastExit = { pid: exitedPid, code, signal, at: new Date().toISOString(), expected: stopping };
+  proc = null;
+  pid = null;
+  health.ok = false;
+  stopHealthChecks();
+  clearPid();
+
+  if (stopping) {
+    log.info(`Solibri (pid ${exitedPid}) stopped`);
+    state = 'stopped';
+    stopping = false;
+    return;
+  }
+
+  log.error(`Solibri (pid ${exitedPid}) exited unexpectedly (code ${code}, signal ${signal})`);
+  state = 'crashed';
+
+  const now = Date.now();
+  restartTimes = restartTimes.filter((t) => now - t < config.INSTANCE.restartWindow);
+  if (!config.INSTANCE.autoRestart) return;
+  if (restartTimes.length >= config.INSTANCE.maxRestarts) {
+    log.error(`Not restarting: ${restartTimes.length} restarts within ${config.INSTANCE.restartWindow}ms`);
+    return;
+  }
+
+  restartTimes.push(now);
+  setTimeout(() => {
+    if (state !== 'crashed') return;
+    log.info('Restarting Solibri');
+    start().catch((error) => log.error(`Restart failed: ${error.message}`));
+  }, config.INSTANCE.restartDelay).unref();
+}
+
+/**
+ * Spawn Solibri with the REST API enabled
+ */
+async function start() {
+  const args = [`--rest-api-server-port=${config.SOLIBRI.restApiPort}`, '--rest-api-server-http'];
+  log.info(`Launching: "${config.SOLIBRI.exePath}" ${args.join(' ')}`);
+
+  state = 'starting';
+  health.consecutiveFailures = 0;
+  health.lastError = null;
+
+  const child = spawn(config.SOLIBRI.exePath, args, { stdio: 'ignore', windowsHide: true });
+  await new Promise((resolve, reject) => {
+    child.once('spawn', resolve);
+    child.once('error', (error) => {
+      state = 'stopped';
+      reject(new Error(`Failed to start Solibri: ${error.message}`));
+    });
+  });
+
+  proc = child;
+  pid = child.pid;
+  startedAt = new Date().toISOString();
+  savePid();
+  child.on('exit', (code, signal) => {
+    if (proc === child) onExit(code, signal);
+  });
+  startHealthChecks();
+}
+
+/**
+ * Wait until the REST API answers, or the instance exits or times out
+ */
+async function waitUntilReady(timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (!pid) throw new Error(`Solibri exited during startup${lastExit ? ` (code ${lastExit.code})` : ''}`);
+    await checkHealth();
+    if (health.ok) return;
+    await sleep(1000);
+  }
+  throw new Error(`Solibri REST API did not respond within ${timeoutMs}ms (${health.lastError})`);
+}
+
+/**
+ * Launch the managed instance
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.waitForReady] - Wait until the REST API responds (default true)
+ * @returns {Promise<object>} Instance status
+ */
+async function launch({ waitForReady = true } = {}) {
+  if (pid) throw new Error(`Solibri is already running (pid ${pid}, ${state})`);
+
+  // Another Solibri with the REST API on our port would receive the live tools' calls
+  const external = await restClient.ping().then(() => true, () => false);
+  if (external) throw new Error(`A Solibri REST API is already answering on ${config.SOLIBRI.restApiUrl}`);
+
+  restartTimes = [];
+  await start();
+  if (waitForReady) await waitUntilReady(config.INSTANCE.startupTimeout);
+  return status();
+}
+
+/**
+ * Stop the managed instance: ask it to close, then force after
+ * INSTANCE.shutdownTimeout (or immediately with force)
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.force] - Kill the process without asking it to close
+ * @returns {Promise<object>} Instance status
+ */
+async function shutdown({ force = false } = {}) {
+  if (!pid) throw new Error('No managed Solibri instance is running');
+
+  // The PID of an adopted instance may have been reused; only stop it if Solibri still answers
+  if (!proc && !(await restClient.ping().then(() => true, () => false))) {
+    onExit(null, null);
+    throw new Error('The adopted Solibri instance no longer answers its REST API; it was forgotten but not stopped');
+  }
+
+  const target = pid;
+  stopping = true;
+  state = 'stopping';
+  log.info(`Stopping Solibri (pid ${target})${force ? ' (forced)' : ''}`);
+
+  if (!force) {
+    stopProcess(target, false);
+    const deadline = Date.now() + config.INSTANCE.shutdownTimeout;
+    while (isAlive(target) && Date.now() < deadline) await sleep(500);
+  }
+
+  if (isAlive(target)) {
+    stopProcess(target, true);
+    const deadline = Date.now() + 10000;
+    while (isAlive(target) && Date.now() < deadline) await sleep(200);
+  }
+
+  // Adopted instances have no exit event
+  if (pid === target) onExit(null, null);
+  return status();
+}
+
+/**
+ * Pick up an instance launched before a server restart (from the PID file)
+ */
+function adopt() {
+  let saved;
+  try {
+    saved = JSON.parse(fs.readFileSync(config.INSTANCE.pidFile, 'utf8'));
+  } catch (error) {
+    return;
+  }
+
+  if (saved && saved.pid && isAlive(saved.pid)) {
+    pid = saved.pid;
+    startedAt = saved.startedAt;
+    state = 'running';
+    log.info(`Adopted running Solibri (pid ${pid})`);
+    startHealthChecks();
+    checkHealth().catch(() => {});
+  } else {
+    clearPid();
+  }
+}
+
+adopt();
+
+module.exports = {
+  launch,
+  shutdown,
+  status,
+  checkHealth,
+};
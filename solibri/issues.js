@@ -0,0 +1,323 @@
+/**
+ * Issue History
+ *
+ * Every BCF report written by a finished check job is recorded per
+ * model/ruleset pair, as a compact copy of its topics so the history outlives
+ * job output folders and overwritten files. Two reports are compared by
+ * matching their topics (BCF topic GUID, then rule and involved components)
+ * into new, resolved and persisting issues.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('../logger');
+const autorun = require('./autorun');
+const bcf = require('./bcf');
+const jobs = require('./jobs');
+const paths = require('./paths');
+
+const log = logger.create('Issues');
+
+const CASE_INSENSITIVE = process.platform === 'win32';
+
+// Share of components two topics of the same rule must have in common to match
+const DEFAULT_THRESHOLD = 0.5;
+
+let index = null;
+
+function indexFile() {
+  return path.join(config.ISSUES.historyDir, 'index.json');
+}
+
+function reportFile(id) {
+  return path.join(config.ISSUES.historyDir, `${id}.json`);
+}
+
+function loadIndex() {
+  if (index) return index;
+  try {
+    index = fs.existsSync(indexFile()) ? JSON.parse(fs.readFileSync(indexFile(), 'utf8')) : [];
+  } catch (error) {
+    log.error(`Failed to read issue history: ${error.message}`);
+    index = [];
+  }
+  return index;
+}
+
+function saveIndex() {
+  autorun.ensureDir(config.ISSUES.historyDir);
+  const tmp = `${indexFile()}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(index, null, 2), 'utf8');
+  fs.renameSync(tmp, indexFile());
+}
+
+/**
+ * History key of a model/ruleset pair (ruleset order does not matter)
+ */
+function pairKey(model, rulesets) {
+  const norm = (p) => (CASE_INSENSITIVE ? path.resolve(p).toLowerCase() : path.resolve(p));
+  return [norm(model), ...rulesets.map(norm).sort()].join('|');
+}
+
+/**
+ * The topic fields needed to match and describe issues
+ */
+function compact(topic) {
+  return {
+    guid: topic.guid,
+    title: topic.title,
+    rule: topic.rule,
+    priority: topic.priority,
+    status: topic.status,
+    ifcGuids: topic.ifcGuids,
+  };
+}
+
+/**
+ * Record a BCF report of a model/ruleset pair, keeping the newest
+ * ISSUES.maxReports per pair
+ */
+async function record({ jobId, model, rulesets, bcfPath, createdAt }) {
+  const report = await bcf.readBcf(bcfPath);
+  const entry = {
+    id: uuidv4(),
+    key: pairKey(model, rulesets),
+    model,
+    rulesets,
+    jobId,
+    bcf: bcfPath,
+    createdAt: createdAt || new Date().toISOString(),
+    topicCount: report.topics.length,
+  };
+
+  autorun.ensureDir(config.ISSUES.historyDir);
+  fs.writeFileSync(reportFile(entry.id), JSON.stringify(report.topics.map(compact)), 'utf8');
+  loadIndex().push(entry);
+
+  const ofPair = index.filter((e) => e.key === entry.key);
+  const drop = new Set(ofPair.slice(0, Math.max(0, ofPair.length - config.ISSUES.maxReports)));
+  for (const old of drop) fs.rmSync(reportFile(old.id), { force: true });
+  index = index.filter((e) => !drop.has(e));
+  saveIndex();
+  return entry;
+}
+
+/**
+ * BCF reports written by a job, with the model and rulesets they belong to
+ */
+function jobReports(job) {
+  const rulesets = job.params && job.params.rulesets;
+  if (job.status !== 'completed' || !Array.isArray(rulesets)) return [];
+
+  if (job.outputs && job.outputs.outputBcf && job.params.modelPath) {
+    return [{ model: job.params.modelPath, bcfPath: job.outputs.outputBcf }];
+  }
+  // Batch and scheduled checks: one BCF per model
+  return ((job.result && job.result.models) || [])
+    .filter((m) => m.status === 'completed' && m.bcf)
+    .map((m) => ({ model: m.model, bcfPath: m.bcf }));
+}
+
+async function onFinished(job) {
+  for (const report of jobReports(job)) {
+    if (!fs.existsSync(report.bcfPath)) continue;
+    try {
+      await record({ jobId: job.id, rulesets: job.params.rulesets, createdAt: job.finishedAt, ...report });
+    } catch (error) {
+      log.error(`Failed to record ${report.bcfPath}: ${error.message}`, { jobId: job.id });
+    }
+  }
+}
+
+jobs.events.on('finished', (job) => {
+  onFinished(job);
+});
+
+/**
+ * Recorded reports, newest first, optionally of one model/ruleset pair
+ */
+function history({ model, rulesets } = {}) {
+  const key = model && rulesets ? pairKey(model, rulesets) : null;
+  return loadIndex()
+    .filter((e) => !key || e.key === key)
+    .filter((e) => !model || e.key.startsWith(`${pairKey(model, [])}|`))
+    .slice()
+    .reverse();
+}
+
+/**
+ * Topics of a report reference: a history report id, a job id (its report
+ * for the model, if the job checked several) or a BCF file path
+ */
+async function loadReport(ref, { model } = {}) {
+  const entries = loadIndex();
+  let entry = entries.find((e) => e.id === ref);
+  if (!entry) {
+    const ofJob = entries.filter((e) => e.jobId === ref && (!model || e.key.startsWith(`${pairKey(model, [])}|`)));
+    if (ofJob.length > 1) {
+      throw new Error(`Job ${ref} checked several models; pass modelPath to pick one (${ofJob.map((e) => path.basename(e.model)).join(', ')})`);
+    }
+    entry = ofJob[0];
+  }
+  if (entry) {
+    const { key, ...report } = entry;
+    return { report, topics: JSON.parse(fs.readFileSync(reportFile(entry.id), 'utf8')) };
+  }
+
+  if (jobs.get(ref)) throw new Error(`Job ${ref} has no recorded BCF report${model ? ` for ${model}` : ''}`);
+  const bcfPath = paths.resolveInput(ref, 'report');
+  const parsed = await bcf.readBcf(bcfPath);
+  return { report: { bcf: bcfPath, topicCount: parsed.topics.length }, topics: parsed.topics.map(compact) };
+}
+
+function similarity(a, b) {
+  const set = new Set(a.ifcGuids);
+  const shared = b.ifcGuids.filter((g) => set.has(g)).length;
+  return shared / (a.ifcGuids.length + b.ifcGuids.length - shared);
+}
+
+/**
+ * Match the topics of two reports
+ *
+ * Passes, each on the topics still unmatched: same BCF topic GUID (an
+ * updated presentation keeps it); same rule and the same components; same rule
+ * and at least `threshold` of their components in common, best matches
+ * first; same rule and title for topics without components.
+ *
+ * @returns {{ added: Array, resolved: Array, persisting: Array<{ before, after, similarity }> }}
+ */
+function diffTopics(before, after, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const unmatched = new Set(before);
+  const persisting = [];
+  const pending = [];
+
+  const take = (b, a, score) => {
+    unmatched.delete(b);
+    persisting.push({ before: b, after: a, similarity: score });
+  };
+
+  const byGuid = new Map(before.map((t) => [t.guid, t]));
+  const componentsKey = (t) => `${t.rule}\n${[...t.ifcGuids].sort().join(',')}`;
+  const byComponents = new Map();
+  for (const t of before) {
+    if (t.ifcGuids.length === 0) continue;
+    const key = componentsKey(t);
+    if (!byComponents.has(key)) byComponents.set(key, []);
+    byComponents.get(key).push(t);
+  }
+
+  for (const t of after) {
+    const same = byGuid.get(t.guid);
+    if (same && unmatched.has(same)) {
+      take(same, t, 1);
+      continue;
+    }
+    const identical = t.ifcGuids.length > 0 && (byComponents.get(componentsKey(t)) || []).find((b) => unmatched.has(b));
+    if (identical) take(identical, t, 1);
+    else pending.push(t);
+  }
+
+  // Partial overlap: candidate pairs of the same rule sharing a component
+  const byComponent = new Map();
+  for (const t of unmatched) {
+    for (const g of t.ifcGuids) {
+      if (!byComponent.has(g)) byComponent.set(g, new Set());
+      byComponent.get(g).add(t);
+    }
+  }
+  const candidates = [];
+  for (const t of pending) {
+    const seen = new Set();
+    for (const g of t.ifcGuids) {
+      for (const b of byComponent.get(g) || []) {
+        if (seen.has(b) || b.rule !== t.rule) continue;
+        seen.add(b);
+        const score = similarity(b, t);
+        if (score >= threshold) candidates.push({ b, t, score });
+      }
+    }
+  }
+  candidates.sort((x, y) => y.score - x.score);
+  const matchedAfter = new Set();
+  for (const { b, t, score } of candidates) {
+    if (!unmatched.has(b) || matchedAfter.has(t)) continue;
+    take(b, t, Math.round(score * 100) / 100);
+    matchedAfter.add(t);
+  }
+
+  const added = [];
+  for (const t of pending) {
+    if (matchedAfter.has(t)) continue;
+    const same = t.ifcGuids.length === 0 && [...unmatched].find((b) => b.ifcGuids.length === 0 && b.rule === t.rule && b.title === t.title);
+    if (same) take(same, t, 1);
+    else added.push(t);
+  }
+
+  return { added, resolved: [...unmatched], persisting };
+}
+
+/**
+ * Compare two reports. Without explicit references the latest report of the
+ * model/ruleset pair is compared with the one before it.
+ *
+ * @param {object} options
+ * @param {string} [options.model] - Resolved model path
+ * @param {string[]} [options.rulesets] - Resolved ruleset paths
+ * @param {string} [options.base] - Earlier report: history id, job id or BCF path
+ * @param {string} [options.target] - Later report: history id, job id or BCF path
+ * @param {number} [options.threshold] - Share of components in common for a partial match
+ * @param {number} [options.limit] - Issues listed per category
+ */
+async function compare({ model, rulesets, base, target, threshold = DEFAULT_THRESHOLD, limit = 50 }) {
+  if (!target || !base) {
+    if (!model || !rulesets) throw new Error('Pass modelPath and rulesets, or both base and target');
+    const reports = history({ model, rulesets });
+    const targetIndex = target ? reports.findIndex((r) => r.id === target || r.jobId === target) : 0;
+    if (targetIndex < 0) throw new Error(`Report ${target} is not in the history of ${model}`);
+    if (reports.length < targetIndex + 2) {
+      throw new Error(`Need two recorded reports for ${model} with these rulesets, found ${reports.length - targetIndex}`);
+    }
+    target = target || reports[0].id;
+    base = base || reports[targetIndex + 1].id;
+  }
+
+  const before = await loadReport(base, { model });
+  const after = await loadReport(target, { model });
+  const { added, resolved, persisting } = diffTopics(before.topics, after.topics, { threshold });
+
+  const byRule = {};
+  const count = (topic, kind) => {
+    const rule = topic.rule || 'Unspecified';
+    byRule[rule] = byRule[rule] || { new: 0, resolved: 0, persisting: 0 };
+    byRule[rule][kind]++;
+  };
+  added.forEach((t) => count(t, 'new'));
+  resolved.forEach((t) => count(t, 'resolved'));
+  persisting.forEach((p) => count(p.after, 'persisting'));
+
+  const brief = ({ ifcGuids, ...topic }) => ({ ...topic, ifcGuids: ifcGuids.slice(0, 20), ifcGuidCount: ifcGuids.length });
+  return {
+    base: before.report,
+    target: after.report,
+    counts: { new: added.length, resolved: resolved.length, persisting: persisting.length },
+    byRule,
+    new: added.slice(0, limit).map(brief),
+    resolved: resolved.slice(0, limit).map(brief),
+    persisting: persisting.slice(0, limit).map((p) => ({
+      ...brief(p.after),
+      previousGuid: p.before.guid,
+      similarity: p.similarity,
+      ...(p.before.status !== p.after.status ? { previousStatus: p.before.status } : {}),
+      ...(p.before.priority !== p.after.priority ? { previousPriority: p.before.priority } : {}),
+    })),
+  };
+}
+
+module.exports = {
+  record,
+  history,
+  compare,
+  diffTopics,
+};
@@ -0,0 +1,331 @@
+/**
+ * Solibri Job Queue
+ *
+ * Serializes autorun executions (one Solibri process at a time, one license)
+ * and keeps a persisted history of every job so status survives a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('../logger');
+const autorun = require('./autorun');
+const { createTracker } = require('./progress');
+
+const ACTIVE_STATES = ['queued', 'running'];
+const FINISHED_STATES = ['completed', 'failed', 'cancelled', 'interrupted'];
+
+const log = logger.create('Jobs');
+
+const events = new EventEmitter();
+// Every client session listens for finished jobs
+events.setMaxListeners(0);
+
+// jobId -> job record (persisted fields only)
+const jobs = new Map();
+// jobId -> runtime state ({ run, finalize, proc, cancelRequested, waiters })
+const runtime = new Map();
+// FIFO of queued job ids
+const queue = [];
+
+let loaded = false;
+let current = null;
+
+/**
+ * Load job history from disk. Jobs that were queued or running when the
+ * server stopped cannot be resumed and are marked as interrupted.
+ */
+function load() {
+  if (loaded) return;
+  loaded = true;
+
+  const file = config.JOBS.historyFile;
+  if (!fs.existsSync(file)) return;
+
+  try {
+    const records = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const job of records) {
+      if (ACTIVE_STATES.includes(job.status)) {
+        job.status = 'interrupted';
+        job.error = 'Server restarted before job completed';
+        job.finishedAt = job.finishedAt || new Date().toISOString();
+      }
+      jobs.set(job.id, job);
+    }
+    log.info(`Loaded ${jobs.size} jobs from ${file}`);
+  } catch (error) {
+    log.error(`Failed to load job history: ${error.message}`);
+  }
+}
+
+/**
+ * Persist job history, dropping the oldest finished jobs beyond maxHistory
+ */
+function save() {
+  const records = [...jobs.values()];
+  const finished = records.filter((j) => !ACTIVE_STATES.includes(j.status));
+  const excess = finished.length - config.JOBS.maxHistory;
+  if (excess > 0) {
+    for (const job of finished.slice(0, excess)) jobs.delete(job.id);
+  }
+
+  const file = config.JOBS.historyFile;
+  autorun.ensureDir(path.dirname(file));
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify([...jobs.values()], null, 2), 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Change a job record. History is written on status changes only: progress
+ * and pid updates are frequent and of no use after a restart.
+ */
+function update(job, fields) {
+  Object.assign(job, fields);
+  if (fields.status) save();
+  events.emit('update', job);
+}
+
+/**
+ * Truncate long process output kept in job records
+ */
+function truncate(text, max = 2000) {
+  if (!text || text.length <= max) return text;
+  return `...${text.slice(-max)}`;
+}
+
+/**
+ * Default executor: run the job's autorun commands and report progress per
+ * command (autorun logs the XML and Solibri's output to the job log)
+ */
+async function runAutorun(job, ctx) {
+  const tracker = createTracker(job.commands, ctx.progress);
+
+  tracker.start();
+  try {
+    return await autorun.executeAutorun(job.commands, {
+      jobId: job.id,
+      onSpawn: ctx.onSpawn,
+      onOutput: (stream, text) => tracker.onOutput(text),
+    });
+  } finally {
+    tracker.stop();
+  }
+}
+
+/**
+ * Last lines of a job's log
+ *
+ * @returns {{ lines: string[], totalLines: number }}
+ */
+function readLog(jobId, { tail = 100 } = {}) {
+  load();
+  if (!jobs.has(jobId)) throw new Error(`Job not found: ${jobId}`);
+  const file = logger.jobLogPath(jobId);
+  if (!fs.existsSync(file)) return { lines: [], totalLines: 0 };
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+  return { lines: lines.slice(-tail), totalLines: lines.length };
+}
+
+/**
+ * Run the next queued job if nothing is running
+ */
+async function processQueue() {
+  if (current || queue.length === 0) return;
+
+  const jobId = queue.shift();
+  const job = jobs.get(jobId);
+  const state = runtime.get(jobId);
+  current = jobId;
+
+  update(job, { status: 'running', startedAt: new Date().toISOString() });
+  const jobLog = log.child({ jobId });
+  jobLog.info(`Started ${job.tool} job`);
+
+  const ctx = {
+    jobId,
+    onSpawn: (proc) => {
+      state.proc = proc;
+      update(job, { pid: proc.pid });
+      jobLog.info(`Solibri started (pid ${proc.pid})`);
+    },
+    isCancelled: () => state.cancelRequested,
+    log: (message, level = 'info') => jobLog[level](message),
+    progress: ({ progress, total, message }) => {
+      jobLog.debug(`Progress ${progress}/${total}: ${message}`);
+      update(job, { progress: { progress, total, message } });
+      events.emit('progress', { jobId, progress, total, message });
+    },
+  };
+
+  try {
+    const execution = await (state.run || runAutorun)(job, ctx);
+    if (state.cancelRequested) throw new Error('Job cancelled');
+
+    // Solibri succeeded; a failure reading its output is reported without failing the job
+    let result = null;
+    let error = null;
+    if (state.finalize) {
+      try {
+        result = await state.finalize(execution, job);
+      } catch (e) {
+        error = `Post-processing failed: ${truncate(e.message)}`;
+      }
+    }
+    update(job, {
+      status: 'completed',
+      exitCode: execution && execution.code !== undefined ? execution.code : 0,
+      result,
+      error,
+      finishedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (state.cancelRequested) {
+      update(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+    } else {
+      update(job, { status: 'failed', error: truncate(error.message), finishedAt: new Date().toISOString() });
+    }
+  } finally {
+    jobLog[job.status === 'failed' ? 'error' : 'info'](`Finished ${job.tool} job: ${job.status}${job.error ? ` (${job.error})` : ''}`);
+    state.proc = null;
+    for (const waiter of state.waiters) waiter(job);
+    runtime.delete(jobId);
+    current = null;
+    events.emit('finished', job);
+    setImmediate(processQueue);
+  }
+}
+
+/**
+ * Queue a job. Returns the job record immediately.
+ *
+ * @param {object} spec
+ * @param {string} [spec.id] - Job id (defaults to a new uuid)
+ * @param {string} spec.tool - Tool that created the job
+ * @param {object} [spec.params] - Tool arguments, kept for history
+ * @param {Array} [spec.commands] - Autorun commands to execute
+ * @param {object} [spec.outputs] - Output files the job is expected to produce
+ * @param {Function} [spec.run] - Custom executor (job, ctx) replacing the autorun run; ctx
+ *   provides jobId, onSpawn(proc), isCancelled(), log(message, level) and progress({ progress, total, message })
+ * @param {Function} [spec.finalize] - Called with the execution result, returns job.result
+ * @param {string} [spec.requestedBy] - Name of the token (or "scheduler") that queued the job
+ */
+function submit({ id, tool, params = {}, commands = [], outputs = {}, run, finalize, requestedBy = null }) {
+  load();
+
+  const job = {
+    id: id || uuidv4(),
+    tool,
+    requestedBy,
+    status: 'queued',
+    params,
+    commands,
+    outputs,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    exitCode: null,
+    progress: null,
+    error: null,
+    result: null,
+  };
+
+  // Created only now, so calls rejected before queueing leave no empty folder behind
+  autorun.ensureDir(path.join(config.SOLIBRI.outputDir, job.id));
+  jobs.set(job.id, job);
+  runtime.set(job.id, { run, finalize, proc: null, cancelRequested: false, waiters: [] });
+  queue.push(job.id);
+  save();
+  events.emit('update', job);
+
+  setImmediate(processQueue);
+  return job;
+}
+
+/**
+ * Default location for a file produced by a job: <outputDir>/<jobId>/<filename>.
+ * The folder is created by submit().
+ */
+function outputPath(jobId, filename) {
+  return path.join(config.SOLIBRI.outputDir, jobId, filename);
+}
+
+/**
+ * Get a job by id
+ */
+function get(jobId) {
+  load();
+  return jobs.get(jobId) || null;
+}
+
+/**
+ * Position of a queued job (1 = next to run), or 0 if not queued
+ */
+function queuePosition(jobId) {
+  return queue.indexOf(jobId) + 1;
+}
+
+/**
+ * List jobs, newest first
+ */
+function list({ status, tool, limit = 20 } = {}) {
+  load();
+  return [...jobs.values()]
+    .filter((j) => !status || j.status === status)
+    .filter((j) => !tool || j.tool === tool)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
+
+/**
+ * Cancel a queued or running job. Running jobs have their Solibri process killed.
+ */
+function cancel(jobId) {
+  load();
+  const job = jobs.get(jobId);
+  if (!job) throw new Error(`Job not found: ${jobId}`);
+  if (!ACTIVE_STATES.includes(job.status)) {
+    throw new Error(`Job ${jobId} is already ${job.status}`);
+  }
+
+  const state = runtime.get(jobId);
+  state.cancelRequested = true;
+
+  if (job.status === 'queued') {
+    queue.splice(queue.indexOf(jobId), 1);
+    runtime.delete(jobId);
+    update(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+    for (const waiter of state.waiters) waiter(job);
+    events.emit('finished', job);
+  } else if (state.proc) {
+    autorun.killProcess(state.proc);
+  }
+
+  return job;
+}
+
+/**
+ * Wait for a job to finish. Resolves with the final job record.
+ */
+function waitFor(jobId) {
+  load();
+  const job = jobs.get(jobId);
+  if (!job) return Promise.reject(new Error(`Job not found: ${jobId}`));
+  if (!ACTIVE_STATES.includes(job.status)) return Promise.resolve(job);
+  return new Promise((resolve) => runtime.get(jobId).waiters.push(resolve));
+}
+
+module.exports = {
+  FINISHED_STATES,
+  events,
+  submit,
+  get,
+  list,
+  cancel,
+  waitFor,
+  queuePosition,
+  outputPath,
+  readLog,
+};
@@ -0,0 +1,149 @@
+/**
+ * Path Sandboxing
+ *
+ * Every file argument is resolved here before it reaches autorun XML or is
+ * read by the server. Inputs must lie under an allowed input root, outputs
+ * under an allowed output root; relative paths resolve against the work
+ * directory (inputs) or output directory (outputs). Traversal segments and
+ * UNC/device paths are rejected, and existing outputs are only overwritten
+ * when explicitly requested.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { COMMANDS } = require('./commands');
+
+const CASE_INSENSITIVE = process.platform === 'win32';
+
+function normalize(p) {
+  const resolved = path.resolve(p);
+  return CASE_INSENSITIVE ? resolved.toLowerCase() : resolved;
+}
+
+/**
+ * Whether `file` is `root` or lies below it
+ */
+function isWithin(root, file) {
+  const relative = path.relative(normalize(root), normalize(file));
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Reject paths that could escape the sandbox before resolving them
+ */
+function checkSyntax(file, label) {
+  if (typeof file !== 'string' || file.trim() === '') {
+    throw new Error(`${label}: path is required`);
+  }
+  if (file.includes('\0')) {
+    throw new Error(`${label}: invalid characters in path`);
+  }
+  if (/^[\\/]{2}/.test(file)) {
+    throw new Error(`${label}: UNC and device paths are not allowed (${file})`);
+  }
+  if (file.split(/[\\/]/).includes('..')) {
+    throw new Error(`${label}: path traversal ("..") is not allowed (${file})`);
+  }
+}
+
+/**
+ * Resolve symlinks of the file (or its nearest existing parent) so links
+ * cannot point out of an allowed root
+ */
+function realPath(file) {
+  let existing = file;
+  while (!fs.existsSync(existing)) {
+    const parent = path.dirname(existing);
+    if (parent === existing) return file;
+    existing = parent;
+  }
+  return path.join(fs.realpathSync(existing), path.relative(existing, file));
+}
+
+/**
+ * Allowed input folders (configured, or work/output/asset folders)
+ */
+function inputRoots() {
+  if (config.SANDBOX.inputRoots.length > 0) return config.SANDBOX.inputRoots;
+  const { workDir, outputDir, classificationsDir, rulesetsDir, itoDir, templatesDir } = config.SOLIBRI;
+  return [workDir, outputDir, classificationsDir, rulesetsDir, itoDir, templatesDir, ...Object.values(config.ASSETS.roots).flat()];
+}
+
+/**
+ * Allowed output folders (configured, or the output folder)
+ */
+function outputRoots() {
+  if (config.SANDBOX.outputRoots.length > 0) return config.SANDBOX.outputRoots;
+  return [config.SOLIBRI.outputDir];
+}
+
+function checkRoots(file, roots, label, kind) {
+  const real = realPath(file);
+  if (!roots.some((root) => isWithin(root, file) && isWithin(fs.existsSync(root) ? fs.realpathSync(root) : root, real))) {
+    throw new Error(`${label}: ${file} is outside the allowed ${kind} folders (${roots.join('; ')})`);
+  }
+}
+
+/**
+ * Resolve a file the server or Solibri will read
+ *
+ * @param {string} file - Absolute path, or relative to SOLIBRI.workDir
+ * @param {string} [label] - Argument name used in error messages
+ * @returns {string} Absolute path
+ */
+function resolveInput(file, label = 'input') {
+  checkSyntax(file, label);
+  const resolved = path.resolve(config.SOLIBRI.workDir, file);
+  checkRoots(resolved, inputRoots(), label, 'input');
+  return resolved;
+}
+
+/**
+ * Resolve a file Solibri or the server will write
+ *
+ * @param {string} file - Absolute path, or relative to SOLIBRI.outputDir
+ * @param {object} [options]
+ * @param {string} [options.label] - Argument name used in error messages
+ * @param {boolean} [options.overwrite] - Allow replacing an existing file
+ * @returns {string} Absolute path
+ */
+function resolveOutput(file, { label = 'output', overwrite = false } = {}) {
+  checkSyntax(file, label);
+  const resolved = path.resolve(config.SOLIBRI.outputDir, file);
+  checkRoots(resolved, outputRoots(), label, 'output');
+  if (!overwrite && fs.existsSync(resolved)) {
+    throw new Error(`${label}: ${resolved} already exists (set overwrite to true to replace it)`);
+  }
+  return resolved;
+}
+
+/**
+ * Resolve every file attribute of an autorun command list according to the
+ * command schema (input or output). Returns new command objects.
+ */
+function resolveCommands(commands, { overwrite = false } = {}) {
+  return commands.map((cmd, i) => {
+    const def = COMMANDS[cmd.type];
+    if (!def) return cmd;
+
+    const resolved = { ...cmd };
+    for (const [name, spec] of Object.entries(def.attributes)) {
+      if (!cmd[name]) continue;
+      const label = `command ${i + 1} (${cmd.type}) ${name}`;
+      if (spec.type === 'input') resolved[name] = resolveInput(cmd[name], label);
+      if (spec.type === 'output') resolved[name] = resolveOutput(cmd[name], { label, overwrite });
+    }
+    return resolved;
+  });
+}
+
+module.exports = {
+  isWithin,
+  checkSyntax,
+  inputRoots,
+  outputRoots,
+  resolveInput,
+  resolveOutput,
+  resolveCommands,
+};
@@ -0,0 +1,145 @@
+/**
+ * Autorun Progress Tracking
+ *
+ * Solibri reports nothing structured while an autorun script runs, so the
+ * current step is inferred from two sources: output lines that mention a
+ * command's file or keyword (the command has started), and output files
+ * appearing on disk (the command that writes them has finished). Steps only
+ * ever move forward.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { COMMANDS } = require('./commands');
+
+// Words in Solibri's output that indicate a command without a file has started
+const KEYWORDS = {
+  check: /\bcheck/i,
+  takeoff: /takeoff/i,
+  createpresentation: /presentation/i,
+  updatepresentation: /presentation/i,
+  autocomment: /comment/i,
+  autoupdatemodels: /updat/i,
+};
+
+/**
+ * Human-readable description of an autorun command
+ */
+function describe(cmd) {
+  const file = cmd.file ? path.basename(cmd.file) : null;
+  switch (cmd.type) {
+    case 'openmodel': return `Opening model ${file}`;
+    case 'updatemodel': return `Updating model with ${file}`;
+    case 'savemodel': return `Saving model ${file}`;
+    case 'openclassification': return `Loading classification ${file}`;
+    case 'openruleset': return `Loading ruleset ${file}`;
+    case 'openito': return `Loading ITO ${file}`;
+    case 'check': return 'Checking model';
+    case 'takeoff': return `Running takeoff${cmd.name ? ` ${cmd.name}` : ''}`;
+    case 'itoreport': return `Writing takeoff report ${file}`;
+    case 'bcfreport': return `Writing BCF report ${file}`;
+    case 'createpresentation': return 'Creating presentation';
+    case 'updatepresentation': return 'Updating presentation';
+    case 'autocomment': return 'Adding automatic comments';
+    case 'autoupdatemodels': return 'Updating models from source files';
+    default: return cmd.type;
+  }
+}
+
+/**
+ * Output files written by a command
+ */
+function outputsOf(cmd) {
+  const def = COMMANDS[cmd.type];
+  if (!def) return [];
+  return Object.entries(def.attributes)
+    .filter(([name, spec]) => spec.type === 'output' && cmd[name])
+    .map(([name]) => cmd[name]);
+}
+
+/**
+ * Track the progress of an autorun run
+ *
+ * @param {Array} commands - Autorun commands (a trailing exit is not counted)
+ * @param {Function} onProgress - Called with { progress, total, message } when a step starts or completes
+ * @param {object} [options]
+ * @param {number} [options.pollInterval] - How often output files are checked (ms)
+ * @returns {{ start, stop, onOutput }}
+ */
+function createTracker(commands, onProgress, { pollInterval = 2000 } = {}) {
+  const steps = commands.filter((cmd) => cmd.type !== 'exit');
+  const total = steps.length + 1;
+  const startedAt = Date.now();
+  // Steps completed so far; step `completed` is the one running
+  let completed = 0;
+  let reported = -1;
+  let timer = null;
+
+  const report = (message) => {
+    if (completed === reported) return;
+    reported = completed;
+    onProgress({ progress: completed, total, message });
+  };
+
+  const reach = (index) => {
+    if (index < completed) return;
+    completed = index;
+    report(describe(steps[index]));
+  };
+
+  const finish = (index) => {
+    if (index + 1 <= completed) return;
+    completed = index + 1;
+    report(completed < steps.length ? describe(steps[completed]) : 'Closing Solibri');
+  };
+
+  const pollOutputs = () => {
+    for (let i = steps.length - 1; i >= completed; i--) {
+      const written = outputsOf(steps[i]).some((file) => {
+        try {
+          const stat = fs.statSync(file);
+          return stat.size > 0 && stat.mtimeMs >= startedAt;
+        } catch (error) {
+          return false;
+        }
+      });
+      if (written) {
+        finish(i);
+        return;
+      }
+    }
+  };
+
+  return {
+    start() {
+      report(steps.length > 0 ? describe(steps[0]) : 'Starting Solibri');
+      timer = setInterval(pollOutputs, pollInterval);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+      pollOutputs();
+    },
+
+    /**
+     * Scan Solibri output for the file name or keyword of the next matching step
+     */
+    onOutput(text) {
+      for (let i = completed + 1; i < steps.length; i++) {
+        const cmd = steps[i];
+        const file = cmd.file && path.basename(cmd.file);
+        if ((file && text.includes(file)) || (KEYWORDS[cmd.type] && KEYWORDS[cmd.type].test(text))) {
+          reach(i);
+          return;
+        }
+      }
+    },
+  };
+}
+
+module.exports = {
+  createTracker,
+  describe,
+};
@@ -0,0 +1,241 @@
+/**
+ * Check Reports
+ *
+ * Turns the BCF written by a check into reports for people and pipelines:
+ * CSV and JSON issue lists, a self-contained HTML report with the snapshots
+ * embedded, and SARIF for code-scanning style tools. A verdict compares the
+ * issue counts with thresholds (e.g. at most 0 critical issues) so model
+ * gates can pass or fail on it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const autorun = require('./autorun');
+const bcf = require('./bcf');
+const paths = require('./paths');
+
+const FORMATS = ['csv', 'json', 'html', 'sarif'];
+
+// Snapshots embedded in the HTML report; later issues are listed without one
+const MAX_SNAPSHOTS = 300;
+
+// SARIF result level per BCF priority (Solibri severities)
+const SARIF_LEVELS = { critical: 'error', high: 'error', moderate: 'warning', medium: 'warning', low: 'note' };
+
+// Threshold keys: the BCF priorities above (any case) or "total"
+const THRESHOLD_KEYS = ['Critical', 'High', 'Moderate', 'Medium', 'Low', 'total'];
+
+/**
+ * Reject thresholds a verdict could not evaluate. A misspelled severity
+ * would count no issues and always pass, so unknown keys are errors.
+ */
+function checkThresholds(thresholds) {
+  if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    throw new Error('thresholds must be an object such as { "Critical": 0 }');
+  }
+  for (const [key, max] of Object.entries(thresholds)) {
+    if (!THRESHOLD_KEYS.some((k) => k.toLowerCase() === key.toLowerCase())) {
+      throw new Error(`thresholds: unknown severity "${key}" (expected ${THRESHOLD_KEYS.join(', ')})`);
+    }
+    if (typeof max !== 'number' || !(max >= 0)) throw new Error(`thresholds: ${key} must be a number of issues of 0 or more`);
+  }
+}
+
+/**
+ * Compare issue counts with thresholds
+ *
+ * @param {object} summary - From bcf.summarize
+ * @param {object} [thresholds] - Highest allowed count per severity (e.g. { Critical: 0 }) or "total"
+ * @returns {{ passed: boolean, checks: Array<{ key, count, max, passed }> }}
+ */
+function verdict(summary, thresholds = {}) {
+  checkThresholds(thresholds);
+  const checks = Object.entries(thresholds).map(([key, max]) => {
+    const count = key.toLowerCase() === 'total'
+      ? summary.topicCount
+      : Object.entries(summary.bySeverity).filter(([severity]) => severity.toLowerCase() === key.toLowerCase()).reduce((sum, [, n]) => sum + n, 0);
+    return { key, count, max, passed: count <= max };
+  });
+  return { passed: checks.every((c) => c.passed), checks };
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(topics) {
+  const header = ['Index', 'Guid', 'Title', 'Rule', 'Severity', 'Status', 'Assigned To', 'Labels', 'IFC GUIDs', 'Description', 'Created'];
+  const rows = topics.map((t) => [
+    t.index, t.guid, t.title, t.rule, t.priority, t.status, t.assignedTo,
+    t.labels.join(' / '), t.ifcGuids.join(' '), t.description, t.creationDate,
+  ]);
+  // BOM so Excel opens the file as UTF-8
+  return `\uFEFF${[header, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+function toJson(report, topics) {
+  return JSON.stringify({
+    ...report,
+    issues: topics.map(({ viewpoints, ...topic }) => ({ ...topic, snapshots: viewpoints.map((v) => v.snapshot).filter(Boolean) })),
+  }, null, 2);
+}
+
+function toSarif(report, topics) {
+  const uri = report.model ? pathToFileURL(report.model).href : null;
+  const rules = [...new Set(topics.map((t) => t.rule || 'Unspecified'))];
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: 'Solibri', informationUri: 'https://www.solibri.com', rules: rules.map((id) => ({ id, name: id })) } },
+      artifacts: uri ? [{ location: { uri } }] : [],
+      results: topics.map((t) => ({
+        ruleId: t.rule || 'Unspecified',
+        ruleIndex: rules.indexOf(t.rule || 'Unspecified'),
+        level: SARIF_LEVELS[(t.priority || '').toLowerCase()] || 'warning',
+        message: { text: t.description ? `${t.title}: ${t.description}` : t.title || '' },
+        locations: [{
+          ...(uri ? { physicalLocation: { artifactLocation: { uri, index: 0 } } } : {}),
+          logicalLocations: t.ifcGuids.map((guid) => ({ name: guid, kind: 'element' })),
+        }],
+        partialFingerprints: { bcfTopicGuid: t.guid },
+        properties: { severity: t.priority, status: t.status, labels: t.labels },
+      })),
+      properties: { verdict: report.verdict },
+    }],
+  }, null, 2);
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function countTable(title, counts) {
+  const rows = Object.entries(counts).sort((a, b) => b[1] - a[1])
+    .map(([name, n]) => `<tr><td>${escapeHtml(name)}</td><td class="n">${n}</td></tr>`).join('');
+  return `<table><thead><tr><th>${escapeHtml(title)}</th><th class="n">Issues</th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+function toHtml(report, topics, snapshots) {
+  const { summary } = report;
+  let embedded = 0;
+
+  const issues = topics.map((t) => {
+    const images = snapshots.get(t.guid) || [];
+    const wanted = t.viewpoints.map((v) => v.snapshot).filter(Boolean);
+    const image = images.find((i) => wanted.includes(i.name)) || images[0];
+    let figure = '';
+    if (image && embedded < MAX_SNAPSHOTS) {
+      embedded++;
+      const mime = /\.png$/i.test(image.name) ? 'image/png' : 'image/jpeg';
+      figure = `<img src="data:${mime};base64,${image.data.toString('base64')}" alt="Snapshot">`;
+    }
+    const guids = t.ifcGuids.slice(0, 10).join(', ') + (t.ifcGuids.length > 10 ? `, … (${t.ifcGuids.length})` : '');
+    return `<article class="issue">${figure}<div>
+<h3>${escapeHtml(t.index ? `${t.index}. ` : '')}${escapeHtml(t.title)}</h3>
+<p class="meta"><span class="sev sev-${escapeHtml((t.priority || '').toLowerCase())}">${escapeHtml(t.priority || 'No severity')}</span> ${escapeHtml(t.rule)} · ${escapeHtml(t.status)}${t.assignedTo ? ` · ${escapeHtml(t.assignedTo)}` : ''}</p>
+${t.description ? `<p>${escapeHtml(t.description)}</p>` : ''}
+${guids ? `<p class="guids">${escapeHtml(guids)}</p>` : ''}
+</div></article>`;
+  }).join('\n');
+
+  const verdictHtml = report.verdict && report.verdict.checks.length > 0
+    ? `<p class="verdict ${report.verdict.passed ? 'pass' : 'fail'}">${report.verdict.passed ? 'PASSED' : 'FAILED'}: ${report.verdict.checks.map((c) => `${escapeHtml(c.key)} ${c.count} (max ${c.max})`).join(', ')}</p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.title)}</title>
+<style>
+body { font-family: Segoe UI, Arial, sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; margin: 0 2em 1em 0; display: inline-table; vertical-align: top; }
+th, td { border-bottom: 1px solid #ddd; padding: 4px 10px; text-align: left; }
+.n { text-align: right; }
+.verdict { font-weight: bold; padding: 8px 12px; display: inline-block; }
+.pass { background: #e3f5e1; color: #1b5e20; }
+.fail { background: #fde2e1; color: #b71c1c; }
+.issue { display: flex; gap: 16px; border-top: 1px solid #ddd; padding: 12px 0; }
+.issue img { width: 320px; height: auto; border: 1px solid #ccc; }
+.issue h3 { margin: 0 0 4px; font-size: 1.05em; }
+.meta { color: #555; margin: 0 0 6px; }
+.sev { padding: 1px 6px; border-radius: 3px; background: #eee; }
+.sev-critical { background: #c62828; color: #fff; }
+.sev-moderate { background: #f9a825; }
+.sev-low { background: #90caf9; }
+.guids { font-family: Consolas, monospace; font-size: 0.85em; color: #666; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.title)}</h1>
+<p>${report.model ? `Model: ${escapeHtml(report.model)}<br>` : ''}Generated ${escapeHtml(report.generatedAt)} · ${summary.topicCount} issues</p>
+${verdictHtml}
+<section>
+${countTable('Severity', summary.bySeverity)}
+${countTable('Status', summary.byStatus)}
+${countTable('Rule', summary.byRule)}
+</section>
+<h2>Issues</h2>
+${issues}
+</body>
+</html>
+`;
+}
+
+/**
+ * Write reports of a BCF file
+ *
+ * @param {string} bcfPath - BCF archive written by the check
+ * @param {object} options
+ * @param {string[]} options.formats - Any of csv, json, html, sarif
+ * @param {string} options.outputDir - Folder for the reports (report.<format>)
+ * @param {boolean} [options.overwrite] - Replace reports that already exist in outputDir
+ * @param {object} [options.thresholds] - Highest allowed count per severity or "total"
+ * @param {string} [options.model] - Checked model, shown in the reports
+ * @param {string} [options.title] - Report title
+ * @returns {Promise<{ files: object, summary: object, verdict: object }>}
+ */
+async function generate(bcfPath, { formats, outputDir, overwrite = false, thresholds, model, title }) {
+  const unknown = formats.filter((f) => !FORMATS.includes(f));
+  if (unknown.length > 0) throw new Error(`Unknown report format: ${unknown.join(', ')} (expected ${FORMATS.join(', ')})`);
+  if (thresholds) checkThresholds(thresholds);
+  // Every report path is checked before any is written
+  const targets = [...new Set(formats)].map((format) => [format, paths.resolveOutput(path.join(outputDir, `report.${format}`), { label: `${format} report`, overwrite })]);
+
+  const parsed = await bcf.readBcf(bcfPath);
+  const summary = bcf.summarize(parsed);
+  const report = {
+    title: title || `Model check${model ? `: ${path.basename(model)}` : ''}`,
+    model: model || null,
+    bcf: bcfPath,
+    generatedAt: new Date().toISOString(),
+    summary: { topicCount: summary.topicCount, bySeverity: summary.bySeverity, byStatus: summary.byStatus, byRule: summary.byRule },
+    verdict: thresholds ? verdict(summary, thresholds) : null,
+  };
+
+  const files = {};
+  if (formats.length > 0) autorun.ensureDir(outputDir);
+  for (const [format, file] of targets) {
+    if (format === 'csv') fs.writeFileSync(file, toCsv(parsed.topics), 'utf8');
+    if (format === 'json') fs.writeFileSync(file, toJson(report, parsed.topics), 'utf8');
+    if (format === 'sarif') fs.writeFileSync(file, toSarif(report, parsed.topics), 'utf8');
+    if (format === 'html') fs.writeFileSync(file, toHtml(report, parsed.topics, await bcf.readSnapshots(bcfPath)), 'utf8');
+    files[format] = file;
+  }
+
+  return { files, summary: report.summary, verdict: report.verdict };
+}
+
+module.exports = {
+  FORMATS,
+  checkThresholds,
+  verdict,
+  generate,
+};
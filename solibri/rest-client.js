@@ -10,6 +10,9 @@ const BASE_URL = config.SOLIBRI.restApiUrl;
 
 /**
  * Make request to Solibri REST API
+ *
+ * JSON responses are parsed, others returned as text (or as a Buffer when
+ * options.binary is set)
  */
 async function request(endpoint, options = {}) {
   const url = `${BASE_URL}${endpoint}`;
@@ -28,6 +31,10 @@ async function request(endpoint, options = {}) {
       throw new Error(`Solibri API error: ${response.status} - ${text}`);
     }
 
+    if (options.binary) {
+      return Buffer.from(await response.arrayBuffer());
+    }
+
     const contentType = response.headers.get('content-type');
     if (contentType && contentType.includes('application/json')) {
       return await response.json();
@@ -120,16 +127,16 @@ async function setSelectionBasket(guids) {
  * Highlight and get info for a component
  */
 async function getComponentInfo(guid) {
-  return await request(`/info/${guid}`, {
+  return await request(`/info/${encodeURIComponent(guid)}`, {
     method: 'POST',
   });
 }
 
 /**
- * Get BCF export
+ * Get BCF export (BCF zip archive as a Buffer)
  */
 async function getBcf(version = '2.1') {
-  return await request(`/bcfxml/${version}`);
+  return await request(`/bcfxml/${version}`, { binary: true });
 }
 
 /**
@@ -0,0 +1,334 @@
+/**
+ * Scheduled Checks
+ *
+ * Recurring batch checks (models, rulesets, classifications and ITOs) run on
+ * a cron expression. Definitions are kept in SCHEDULER.schedulesFile, which
+ * may also be edited by hand and is re-read when it changes. Runs go through
+ * the job queue like any other autorun job, and the outcome and issue counts
+ * of each run are kept in SCHEDULER.historyFile for trend questions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('../logger');
+const autorun = require('./autorun');
+const batch = require('./batch');
+const { BCF_VERSIONS } = require('./commands');
+const cron = require('./cron');
+const ifc = require('./ifc');
+const jobs = require('./jobs');
+const paths = require('./paths');
+
+const log = logger.create('Scheduler');
+
+const TICK_INTERVAL = 30 * 1000;
+
+let schedules = [];
+let schedulesMtime = null;
+let history = null;
+let timer = null;
+// scheduleId -> minute it was last triggered, so each matching minute runs once
+const triggered = new Map();
+// scheduleId -> id of its queued or running job
+const active = new Map();
+
+function readJson(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeJson(file, data) {
+  autorun.ensureDir(path.dirname(file));
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Schedule definitions, re-read when the file was changed on disk
+ */
+function loadSchedules() {
+  const file = config.SCHEDULER.schedulesFile;
+  const mtime = fs.existsSync(file) ? fs.statSync(file).mtimeMs : null;
+  if (mtime === schedulesMtime) return schedules;
+
+  try {
+    schedules = readJson(file, []);
+    schedulesMtime = mtime;
+  } catch (error) {
+    log.error(`Failed to read ${file}: ${error.message}`);
+  }
+  return schedules;
+}
+
+function saveSchedules() {
+  writeJson(config.SCHEDULER.schedulesFile, schedules);
+  schedulesMtime = fs.statSync(config.SCHEDULER.schedulesFile).mtimeMs;
+}
+
+function loadHistory() {
+  if (!history) {
+    try {
+      history = readJson(config.SCHEDULER.historyFile, []);
+    } catch (error) {
+      log.error(`Failed to read run history: ${error.message}`);
+      history = [];
+    }
+  }
+  return history;
+}
+
+/**
+ * Append a run, keeping the newest SCHEDULER.maxRuns per schedule
+ */
+function recordRun(run) {
+  const runs = loadHistory();
+  runs.push(run);
+  const ofSchedule = runs.filter((r) => r.scheduleId === run.scheduleId);
+  const excess = ofSchedule.length - config.SCHEDULER.maxRuns;
+  if (excess > 0) {
+    const drop = new Set(ofSchedule.slice(0, excess));
+    history = runs.filter((r) => !drop.has(r));
+  }
+  writeJson(config.SCHEDULER.historyFile, history);
+}
+
+/**
+ * The minute of a date as an ISO string (seconds dropped)
+ */
+function minuteOf(date) {
+  const minute = new Date(date);
+  minute.setSeconds(0, 0);
+  return minute.toISOString();
+}
+
+function find(idOrName) {
+  const schedule = loadSchedules().find((s) => s.id === idOrName || s.name === idOrName);
+  if (!schedule) throw new Error(`Schedule not found: ${idOrName}`);
+  return schedule;
+}
+
+/**
+ * Create a schedule. Files are resolved and checked now; model patterns are
+ * expanded again on every run so new files are picked up.
+ *
+ * @param {object} spec
+ * @param {string} spec.name - Unique name
+ * @param {string} spec.cron - Cron expression (server local time)
+ * @param {string[]} spec.models - Model files or glob patterns
+ * @param {string[]} spec.rulesets - Ruleset files
+ * @param {string[]} [spec.classifications] - Classification files
+ * @param {string[]} [spec.itos] - ITO files, each run as a takeoff per model
+ * @param {string} [spec.outputDir] - Folder for the reports; each run writes to a timestamped subfolder
+ * @param {string} [spec.bcfVersion] - BCF version of the reports
+ * @param {boolean} [spec.enabled] - Whether the schedule runs (default true)
+ */
+async function create({ name, cron: expression, models, rulesets, classifications = [], itos = [], outputDir, bcfVersion = '2.1', enabled = true }) {
+  if (!name || !name.trim()) throw new Error('name is required');
+  if (loadSchedules().some((s) => s.name === name)) throw new Error(`A schedule named "${name}" already exists`);
+  cron.parse(expression);
+  if (!BCF_VERSIONS.includes(bcfVersion)) throw new Error(`bcfVersion must be one of ${BCF_VERSIONS.join(', ')} (got "${bcfVersion}")`);
+
+  if (!Array.isArray(models)) throw new Error('models must be a list of model files or glob patterns');
+  const files = batch.expandModels(models);
+  if (files.length === 0) throw new Error('models: at least one model is required');
+  for (const file of files) await ifc.validateModelFile(file);
+  const schedule = {
+    id: uuidv4(),
+    name,
+    cron: expression,
+    enabled,
+    models,
+    rulesets: rulesets.map((file) => paths.resolveInput(file, 'rulesets')),
+    classifications: classifications.map((file) => paths.resolveInput(file, 'classifications')),
+    itos: itos.map((file) => paths.resolveInput(file, 'itos')),
+    outputDir: outputDir ? paths.resolveOutput(outputDir, { label: 'outputDir', overwrite: true }) : null,
+    bcfVersion,
+    createdAt: new Date().toISOString(),
+  };
+  if (schedule.rulesets.length === 0) throw new Error('rulesets: at least one ruleset is required');
+
+  schedules.push(schedule);
+  saveSchedules();
+  // The first run is the next matching minute, not the current one
+  triggered.set(schedule.id, minuteOf(new Date()));
+  log.info(`Created schedule "${name}" (${expression})`);
+  return describe(schedule);
+}
+
+/**
+ * Delete a schedule (its run history is kept)
+ */
+function remove(idOrName) {
+  const schedule = find(idOrName);
+  schedules = schedules.filter((s) => s !== schedule);
+  saveSchedules();
+  triggered.delete(schedule.id);
+  log.info(`Deleted schedule "${schedule.name}"`);
+  return schedule;
+}
+
+/**
+ * Schedule with its next run time, last run and active job
+ */
+function describe(schedule) {
+  let nextRun = null;
+  let error = null;
+  try {
+    const next = schedule.enabled !== false && cron.next(cron.parse(schedule.cron));
+    nextRun = next ? next.toISOString() : null;
+  } catch (e) {
+    error = e.message;
+  }
+  const runs = loadHistory().filter((r) => r.scheduleId === schedule.id);
+  return {
+    ...schedule,
+    nextRun,
+    ...(error ? { error } : {}),
+    lastRun: runs.length > 0 ? runs[runs.length - 1] : null,
+    activeJobId: active.get(schedule.id) || null,
+  };
+}
+
+function list() {
+  return loadSchedules().map(describe);
+}
+
+/**
+ * Queue a run of a schedule and record its outcome when the job finishes
+ */
+function trigger(schedule, scheduledAt) {
+  if (active.has(schedule.id)) {
+    recordRun({ scheduleId: schedule.id, name: schedule.name, scheduledAt, status: 'skipped', error: `Previous run (job ${active.get(schedule.id)}) has not finished` });
+    return null;
+  }
+
+  const jobId = uuidv4();
+  let job;
+  try {
+    const files = batch.expandModels(schedule.models);
+    const stamp = scheduledAt.replace(/[:.]/g, '').slice(0, 15);
+    const outputDir = schedule.outputDir ? path.join(schedule.outputDir, stamp) : path.join(config.SOLIBRI.outputDir, jobId);
+    const plans = batch.plan(files, { ...schedule, outputDir });
+
+    job = jobs.submit({
+      id: jobId,
+      tool: 'solibri_schedule',
+      requestedBy: 'scheduler',
+      params: { scheduleId: schedule.id, name: schedule.name, models: files, rulesets: schedule.rulesets, itos: schedule.itos },
+      outputs: { bcfFiles: plans.map((p) => p.bcf), takeoffFiles: plans.flatMap((p) => p.takeoffs) },
+      run: batch.createRunner(plans),
+      finalize: async (execution) => batch.consolidate(execution.results),
+    });
+  } catch (error) {
+    log.error(`Could not start "${schedule.name}": ${error.message}`);
+    recordRun({ scheduleId: schedule.id, name: schedule.name, scheduledAt, status: 'failed', error: error.message });
+    return null;
+  }
+
+  log.info(`Queued "${schedule.name}"`, { jobId: job.id });
+  active.set(schedule.id, job.id);
+  jobs.waitFor(job.id).then((finished) => {
+    active.delete(schedule.id);
+    const result = finished.result || {};
+    recordRun({
+      scheduleId: schedule.id,
+      name: schedule.name,
+      scheduledAt,
+      jobId: finished.id,
+      status: finished.status,
+      error: finished.error,
+      startedAt: finished.startedAt,
+      finishedAt: finished.finishedAt,
+      totals: result.totals || null,
+      byRule: Object.fromEntries((result.byRule || []).map((row) => [row.rule, row.total])),
+      models: (result.models || []).map((m) => ({ name: m.name, status: m.status, issues: m.issues, bySeverity: m.bySeverity })),
+    });
+  }).catch((error) => log.error(`Could not record the run of "${schedule.name}": ${error.message}`, { jobId: job.id }));
+  return job;
+}
+
+/**
+ * Start every enabled schedule whose expression matches the current minute
+ */
+function tick(now = new Date()) {
+  const key = minuteOf(now);
+
+  for (const schedule of loadSchedules()) {
+    if (schedule.enabled === false || triggered.get(schedule.id) === key) continue;
+    let parsed;
+    try {
+      parsed = cron.parse(schedule.cron);
+    } catch (error) {
+      continue;
+    }
+    if (cron.matches(parsed, new Date(key))) {
+      triggered.set(schedule.id, key);
+      trigger(schedule, key);
+    }
+  }
+}
+
+/**
+ * Runs of a schedule, oldest first, with the change in issue count over them
+ *
+ * @param {string} idOrName - Schedule id or name (also of deleted schedules)
+ * @param {object} [options]
+ * @param {number} [options.limit] - Number of most recent runs (default 10)
+ * @param {string} [options.rule] - Only count issues of rules whose name contains this text (e.g. "clash")
+ */
+function trend(idOrName, { limit = 10, rule } = {}) {
+  const runs = loadHistory().filter((r) => r.scheduleId === idOrName || r.name === idOrName);
+  // Unknown names are an error; a schedule without runs yet is not
+  if (runs.length === 0) find(idOrName);
+
+  const wanted = rule && rule.toLowerCase();
+  const count = (run) => {
+    if (!run.totals) return null;
+    if (!wanted) return run.totals.issues;
+    return Object.entries(run.byRule || {})
+      .filter(([name]) => name.toLowerCase().includes(wanted))
+      .reduce((sum, [, n]) => sum + n, 0);
+  };
+
+  const recent = runs.slice(-limit).map((run) => ({ ...run, issues: count(run) }));
+  const counted = recent.filter((run) => run.issues !== null);
+  const first = counted[0];
+  const last = counted[counted.length - 1];
+  return {
+    schedule: idOrName,
+    rule: rule || null,
+    runs: recent,
+    summary: counted.length === 0 ? null : {
+      runs: recent.length,
+      completedRuns: counted.length,
+      first: first.issues,
+      last: last.issues,
+      change: last.issues - first.issues,
+      min: Math.min(...counted.map((r) => r.issues)),
+      max: Math.max(...counted.map((r) => r.issues)),
+    },
+  };
+}
+
+/**
+ * Check the schedules every TICK_INTERVAL (unless SCHEDULER.enabled is false)
+ */
+function start() {
+  if (!config.SCHEDULER.enabled || timer) return;
+  const count = loadSchedules().length;
+  if (count > 0) log.info(`${count} schedules loaded from ${config.SCHEDULER.schedulesFile}`);
+  timer = setInterval(tick, TICK_INTERVAL);
+  timer.unref();
+  tick();
+}
+
+module.exports = {
+  create,
+  remove,
+  list,
+  trend,
+  start,
+};
@@ -0,0 +1,201 @@
+/**
+ * Excel (.xlsx) Reader
+ *
+ * Reads the workbooks written by the autorun `itoreport` command into JSON
+ * rows. Solibri reports start with a few title rows above the column headers,
+ * so the header row is detected rather than assumed to be the first row.
+ */
+
+const path = require('path');
+const { readZip } = require('./zip');
+const { parseXml, asArray, text } = require('./xml');
+
+// Rows scanned when looking for the header row
+const HEADER_SCAN_ROWS = 20;
+
+/**
+ * Convert a column reference ("A", "AB") to a zero-based index
+ */
+function columnIndex(ref) {
+  const letters = ref.replace(/\d+$/, '');
+  let index = 0;
+  for (const ch of letters) index = index * 26 + (ch.charCodeAt(0) - 64);
+  return index - 1;
+}
+
+/**
+ * Concatenated text of a shared/inline string (<si> or <is>), including rich text runs
+ */
+function stringItem(item) {
+  if (!item) return '';
+  if (item.t !== undefined) return text(item.t) || '';
+  return asArray(item.r).map((run) => text(run.t) || '').join('');
+}
+
+/**
+ * Typed value of a cell. Only cells stored as numbers become numbers: text
+ * such as classification codes ("0101", "01.20") stays text.
+ */
+function cellValue(cell, sharedStrings) {
+  const type = cell.$ && cell.$.t;
+  const raw = text(cell.v);
+
+  if (type === 's') return sharedStrings[Number(raw)] ?? null;
+  if (type === 'inlineStr') return stringItem(cell.is);
+  if (type === 'b') return raw === '1';
+  if (type === 'str' || type === 'e') return raw;
+  if (raw === null) return null;
+  return Number(raw);
+}
+
+/**
+ * Read a worksheet into a dense array of row arrays
+ */
+async function readRows(xml, sharedStrings) {
+  const doc = await parseXml(xml);
+  const sheetData = doc.worksheet && doc.worksheet.sheetData;
+  const rows = [];
+
+  for (const row of asArray(sheetData && sheetData.row)) {
+    const rowIndex = Number(row.$.r) - 1;
+    const values = [];
+    asArray(row.c).forEach((cell, i) => {
+      const col = cell.$ && cell.$.r ? columnIndex(cell.$.r) : i;
+      values[col] = cellValue(cell, sharedStrings);
+    });
+    rows[rowIndex] = Array.from(values, (v) => (v === undefined ? null : v));
+  }
+
+  return Array.from(rows, (r) => r || []);
+}
+
+/**
+ * Index of the header row: the first row (within the scan window) with the
+ * most non-empty cells, all of them text
+ */
+function findHeaderRow(rows) {
+  let best = -1;
+  let bestCount = 0;
+
+  rows.slice(0, HEADER_SCAN_ROWS).forEach((row, i) => {
+    const cells = row.filter((v) => v !== null && v !== '');
+    if (cells.length > bestCount && cells.every((v) => typeof v === 'string')) {
+      best = i;
+      bestCount = cells.length;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Turn raw rows into a sheet: headers, row objects and per-column numeric totals
+ */
+function buildSheet(name, rows) {
+  const headerIndex = findHeaderRow(rows);
+  const headerRow = headerIndex >= 0 ? rows[headerIndex] : [];
+  // Takeoff sheets can have more rows than a function takes arguments
+  const width = rows.reduce((max, r) => Math.max(max, r.length), headerRow.length);
+
+  const headers = [];
+  for (let i = 0; i < width; i++) {
+    const header = headerRow[i];
+    headers.push(header !== null && header !== undefined && header !== '' ? String(header) : `Column ${i + 1}`);
+  }
+
+  const title = rows.slice(0, Math.max(headerIndex, 0))
+    .map((r) => r.filter((v) => v !== null && v !== '').join(' '))
+    .filter(Boolean);
+
+  const data = rows.slice(headerIndex + 1)
+    .filter((r) => r.some((v) => v !== null && v !== ''))
+    .map((r) => {
+      const obj = {};
+      headers.forEach((h, i) => {
+        obj[h] = r[i] === undefined ? null : r[i];
+      });
+      return obj;
+    });
+
+  const totals = {};
+  for (const h of headers) {
+    const numbers = data.map((r) => r[h]).filter((v) => typeof v === 'number');
+    if (numbers.length > 0) totals[h] = numbers.reduce((a, b) => a + b, 0);
+  }
+
+  return { name, title, headers, rowCount: data.length, totals, rows: data };
+}
+
+/**
+ * Read all sheets of an .xlsx workbook
+ *
+ * @param {string} file - Path to the workbook
+ * @returns {Promise<Array<{name, title, headers, rowCount, totals, rows}>>}
+ */
+async function readWorkbook(file) {
+  const entries = readZip(file);
+  if (!entries.has('xl/workbook.xml')) {
+    throw new Error(`Not an Excel workbook: ${file}`);
+  }
+
+  const sharedStrings = [];
+  if (entries.has('xl/sharedStrings.xml')) {
+    const doc = await parseXml(entries.get('xl/sharedStrings.xml'));
+    for (const si of asArray(doc.sst && doc.sst.si)) sharedStrings.push(stringItem(si));
+  }
+
+  const targets = {};
+  if (entries.has('xl/_rels/workbook.xml.rels')) {
+    const doc = await parseXml(entries.get('xl/_rels/workbook.xml.rels'));
+    for (const rel of asArray(doc.Relationships && doc.Relationships.Relationship)) {
+      const target = rel.$.Target.replace(/^\//, '');
+      targets[rel.$.Id] = target.startsWith('xl/') ? target : path.posix.join('xl', target);
+    }
+  }
+
+  const workbook = await parseXml(entries.get('xl/workbook.xml'));
+  const sheetNodes = asArray(workbook.workbook.sheets && workbook.workbook.sheets.sheet);
+
+  const sheets = [];
+  for (const [i, node] of sheetNodes.entries()) {
+    const target = targets[node.$['r:id']] || `xl/worksheets/sheet${i + 1}.xml`;
+    if (!entries.has(target)) continue;
+    const rows = await readRows(entries.get(target), sharedStrings);
+    sheets.push(buildSheet(node.$.name, rows));
+  }
+
+  return sheets;
+}
+
+/**
+ * Workbook overview without row data
+ */
+function summarize(sheets) {
+  return sheets.map(({ rows, ...sheet }) => sheet);
+}
+
+/**
+ * Page the rows of one sheet (by name, or the first sheet)
+ */
+function pageRows(sheets, { sheet, offset = 0, limit = 100 } = {}) {
+  const found = sheet ? sheets.find((s) => s.name === sheet) : sheets[0];
+  if (!found) {
+    throw new Error(`Sheet not found: ${sheet}. Available: ${sheets.map((s) => s.name).join(', ')}`);
+  }
+
+  return {
+    sheet: found.name,
+    headers: found.headers,
+    totals: found.totals,
+    total: found.rowCount,
+    offset,
+    limit,
+    rows: found.rows.slice(offset, offset + limit),
+  };
+}
+
+module.exports = {
+  readWorkbook,
+  summarize,
+  pageRows,
+};
@@ -0,0 +1,51 @@
+/**
+ * XML helpers shared by the BCF and Excel readers and the autorun and BCF writers
+ */
+
+const xml2js = require('xml2js');
+
+const parser = new xml2js.Parser({ explicitArray: false });
+
+/**
+ * Parse an XML document (string or Buffer)
+ */
+async function parseXml(content) {
+  return await parser.parseStringPromise(Buffer.isBuffer(content) ? content.toString('utf8') : content);
+}
+
+/**
+ * Normalize an optional xml2js node to an array
+ */
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Text content of an xml2js node (elements with attributes carry text in `_`)
+ */
+function text(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'object') return value._ !== undefined ? value._ : null;
+  return value;
+}
+
+/**
+ * Escape special XML characters
+ */
+function escapeXml(str) {
+  if (!str) return '';
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+  parseXml,
+  asArray,
+  text,
+  escapeXml,
+};
@@ -0,0 +1,110 @@
+/**
+ * Authentication: the tokens file, hashed tokens, expiry and permission patterns
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'solibri-auth-'));
+const tokensFile = path.join(root, 'tokens.json');
+process.env.SOLIBRI_MCP_TOKENS_FILE = tokensFile;
+process.env.LOG_LEVEL = 'critical';
+delete process.env.SOLIBRI_MCP_TOKEN;
+delete process.env.SOLIBRI_MCP_DEV;
+
+const auth = require('../auth');
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const sha256 = (token) => crypto.createHash('sha256').update(token, 'utf8').digest('hex');
+
+// Each write gets a new mtime, which is what makes auth re-read the file
+let version = 0;
+function writeTokens(entries) {
+  fs.writeFileSync(tokensFile, JSON.stringify(entries));
+  const time = new Date(Date.UTC(2024, 0, 1, 0, 0, ++version));
+  fs.utimesSync(tokensFile, time, time);
+}
+
+const TOKENS = [
+  { name: 'admin', token: 'admin-token-0123456789', tools: ['*'] },
+  { name: 'viewer', sha256: sha256('viewer-token-0123456789'), tools: ['solibri_job_*', 'resources'] },
+  { name: 'old', token: 'old-token-0123456789', tools: ['*'], expires: '2020-01-01T00:00:00Z' },
+];
+
+// Runs authenticate with a fake request and response
+function authenticate(authorization) {
+  const req = { headers: authorization ? { authorization } : {}, ip: '127.0.0.1' };
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  let passed = false;
+  auth.authenticate(req, res, () => { passed = true; });
+  return { passed, req, res };
+}
+
+test('refuses to start without tokens', () => {
+  assert.throws(() => auth.init(), /No auth token configured/);
+});
+
+test('verifies plain and hashed tokens from the tokens file', () => {
+  writeTokens(TOKENS);
+  assert.deepEqual(auth.init().tokens.map((t) => t.name), ['admin', 'viewer', 'old']);
+  assert.equal(auth.verify('admin-token-0123456789').name, 'admin');
+  assert.equal(auth.verify('viewer-token-0123456789').name, 'viewer');
+  assert.equal(auth.verify(sha256('viewer-token-0123456789')), null);
+  assert.equal(auth.verify('admin-token-012345678'), null);
+  assert.equal(auth.verify(''), null);
+});
+
+test('authenticates bearer tokens and rejects expired ones', () => {
+  writeTokens(TOKENS);
+  const ok = authenticate('Bearer viewer-token-0123456789');
+  assert.equal(ok.passed, true);
+  assert.deepEqual(ok.req.auth, { token: 'view****', clientId: 'viewer', scopes: ['solibri_job_*', 'resources'] });
+
+  const expired = authenticate('Bearer old-token-0123456789');
+  assert.equal(expired.passed, false);
+  assert.equal(expired.res.statusCode, 403);
+  assert.match(expired.res.body.error, /Token "old" expired at 2020-01-01T00:00:00.000Z/);
+
+  assert.equal(authenticate('Bearer wrong').res.statusCode, 403);
+  assert.equal(authenticate('Basic YWRtaW4=').res.statusCode, 401);
+  assert.equal(authenticate(null).res.statusCode, 401);
+});
+
+test('matches permissions exactly, by prefix pattern or with *', () => {
+  const viewer = auth.identityOf({ clientId: 'viewer', scopes: ['solibri_job_*', 'resources'] });
+  assert.equal(auth.allows(viewer, 'solibri_job_status'), true);
+  assert.equal(auth.allows(viewer, 'resources'), true);
+  assert.equal(auth.allows(viewer, 'solibri_check_model'), false);
+  assert.equal(auth.allows(viewer, 'sessions'), false);
+  assert.equal(auth.allows(auth.identityOf({ clientId: 'admin', scopes: ['*'] }), 'files'), true);
+  assert.equal(auth.allows(auth.identityOf({ clientId: 'none' }), 'resources'), false);
+  assert.equal(auth.allows(auth.identityOf(undefined), 'sessions'), true);
+});
+
+test('rejects invalid token files at startup and keeps the previous tokens later', () => {
+  writeTokens(TOKENS);
+  auth.verify('admin-token-0123456789');
+
+  writeTokens([...TOKENS, { name: 'admin', token: 'other-token-0123456789', tools: ['*'] }]);
+  assert.throws(() => auth.init(), /duplicate token name "admin"/);
+  assert.equal(auth.verify('admin-token-0123456789').name, 'admin');
+  assert.equal(auth.verify('other-token-0123456789'), null);
+
+  writeTokens([{ name: 'x', sha256: 'abc', tools: ['*'] }]);
+  assert.throws(() => auth.init(), /token 1 \(x\): sha256 must be 64 hex digits/);
+  writeTokens([{ name: 'x', token: 'a', sha256: sha256('a'), tools: ['*'] }]);
+  assert.throws(() => auth.init(), /set either token or sha256/);
+  writeTokens([{ name: 'x', token: 'a', tools: 'all' }]);
+  assert.throws(() => auth.init(), /tools must be a list/);
+  writeTokens([{ name: 'x', token: 'a', tools: ['*'], expires: 'soon' }]);
+  assert.throws(() => auth.init(), /invalid expires date "soon"/);
+  assert.equal(auth.verify('admin-token-0123456789').name, 'admin');
+});
@@ -0,0 +1,71 @@
+/**
+ * Batch checking: model glob expansion, per-model scripts and the consolidated summary
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'solibri-batch-')));
+const workDir = path.join(root, 'work');
+const outputDir = path.join(root, 'output');
+process.env.SOLIBRI_WORK_DIR = workDir;
+process.env.SOLIBRI_OUTPUT_DIR = outputDir;
+process.env.SOLIBRI_ALLOWED_INPUT_ROOTS = `${workDir};${outputDir}`;
+
+const batch = require('../solibri/batch');
+
+const model = (...parts) => path.join(workDir, ...parts);
+for (const file of ['models/ARK.ifc', 'models/RIB.ifc', 'models/notes.txt', 'models/old/ARK.ifc', 'models/site/2024/LARK.ifczip', 'other/ARK.ifc']) {
+  fs.mkdirSync(path.dirname(model(file)), { recursive: true });
+  fs.writeFileSync(model(file), '');
+}
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+test('expands * and ? within one folder, model files only', () => {
+  assert.deepEqual(batch.expandModels(['models/*.ifc']), [model('models', 'ARK.ifc'), model('models', 'RIB.ifc')]);
+  assert.deepEqual(batch.expandModels(['models/?IB.*']), [model('models', 'RIB.ifc')]);
+  assert.deepEqual(batch.expandModels(['models/*']), [model('models', 'ARK.ifc'), model('models', 'RIB.ifc')]);
+});
+
+test('expands ** across any number of folders, including none', () => {
+  assert.deepEqual(batch.expandModels(['models/**/ARK.ifc']), [model('models', 'ARK.ifc'), model('models', 'old', 'ARK.ifc')]);
+  assert.deepEqual(batch.expandModels(['**/*.ifczip']), [model('models', 'site', '2024', 'LARK.ifczip')]);
+});
+
+test('keeps the given order and drops duplicates', () => {
+  assert.deepEqual(
+    batch.expandModels(['other/ARK.ifc', 'models/*.ifc', 'models/ARK.ifc']),
+    [model('other', 'ARK.ifc'), model('models', 'ARK.ifc'), model('models', 'RIB.ifc')],
+  );
+});
+
+test('rejects patterns without matches and paths outside the sandbox', () => {
+  assert.throws(() => batch.expandModels(['models/*.smc']), /models: no model files match models\/\*\.smc/);
+  assert.throws(() => batch.expandModels(['../*.ifc']), /path traversal/);
+  assert.throws(() => batch.expandModels([path.join(root, '*.ifc')]), /outside the allowed input folders/);
+});
+
+test('plans one script per model with unique report names', () => {
+  const files = [model('models', 'ARK.ifc'), model('models', 'old', 'ARK.ifc')];
+  const plans = batch.plan(files, { outputDir: path.join(outputDir, 'batch'), rulesets: [model('rules.cset')], itos: [model('areas.ito')] });
+
+  assert.deepEqual(plans.map((p) => p.name), ['ARK.ifc', 'ARK.ifc #2']);
+  assert.deepEqual(plans.map((p) => path.basename(p.bcf)), ['ARK.bcfzip', 'ARK-2.bcfzip']);
+  assert.deepEqual(plans[1].takeoffs, [path.join(outputDir, 'batch', 'ARK-2-areas.xlsx')]);
+  assert.deepEqual(plans[0].commands.map((c) => c.type), ['openmodel', 'openruleset', 'check', 'bcfreport', 'openito', 'takeoff', 'itoreport', 'exit']);
+});
+
+test('consolidates issue counts per rule and model', () => {
+  const summary = batch.consolidate([
+    { name: 'ARK.ifc', status: 'completed', issues: 3, byRule: { Clashes: 2, 'Fire | rating': 1 } },
+    { name: 'RIB.ifc', status: 'completed', issues: 4, byRule: { Clashes: 4 } },
+    { name: 'VVS.ifc', status: 'failed', error: 'Solibri crashed' },
+  ]);
+  assert.deepEqual(summary.totals, { models: 3, completed: 2, failed: 1, issues: 7 });
+  assert.deepEqual(summary.byRule.map((r) => [r.rule, r.total]), [['Clashes', 6], ['Fire | rating', 1]]);
+  assert.equal(summary.table.split('\n')[3], '| Fire \\| rating | 1 | 0 | 1 |');
+});
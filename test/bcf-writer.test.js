@@ -0,0 +1,100 @@
+/**
+ * BCF writer: authored topics and merged archives read back with the BCF reader
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcf = require('../solibri/bcf');
+const { writeBcf } = require('../solibri/bcf-writer');
+const { readZip } = require('../solibri/zip');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'solibri-bcf-writer-'));
+const file = (name) => path.join(root, name);
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const GUID = '0a1b2c3d-1111-4222-8333-444455556666';
+const COMMENT_GUID = '9f8e7d6c-1111-4222-8333-444455556666';
+
+const TOPIC = {
+  guid: GUID,
+  title: 'Duct <through> column & beam',
+  description: 'Move the duct "up"',
+  priority: 'Critical',
+  labels: ['Clash Detection', 'Ducts vs Columns'],
+  assignedTo: 'hvac@example.com',
+  dueDate: '2024-04-01T00:00:00.000Z',
+  ifcGuids: ['3vB2YO$MX4xv5uCqZZG05x', '2O2Fr$t4X7Zf8NOew3FLOH'],
+  camera: { position: [1, 2, 3], direction: [0, 1, 0] },
+  comments: [{ guid: COMMENT_GUID, comment: 'Please fix', author: 'qa@example.com' }],
+};
+
+for (const version of ['2.1', '3.0']) {
+  test(`writes topics the reader parses back (BCF ${version})`, async () => {
+    const result = await writeBcf(file(`authored-${version}.bcfzip`), { version, topics: [TOPIC, { title: 'Second' }], project: { name: 'Office' } });
+    assert.deepEqual([result.version, result.topicCount, result.authored], [version, 2, 2]);
+
+    const parsed = await bcf.readBcf(file(`authored-${version}.bcfzip`));
+    assert.equal(parsed.version, version);
+    assert.equal(parsed.project.name, 'Office');
+
+    const topic = parsed.topics.find((t) => t.guid === GUID);
+    assert.equal(topic.title, TOPIC.title);
+    assert.equal(topic.description, TOPIC.description);
+    assert.equal(topic.priority, 'Critical');
+    assert.equal(topic.status, 'Open');
+    assert.equal(topic.type, 'Issue');
+    assert.deepEqual(topic.labels, TOPIC.labels);
+    assert.equal(topic.rule, 'Ducts vs Columns');
+    assert.equal(topic.assignedTo, TOPIC.assignedTo);
+    assert.deepEqual(topic.ifcGuids, TOPIC.ifcGuids);
+    assert.deepEqual(topic.comments.map((c) => [c.guid, c.comment, c.author]), [[COMMENT_GUID, 'Please fix', 'qa@example.com']]);
+    assert.equal(topic.comments[0].viewpoint, topic.viewpoints[0].guid);
+
+    const second = parsed.topics.find((t) => t.title === 'Second');
+    assert.match(second.guid, /^[0-9a-f-]{36}$/);
+    assert.deepEqual(second.viewpoints, []);
+  });
+}
+
+test('lists the values used in BCF 3.0 extensions.xml', async () => {
+  await writeBcf(file('extensions.bcfzip'), { version: '3.0', topics: [TOPIC] });
+  const extensions = readZip(file('extensions.bcfzip')).get('extensions.xml').toString();
+  assert.match(extensions, /<Priorities><Priority>Critical<\/Priority><\/Priorities>/);
+  assert.match(extensions, /<User>hvac@example.com<\/User>/);
+});
+
+test('rejects topic and comment GUIDs that are not UUIDs', async () => {
+  for (const guid of ['../../x', 'a"b', '<Topic/>', '']) {
+    await assert.rejects(writeBcf(file('bad.bcfzip'), { topics: [{ title: 'x', guid }] }), /topics\[0\]: guid must be a UUID/, guid);
+  }
+  await assert.rejects(
+    writeBcf(file('bad.bcfzip'), { topics: [{ title: 'x', comments: [{ comment: 'c', guid: '"/><x' }] }] }),
+    /topics\[0\]\.comments\[0\]: guid must be a UUID/,
+  );
+  await assert.rejects(writeBcf(file('bad.bcfzip'), { topics: [{ description: 'no title' }] }), /topics\[0\]: title is required/);
+  assert.equal(fs.existsSync(file('bad.bcfzip')), false);
+});
+
+test('merges archives, skipping topics already added', async () => {
+  await writeBcf(file('a.bcfzip'), { topics: [TOPIC, { title: 'Only in A' }] });
+  await writeBcf(file('b.bcfzip'), { topics: [{ ...TOPIC, title: 'Same GUID' }, { title: 'Only in B' }] });
+
+  const result = await writeBcf(file('merged.bcfzip'), { merge: [file('a.bcfzip'), file('b.bcfzip')], topics: [{ title: 'Authored' }] });
+  assert.equal(result.version, '2.1');
+  assert.equal(result.topicCount, 4);
+  assert.deepEqual(result.duplicates, [GUID]);
+  assert.deepEqual(result.merged.map((m) => m.added), [2, 1]);
+
+  const parsed = await bcf.readBcf(file('merged.bcfzip'));
+  assert.deepEqual(parsed.topics.map((t) => t.title).sort(), ['Authored', TOPIC.title, 'Only in A', 'Only in B'].sort());
+  assert.deepEqual(parsed.topics.find((t) => t.guid === GUID).ifcGuids, TOPIC.ifcGuids);
+});
+
+test('refuses to merge archives of another version', async () => {
+  await writeBcf(file('v3.bcfzip'), { version: '3.0', topics: [{ title: 'x' }] });
+  await assert.rejects(writeBcf(file('mixed.bcfzip'), { version: '2.1', merge: [file('v3.bcfzip')] }), /Cannot merge .* \(BCF 3\.0\) into a BCF 2\.1 archive/);
+  await assert.rejects(writeBcf(file('empty.bcfzip'), {}), /Nothing to write/);
+});
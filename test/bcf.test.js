@@ -0,0 +1,87 @@
+/**
+ * BCF reader: Solibri-style BCF 2.1 and BCF 3.0 archives
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const bcf = require('../solibri/bcf');
+const { writeZip } = require('../solibri/zip');
+
+const HEADER = '<?xml version="1.0" encoding="UTF-8"?>';
+
+// Two topics as bcfreport writes them: rule path as labels, components in the viewpoint
+function solibri21() {
+  const topic = (guid, index, title, priority, rule, ifcGuid) => [
+    [`${guid}/markup.bcf`, `${HEADER}<Markup>
+<Topic Guid="${guid}" TopicType="Issue" TopicStatus="Open">
+<Title>${title}</Title><Priority>${priority}</Priority><Index>${index}</Index>
+<Labels>Clash Detection</Labels><Labels>${rule}</Labels>
+<CreationDate>2024-03-01T10:00:00Z</CreationDate><CreationAuthor>Solibri</CreationAuthor>
+</Topic>
+<Comment Guid="c-${guid}"><Date>2024-03-01T10:00:00Z</Date><Author>Solibri</Author><Comment>Auto comment</Comment><Viewpoint Guid="v-${guid}"/></Comment>
+<Viewpoints Guid="v-${guid}"><Viewpoint>viewpoint.bcfv</Viewpoint><Snapshot>snapshot.png</Snapshot></Viewpoints>
+</Markup>`],
+    [`${guid}/viewpoint.bcfv`, `${HEADER}<VisualizationInfo Guid="v-${guid}"><Components>
+<Selection><Component IfcGuid="${ifcGuid}"/></Selection>
+<Visibility DefaultVisibility="false"><Exceptions><Component IfcGuid="2O2Fr$t4X7Zf8NOew3FLOH"/></Exceptions></Visibility>
+</Components></VisualizationInfo>`],
+    [`${guid}/snapshot.png`, Buffer.from([0x89, 0x50, 0x4e, 0x47])],
+  ];
+  return writeZip([
+    ['bcf.version', `${HEADER}<Version VersionId="2.1"><DetailedVersion>2.1</DetailedVersion></Version>`],
+    ['project.bcfp', `${HEADER}<ProjectExtension><Project ProjectId="p1"><Name>Office</Name></Project></ProjectExtension>`],
+    ...topic('t2', 2, 'Wall intersects beam', 'Moderate', 'Walls vs Beams', '1hOSvn6df7F8_7GcBWlRGQ'),
+    ...topic('t1', 1, 'Duct through column', 'Critical', 'Ducts vs Columns', '3vB2YO$MX4xv5uCqZZG05x'),
+  ]);
+}
+
+test('reads a BCF 2.1 archive into issues in index order', async () => {
+  const parsed = await bcf.readBcf(solibri21());
+  assert.equal(parsed.version, '2.1');
+  assert.deepEqual(parsed.project, { id: 'p1', name: 'Office' });
+  assert.deepEqual(parsed.topics.map((t) => t.guid), ['t1', 't2']);
+
+  const [first] = parsed.topics;
+  assert.equal(first.title, 'Duct through column');
+  assert.equal(first.priority, 'Critical');
+  assert.equal(first.rule, 'Ducts vs Columns');
+  assert.deepEqual(first.labels, ['Clash Detection', 'Ducts vs Columns']);
+  assert.deepEqual(first.ifcGuids, ['3vB2YO$MX4xv5uCqZZG05x', '2O2Fr$t4X7Zf8NOew3FLOH']);
+  assert.equal(first.viewpoints[0].snapshot, 'snapshot.png');
+  assert.deepEqual(first.comments.map((c) => [c.comment, c.viewpoint]), [['Auto comment', 'v-t1']]);
+});
+
+test('summarizes issues by rule, severity and status', async () => {
+  const summary = bcf.summarize(await bcf.readBcf(solibri21()));
+  assert.equal(summary.topicCount, 2);
+  assert.deepEqual(summary.byRule, { 'Ducts vs Columns': 1, 'Walls vs Beams': 1 });
+  assert.deepEqual(summary.bySeverity, { Critical: 1, Moderate: 1 });
+  assert.deepEqual(summary.byStatus, { Open: 2 });
+  assert.equal(summary.ifcGuidCount, 3);
+});
+
+test('reads BCF 3.0 nested labels, comments and viewpoints', async () => {
+  const archive = writeZip([
+    ['bcf.version', `${HEADER}<Version VersionId="3.0"/>`],
+    ['t1/markup.bcf', `${HEADER}<Markup><Topic Guid="t1" TopicType="Issue" TopicStatus="Closed">
+<Title>Missing fire rating</Title><Labels><Label>Properties</Label><Label>Fire rating</Label></Labels>
+<Comments><Comment Guid="c1"><Date>2024-03-02T08:00:00Z</Date><Author>QA</Author><Comment>Fixed</Comment></Comment></Comments>
+<Viewpoints><ViewPoint Guid="v1"><Viewpoint>v1.bcfv</Viewpoint></ViewPoint></Viewpoints>
+</Topic></Markup>`],
+    ['t1/v1.bcfv', `${HEADER}<VisualizationInfo Guid="v1"><Components><Selection><Component IfcGuid="0x"/></Selection></Components></VisualizationInfo>`],
+  ]);
+  const { version, topics: [topic] } = await bcf.readBcf(archive);
+  assert.equal(version, '3.0');
+  assert.equal(topic.status, 'Closed');
+  assert.equal(topic.rule, 'Fire rating');
+  assert.deepEqual(topic.comments.map((c) => c.comment), ['Fixed']);
+  assert.deepEqual(topic.ifcGuids, ['0x']);
+});
+
+test('pages topics with filters', async () => {
+  const { topics } = await bcf.readBcf(solibri21());
+  const page = bcf.pageTopics(topics, { severity: 'Moderate' });
+  assert.equal(page.total, 1);
+  assert.equal(page.issues[0].guid, 't2');
+  assert.equal(bcf.pageTopics(topics, { offset: 1, limit: 1 }).issues[0].guid, 't2');
+});
@@ -0,0 +1,78 @@
+/**
+ * Autorun command validation: attributes and command ordering
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateCommands, commandFiles } = require('../solibri/commands');
+
+const CHECK = [
+  { type: 'openmodel', file: 'model.ifc' },
+  { type: 'openruleset', file: 'rules.cset' },
+  { type: 'check' },
+  { type: 'bcfreport', file: 'issues.bcfzip', version: '2.1' },
+  { type: 'exit' },
+];
+
+test('accepts a complete check script', () => {
+  assert.doesNotThrow(() => validateCommands(CHECK));
+});
+
+test('requires a model and ruleset before check', () => {
+  assert.throws(
+    () => validateCommands([{ type: 'openruleset', file: 'rules.cset' }, { type: 'check' }]),
+    /command 2 \(check\): requires an open model \(openmodel\) earlier in the script/,
+  );
+  assert.throws(
+    () => validateCommands([{ type: 'check' }, { type: 'openmodel', file: 'model.ifc' }, { type: 'openruleset', file: 'rules.cset' }]),
+    /command 1 \(check\): requires an open model.*\n- command 1 \(check\): requires an open ruleset/,
+  );
+});
+
+test('requires checking results before bcfreport, except from an SMC', () => {
+  assert.throws(
+    () => validateCommands([{ type: 'openmodel', file: 'model.ifc' }, { type: 'bcfreport', file: 'issues.bcfzip' }]),
+    /requires checking results/,
+  );
+  assert.doesNotThrow(() => validateCommands([{ type: 'openmodel', file: 'model.smc' }, { type: 'bcfreport', file: 'issues.bcfzip' }]));
+});
+
+test('requires a check before a presentation and a presentation before autocomment', () => {
+  const base = CHECK.slice(0, 2);
+  assert.throws(() => validateCommands([...base, { type: 'createpresentation' }]), /requires a check \(check\)/);
+  assert.throws(() => validateCommands([...base, { type: 'check' }, { type: 'autocomment' }]), /requires a presentation/);
+  assert.doesNotThrow(() => validateCommands([...base, { type: 'check' }, { type: 'createpresentation' }, { type: 'autocomment', snapshots: true }]));
+});
+
+test('requires a takeoff before itoreport', () => {
+  const base = [{ type: 'openmodel', file: 'model.ifc' }, { type: 'openito', file: 'areas.ito' }];
+  assert.throws(() => validateCommands([...base, { type: 'itoreport', file: 'areas.xlsx' }]), /requires a takeoff/);
+  assert.doesNotThrow(() => validateCommands([...base, { type: 'takeoff' }, { type: 'itoreport', file: 'areas.xlsx' }]));
+});
+
+test('rejects unknown commands, attributes and values, and exit before the end', () => {
+  assert.throws(() => validateCommands([]), /at least one command/);
+  assert.throws(() => validateCommands(CHECK.map((c) => (c.type === 'bcfreport' ? { ...c, version: '2.2' } : c))), /"version" must be one of/);
+  assert.throws(
+    () => validateCommands([
+      { type: 'openmodel' },
+      { type: 'openmodel', file: 'model.ifc', color: 'red' },
+      { type: 'launch' },
+      { type: 'exit' },
+      { type: 'openruleset', file: 'rules.cset' },
+    ]),
+    (error) => {
+      const lines = error.message.split('\n').slice(1);
+      assert.equal(lines.length, 4);
+      assert.match(lines[0], /command 1 \(openmodel\): missing required attribute "file"/);
+      assert.match(lines[1], /command 2 \(openmodel\): unknown attribute "color"/);
+      assert.match(lines[2], /command 3 \(launch\): unknown command type/);
+      assert.match(lines[3], /command 4 \(exit\): must be the last command/);
+      return true;
+    },
+  );
+});
+
+test('lists the files a script reads and writes', () => {
+  assert.deepEqual(commandFiles(CHECK), { inputs: ['model.ifc', 'rules.cset'], outputs: ['issues.bcfzip'] });
+});
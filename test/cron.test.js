@@ -0,0 +1,67 @@
+/**
+ * Cron expressions: field syntax, day-of-month vs day-of-week and next run times
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const cron = require('../solibri/cron');
+
+// Local time, as the scheduler uses it. 2024-01-01 is a Monday.
+const at = (month, day, hour = 0, minute = 0, year = 2024) => new Date(year, month - 1, day, hour, minute);
+const values = (set) => [...set].sort((a, b) => a - b);
+
+test('parses ranges, lists, steps and names', () => {
+  const parsed = cron.parse('*/15 8-18/2 1,15,31 jan-mar mon-fri');
+  assert.deepEqual(values(parsed.minute), [0, 15, 30, 45]);
+  assert.deepEqual(values(parsed.hour), [8, 10, 12, 14, 16, 18]);
+  assert.deepEqual(values(parsed.dayOfMonth), [1, 15, 31]);
+  assert.deepEqual(values(parsed.month), [1, 2, 3]);
+  assert.deepEqual(values(parsed.dayOfWeek), [1, 2, 3, 4, 5]);
+  assert.deepEqual(values(cron.parse('5/20 * * * *').minute), [5, 25, 45]);
+  assert.deepEqual(values(cron.parse('0 0 * * 7').dayOfWeek), [0, 7]);
+});
+
+test('expands aliases', () => {
+  assert.deepEqual(values(cron.parse('@weekly').dayOfWeek), [0]);
+  assert.deepEqual(values(cron.parse('@DAILY').hour), [0]);
+});
+
+test('rejects malformed expressions', () => {
+  assert.throws(() => cron.parse('0 6 * *'), /expected 5 fields/);
+  assert.throws(() => cron.parse('60 * * * *'), /minute "60" \(expected 0-59\)/);
+  assert.throws(() => cron.parse('0 0 0 * *'), /day of month "0"/);
+  assert.throws(() => cron.parse('*/0 * * * *'), /step "0"/);
+  assert.throws(() => cron.parse('*/x * * * *'), /step "x"/);
+  assert.throws(() => cron.parse('0 18-8 * * *'), /range "18-8"/);
+  assert.throws(() => cron.parse('0 0 * foo *'), /month "foo"/);
+});
+
+test('matches either day field when both are restricted', () => {
+  const either = cron.parse('0 0 13 * fri');
+  assert.equal(cron.matches(either, at(9, 13)), true); // Friday the 13th
+  assert.equal(cron.matches(either, at(9, 6)), true); // a Friday
+  assert.equal(cron.matches(either, at(2, 13)), true); // a Tuesday the 13th
+  assert.equal(cron.matches(either, at(2, 14)), false);
+
+  const dayOfMonth = cron.parse('0 0 13 * *');
+  assert.equal(cron.matches(dayOfMonth, at(9, 6)), false);
+  assert.equal(cron.matches(dayOfMonth, at(2, 13)), true);
+
+  const dayOfWeek = cron.parse('0 0 * * fri');
+  assert.equal(cron.matches(dayOfWeek, at(2, 13)), false);
+  assert.equal(cron.matches(dayOfWeek, at(9, 6)), true);
+});
+
+test('finds the next matching minute after a date', () => {
+  assert.deepEqual(cron.next(cron.parse('*/15 * * * *'), at(1, 1, 10, 7)), at(1, 1, 10, 15));
+  // Strictly after: a run at 06:00 next runs a week later
+  assert.deepEqual(cron.next(cron.parse('0 6 * * 1'), at(1, 1, 6, 0)), at(1, 8, 6, 0));
+  assert.deepEqual(cron.next(cron.parse('30 23 31 * *'), at(2, 1)), at(3, 31, 23, 30));
+  assert.deepEqual(cron.next(cron.parse('0 9 1 jan,jul *'), at(1, 1, 9, 0)), at(7, 1, 9, 0));
+  assert.deepEqual(cron.next(cron.parse('0 0 29 2 *'), at(3, 1)), at(2, 29, 0, 0, 2028));
+  assert.deepEqual(cron.next(cron.parse('0 12 13 * fri'), at(9, 7)), at(9, 13, 12, 0));
+});
+
+test('returns null when no date matches', () => {
+  assert.equal(cron.next(cron.parse('0 0 30 2 *'), at(1, 1)), null);
+});
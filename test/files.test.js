@@ -0,0 +1,72 @@
+/**
+ * Retention cleanup of uploads and job output folders
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'solibri-files-'));
+const workDir = path.join(root, 'work');
+const outputDir = path.join(root, 'output');
+process.env.SOLIBRI_WORK_DIR = workDir;
+process.env.SOLIBRI_OUTPUT_DIR = outputDir;
+process.env.SOLIBRI_JOBS_FILE = path.join(root, 'jobs.json');
+process.env.SOLIBRI_RETENTION_DAYS = '30';
+process.env.LOG_LEVEL = 'critical';
+
+const files = require('../solibri/files');
+const jobs = require('../solibri/jobs');
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const OLD = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000);
+
+// A folder holding a file (next to the job log), all last modified `time`
+function folder(dir, time = OLD) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'issues.bcfzip'), '');
+  for (const name of fs.readdirSync(dir)) fs.utimesSync(path.join(dir, name), time, time);
+  fs.utimesSync(dir, time, time);
+  return dir;
+}
+
+test('removes old uploads and job folders, keeping active jobs and other outputs', async () => {
+  const finished = await jobs.waitFor(jobs.submit({ tool: 'test', run: async () => ({ code: 0 }) }).id);
+  let release;
+  const started = new Promise((resolve) => {
+    jobs.submit({ tool: 'test', run: (job) => { resolve(job); return new Promise((done) => { release = done; }); } });
+  });
+  const running = await started;
+  assert.equal(jobs.get(running.id).status, 'running');
+  const queued = jobs.submit({ tool: 'test', run: async () => ({ code: 0 }) });
+
+  const removed = {
+    finished: folder(path.join(outputDir, finished.id)),
+    // Dropped from the history, or left by a call that failed before queueing its job
+    unknown: folder(path.join(outputDir, crypto.randomUUID())),
+  };
+  const kept = {
+    running: folder(path.join(outputDir, running.id)),
+    queued: folder(path.join(outputDir, queued.id)),
+    recent: folder(path.join(outputDir, crypto.randomUUID()), new Date()),
+    chosen: folder(path.join(outputDir, 'projectA')),
+    upload: folder(path.join(workDir, 'uploads', 'recent'), new Date()),
+  };
+  const live = path.join(outputDir, 'live-model.bcfzip');
+  fs.writeFileSync(live, '');
+  fs.utimesSync(live, OLD, OLD);
+  folder(path.join(workDir, 'uploads', 'old'));
+
+  assert.deepEqual(files.cleanup(), { uploads: 1, jobFolders: 2 });
+  for (const dir of Object.values(removed)) assert.equal(fs.existsSync(dir), false, dir);
+  for (const dir of Object.values(kept)) assert.equal(fs.existsSync(dir), true, dir);
+  assert.equal(fs.existsSync(live), true);
+  assert.equal(fs.existsSync(path.join(workDir, 'uploads', 'old')), false);
+
+  release({ code: 0 });
+  await jobs.waitFor(queued.id);
+});
@@ -0,0 +1,113 @@
+/**
+ * IFC STEP reader and model comparison
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ifc = require('../solibri/ifc');
+const { compareFiles } = require('../solibri/compare');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'solibri-ifc-'));
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const WALL = '2O2Fr$t4X7Zf8NOew3FLOH';
+const SLAB = '1hOSvn6df7F8_7GcBWlRGQ';
+const DOOR = '3vB2YO$MX4xv5uCqZZG05x';
+
+function writeIfc(name, data) {
+  const file = path.join(root, name);
+  fs.writeFileSync(file, [
+    'ISO-10303-21;',
+    'HEADER;',
+    "FILE_DESCRIPTION(('ViewDefinition [CoordinationView]'),'2;1');",
+    "FILE_NAME('model.ifc','2024-03-01T10:00:00',('Architect'),('Office'),'IfcOpenShell','Revit','');",
+    "FILE_SCHEMA(('IFC4'));",
+    'ENDSEC;',
+    'DATA;',
+    ...data,
+    'ENDSEC;',
+    'END-ISO-10303-21;',
+  ].join('\n'));
+  return file;
+}
+
+const REVISION_1 = writeIfc('rev1.ifc', [
+  '/* exported; by hand */',
+  `#10=IFCWALL('${WALL}',#2,'Wall; A',$,$,#20,#30,'W1',.STANDARD.);`,
+  `#11=IFCSLAB('${SLAB}',#2,'Slab',$,$,#20,#30,'S1',.FLOOR.);`,
+  '#20=IFCLOCALPLACEMENT($,$);',
+  "#40=IFCPROPERTYSINGLEVALUE('FireRating',$,IFCLABEL('EI30'),$);",
+  `#41=IFCPROPERTYSET('0kF1N4XZr0IRt6iKJbGfFq',#2,'Pset_WallCommon',$,(#40));`,
+  `#42=IFCRELDEFINESBYPROPERTIES('2f5nXpM5n5ZBDtr2_ViKbs',#2,$,$,(#10),#41);`,
+]);
+
+const REVISION_2 = writeIfc('rev2.ifc', [
+  `#10=IFCWALL('${WALL}',#2,'Wall; A',$,$,#20,#30,'W1',.STANDARD.);`,
+  `#12=IFCDOOR('${DOOR}',#2,'Door',$,$,#20,#30,'D1',2.1,0.9);`,
+  '#20=IFCLOCALPLACEMENT($,$);',
+  "#40=IFCPROPERTYSINGLEVALUE('FireRating',$,IFCLABEL('EI60'),$);",
+  `#41=IFCPROPERTYSET('0kF1N4XZr0IRt6iKJbGfFq',#2,'Pset_WallCommon',$,(#40));`,
+  `#42=IFCRELDEFINESBYPROPERTIES('2f5nXpM5n5ZBDtr2_ViKbs',#2,$,$,(#10),#41);`,
+]);
+
+test('parses STEP arguments', () => {
+  assert.deepEqual(
+    ifc.parseArgs("('a',#5,'It''s \\X2\\00C5\\X0\\',$,*,.T.,.ELEMENT.,(#1,#2),IFCLABEL('x'),1.5E2,-3,())"),
+    ['a', { ref: 5 }, "It's Å", null, null, true, 'ELEMENT', [{ ref: 1 }, { ref: 2 }], 'x', 150, -3, []],
+  );
+});
+
+test('reads the header, entity counts and rooted objects', async () => {
+  const model = await ifc.readModel(REVISION_1);
+  assert.equal(model.schema, 'IFC4');
+  assert.equal(model.header.application, 'Revit');
+  assert.equal(model.header.author, 'Architect');
+  assert.equal(model.entityCount, 6);
+  assert.equal(model.counts.IFCWALL, 1);
+
+  const objects = ifc.objects(model);
+  const wall = objects.get(WALL);
+  assert.equal(wall.type, 'IFCWALL');
+  assert.equal(wall.attributes.Name, 'Wall; A');
+  assert.deepEqual(wall.psets, { Pset_WallCommon: { FireRating: 'EI30' } });
+  assert.deepEqual([...objects.keys()].sort(), [SLAB, WALL].sort());
+});
+
+test('reads only the header when asked', async () => {
+  const header = await ifc.readHeader(REVISION_1);
+  assert.equal(header.schema, 'IFC4');
+  assert.equal(header.fileName, 'model.ifc');
+  assert.equal(ifc.schemaVersion('IFC4X3_ADD2'), 'IFC4X3');
+});
+
+test('rejects files that are not STEP', async () => {
+  const file = path.join(root, 'not.ifc');
+  fs.writeFileSync(file, '<ifcXML/>;');
+  await assert.rejects(ifc.readModel(file), /Not an IFC STEP file/);
+});
+
+test('compares two revisions by GlobalId', async () => {
+  const result = await compareFiles(REVISION_1, REVISION_2);
+  assert.deepEqual(result.summary, {
+    added: 1,
+    removed: 1,
+    modified: 1,
+    unchanged: 0,
+    addedByType: { IFCDOOR: 1 },
+    removedByType: { IFCSLAB: 1 },
+    modifiedByType: { IFCWALL: 1 },
+  });
+  assert.deepEqual(result.modified[0].psets, {
+    Pset_WallCommon: { status: 'modified', properties: { FireRating: { before: 'EI30', after: 'EI60' } } },
+  });
+
+  const walls = await compareFiles(REVISION_1, REVISION_2, { entityTypes: ['IfcWall'] });
+  assert.deepEqual([walls.summary.added, walls.summary.removed, walls.summary.modified], [0, 0, 1]);
+});
+
+test('refuses SMC models', async () => {
+  await assert.rejects(compareFiles('federated.smc', REVISION_2), /Cannot read federated\.smc: SMC is Solibri's proprietary format/);
+});
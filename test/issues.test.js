@@ -0,0 +1,145 @@
+/**
+ * Issue history: matching topics across reports and the per model/ruleset index
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'solibri-issues-')));
+const workDir = path.join(root, 'work');
+const outputDir = path.join(root, 'output');
+process.env.SOLIBRI_WORK_DIR = workDir;
+process.env.SOLIBRI_OUTPUT_DIR = outputDir;
+process.env.SOLIBRI_JOBS_FILE = path.join(root, 'jobs.json');
+process.env.SOLIBRI_ISSUE_HISTORY_DIR = path.join(root, 'issue-history');
+process.env.SOLIBRI_ISSUE_HISTORY_MAX = '3';
+process.env.LOG_LEVEL = 'critical';
+
+const issues = require('../solibri/issues');
+const jobs = require('../solibri/jobs');
+const { writeBcf } = require('../solibri/bcf-writer');
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+let next = 0;
+// A compact topic as recorded in the history
+function topic(rule, ifcGuids, fields = {}) {
+  next++;
+  return { guid: `guid-${next}`, title: `Issue ${next}`, rule, priority: 'Critical', status: 'Open', ifcGuids, ...fields };
+}
+
+const guids = (list) => list.map((t) => t.guid);
+const pairs = (persisting) => persisting.map((p) => [p.before.guid, p.after.guid, p.similarity]);
+
+test('matches topics with the same BCF topic GUID first', () => {
+  const before = [topic('Clashes', ['a', 'b'], { guid: 'kept' })];
+  const after = [topic('Clashes', ['x', 'y'], { guid: 'kept', status: 'Resolved' })];
+  const diff = issues.diffTopics(before, after);
+  assert.deepEqual(pairs(diff.persisting), [['kept', 'kept', 1]]);
+  assert.deepEqual([diff.added, diff.resolved], [[], []]);
+});
+
+test('matches topics of the same rule with the same components, in any order', () => {
+  const before = [topic('Clashes', ['a', 'b', 'c']), topic('Fire', ['d'])];
+  const after = [topic('Clashes', ['c', 'a', 'b']), topic('Walls', ['d'])];
+  const diff = issues.diffTopics(before, after);
+  assert.deepEqual(pairs(diff.persisting), [[before[0].guid, after[0].guid, 1]]);
+  // Same components under another rule are a different issue
+  assert.deepEqual(guids(diff.added), [after[1].guid]);
+  assert.deepEqual(guids(diff.resolved), [before[1].guid]);
+});
+
+test('matches partly overlapping components down to the threshold', () => {
+  const before = [topic('Clashes', ['a', 'b', 'c'])];
+  // 2 shared of 4 components: similarity 0.5
+  const after = [topic('Clashes', ['a', 'b', 'd'])];
+
+  assert.deepEqual(pairs(issues.diffTopics(before, after).persisting), [[before[0].guid, after[0].guid, 0.5]]);
+  assert.deepEqual(pairs(issues.diffTopics(before, after, { threshold: 0.5 }).persisting), [[before[0].guid, after[0].guid, 0.5]]);
+
+  const stricter = issues.diffTopics(before, after, { threshold: 0.51 });
+  assert.deepEqual([guids(stricter.added), guids(stricter.resolved), stricter.persisting], [guids(after), guids(before), []]);
+
+  // 1 shared of 3: below the default threshold
+  const below = issues.diffTopics([topic('Clashes', ['a', 'b'])], [topic('Clashes', ['b', 'c'])]);
+  assert.deepEqual([below.added.length, below.resolved.length, below.persisting.length], [1, 1, 0]);
+});
+
+test('gives a component overlap to the best match', () => {
+  const weak = topic('Clashes', ['a', 'b', 'x']);
+  const strong = topic('Clashes', ['a', 'b', 'c', 'd']);
+  const after = [topic('Clashes', ['a', 'b', 'c'])];
+  const diff = issues.diffTopics([weak, strong], after);
+  assert.deepEqual(pairs(diff.persisting), [[strong.guid, after[0].guid, 0.75]]);
+  assert.deepEqual(guids(diff.resolved), [weak.guid]);
+});
+
+test('matches topics without components by rule and title', () => {
+  const before = [topic('Naming', [], { title: 'Missing storey name' }), topic('Naming', [], { title: 'Duplicate name' })];
+  const after = [topic('Naming', [], { title: 'Missing storey name' }), topic('Other', [], { title: 'Duplicate name' })];
+  const diff = issues.diffTopics(before, after);
+  assert.deepEqual(pairs(diff.persisting), [[before[0].guid, after[0].guid, 1]]);
+  assert.deepEqual(guids(diff.added), [after[1].guid]);
+  assert.deepEqual(guids(diff.resolved), [before[1].guid]);
+});
+
+// A BCF report of one clash per component pair
+async function bcfReport(name, clashes) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  const file = path.join(outputDir, name);
+  await writeBcf(file, { topics: clashes.map((ifcGuids, i) => ({ title: `Clash ${i + 1}`, labels: ['Clashes'], ifcGuids })) });
+  return file;
+}
+
+test('records reports per model/ruleset pair and compares the latest two', async () => {
+  const model = path.join(workDir, 'ARK.ifc');
+  const rulesets = [path.join(workDir, 'b.cset'), path.join(workDir, 'a.cset')];
+
+  const first = await issues.record({ jobId: 'job-1', model, rulesets, bcfPath: await bcfReport('1.bcfzip', [['a', 'b'], ['c', 'd']]) });
+  await issues.record({ jobId: 'job-x', model, rulesets: [rulesets[0]], bcfPath: await bcfReport('x.bcfzip', [['a', 'b']]) });
+  const second = await issues.record({ jobId: 'job-2', model, rulesets: [...rulesets].reverse(), bcfPath: await bcfReport('2.bcfzip', [['a', 'b'], ['e', 'f']]) });
+
+  assert.deepEqual(issues.history({ model, rulesets }).map((e) => e.id), [second.id, first.id]);
+  assert.equal(issues.history({ model }).length, 3);
+
+  const diff = await issues.compare({ model, rulesets });
+  assert.equal(diff.base.jobId, 'job-1');
+  assert.equal(diff.target.jobId, 'job-2');
+  assert.deepEqual(diff.counts, { new: 1, resolved: 1, persisting: 1 });
+  assert.deepEqual(diff.byRule, { Clashes: { new: 1, resolved: 1, persisting: 1 } });
+  assert.deepEqual(diff.new.map((t) => t.ifcGuids), [['e', 'f']]);
+
+  // Job ids and BCF paths work as references too
+  const byRef = await issues.compare({ base: 'job-1', target: path.join(outputDir, '2.bcfzip') });
+  assert.deepEqual(byRef.counts, { new: 1, resolved: 1, persisting: 1 });
+});
+
+test('keeps the newest reports of each pair', async () => {
+  const model = path.join(workDir, 'RIB.ifc');
+  const rulesets = [path.join(workDir, 'a.cset')];
+  const ids = [];
+  for (let i = 0; i < 5; i++) {
+    ids.push((await issues.record({ jobId: `rib-${i}`, model, rulesets, bcfPath: await bcfReport(`rib-${i}.bcfzip`, [['a']]) })).id);
+  }
+  assert.deepEqual(issues.history({ model, rulesets }).map((e) => e.id), ids.slice(2).reverse());
+  assert.equal(fs.existsSync(path.join(process.env.SOLIBRI_ISSUE_HISTORY_DIR, `${ids[0]}.json`)), false);
+  await assert.rejects(issues.compare({ model: path.join(workDir, 'VVS.ifc'), rulesets }), /Need two recorded reports .* found 0/);
+});
+
+test('records the report of a finished check job', async () => {
+  const modelPath = path.join(workDir, 'LARK.ifc');
+  const rulesets = [path.join(workDir, 'a.cset')];
+  const outputBcf = await bcfReport('lark.bcfzip', [['a', 'b']]);
+  const job = jobs.submit({ tool: 'solibri_check_model', params: { modelPath, rulesets }, outputs: { outputBcf }, run: async () => ({ code: 0 }) });
+  await jobs.waitFor(job.id);
+
+  for (let i = 0; i < 50 && issues.history({ model: modelPath, rulesets }).length === 0; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  const [entry] = issues.history({ model: modelPath, rulesets });
+  assert.equal(entry.jobId, job.id);
+  assert.equal(entry.topicCount, 1);
+});
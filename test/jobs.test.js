@@ -0,0 +1,88 @@
+/**
+ * Job queue: serialized execution, cancellation, failures and history
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'solibri-jobs-'));
+process.env.SOLIBRI_OUTPUT_DIR = path.join(root, 'output');
+process.env.SOLIBRI_JOBS_FILE = path.join(root, 'jobs.json');
+process.env.LOG_LEVEL = 'critical';
+
+const jobs = require('../solibri/jobs');
+
+const history = () => JSON.parse(fs.readFileSync(process.env.SOLIBRI_JOBS_FILE, 'utf8'));
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+test('runs one job at a time in submission order', async () => {
+  const events = [];
+  const run = (name) => async () => {
+    events.push(`start ${name}`);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    events.push(`end ${name}`);
+    return { code: 0 };
+  };
+  const first = jobs.submit({ tool: 'test', run: run('first') });
+  const second = jobs.submit({ tool: 'test', run: run('second') });
+  assert.equal(jobs.queuePosition(second.id), 2);
+
+  const done = await jobs.waitFor(second.id);
+  assert.deepEqual(events, ['start first', 'end first', 'start second', 'end second']);
+  assert.equal(jobs.get(first.id).status, 'completed');
+  assert.equal(done.status, 'completed');
+  assert.equal(done.exitCode, 0);
+});
+
+test('cancels a queued job before it runs', async () => {
+  let ran = false;
+  const blocker = jobs.submit({ tool: 'test', run: () => new Promise((resolve) => setTimeout(() => resolve({ code: 0 }), 20)) });
+  const queued = jobs.submit({ tool: 'test', run: async () => { ran = true; } });
+
+  assert.equal(jobs.cancel(queued.id).status, 'cancelled');
+  await jobs.waitFor(blocker.id);
+  assert.equal(ran, false);
+  assert.throws(() => jobs.cancel(queued.id), /already cancelled/);
+});
+
+test('records failures and finalize results', async () => {
+  const failed = await jobs.waitFor(jobs.submit({ tool: 'test', run: async () => { throw new Error('Solibri crashed'); } }).id);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.error, 'Solibri crashed');
+
+  const finalized = await jobs.waitFor(jobs.submit({ tool: 'test', run: async () => ({ code: 0 }), finalize: async () => ({ issues: 3 }) }).id);
+  assert.deepEqual(finalized.result, { issues: 3 });
+});
+
+test('writes history on status changes, not on progress', async () => {
+  let duringRun = null;
+  const job = jobs.submit({
+    tool: 'test',
+    run: async (j, ctx) => {
+      ctx.progress({ progress: 1, total: 2, message: 'Checking' });
+      duringRun = history().find((r) => r.id === j.id);
+      return { code: 0 };
+    },
+  });
+  await jobs.waitFor(job.id);
+
+  assert.equal(duringRun.status, 'running');
+  assert.equal(duringRun.progress, null);
+  const saved = history().find((r) => r.id === job.id);
+  assert.equal(saved.status, 'completed');
+  assert.deepEqual(saved.progress, { progress: 1, total: 2, message: 'Checking' });
+});
+
+test('creates the job output folder when the job is submitted', async () => {
+  const id = '7d9f1c2e-1111-4222-8333-444455556666';
+  const file = jobs.outputPath(id, 'issues.bcfzip');
+  assert.equal(file, path.join(process.env.SOLIBRI_OUTPUT_DIR, id, 'issues.bcfzip'));
+  assert.equal(fs.existsSync(path.dirname(file)), false);
+
+  await jobs.waitFor(jobs.submit({ id, tool: 'test', run: async () => ({ code: 0 }) }).id);
+  assert.equal(fs.statSync(path.dirname(file)).isDirectory(), true);
+});
@@ -0,0 +1,82 @@
+/**
+ * Path sandbox: syntax checks, allowed roots, symlinks and the overwrite rule
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'solibri-paths-')));
+const workDir = path.join(root, 'work');
+const outputDir = path.join(root, 'output');
+const outside = path.join(root, 'outside');
+for (const dir of [workDir, outputDir, outside]) fs.mkdirSync(dir);
+process.env.SOLIBRI_WORK_DIR = workDir;
+process.env.SOLIBRI_OUTPUT_DIR = outputDir;
+process.env.SOLIBRI_ALLOWED_INPUT_ROOTS = `${workDir};${outputDir}`;
+
+const paths = require('../solibri/paths');
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+test('rejects empty, traversal, UNC and device paths', () => {
+  assert.throws(() => paths.checkSyntax('', 'modelPath'), /modelPath: path is required/);
+  assert.throws(() => paths.checkSyntax('model\0.ifc', 'modelPath'), /invalid characters/);
+  for (const file of ['../model.ifc', 'models/../../model.ifc', 'models\\..\\model.ifc', '..']) {
+    assert.throws(() => paths.checkSyntax(file, 'modelPath'), /path traversal/, file);
+  }
+  for (const file of ['\\\\server\\share\\model.ifc', '//server/share/model.ifc', '\\\\?\\C:\\model.ifc', '\\\\.\\pipe\\x']) {
+    assert.throws(() => paths.checkSyntax(file, 'modelPath'), /UNC and device paths/, file);
+  }
+  assert.doesNotThrow(() => paths.checkSyntax('models/..model.ifc', 'modelPath'));
+});
+
+test('resolves inputs against the work folder within the allowed roots', () => {
+  assert.equal(paths.resolveInput('models/a.ifc', 'modelPath'), path.join(workDir, 'models', 'a.ifc'));
+  assert.equal(paths.resolveInput(path.join(outputDir, 'job', 'issues.bcfzip')), path.join(outputDir, 'job', 'issues.bcfzip'));
+  assert.throws(() => paths.resolveInput(path.join(outside, 'a.ifc'), 'modelPath'), /modelPath: .* is outside the allowed input folders/);
+  assert.throws(() => paths.resolveInput(`${workDir}-other/a.ifc`), /outside the allowed input folders/);
+});
+
+test('resolves outputs against the output folder only', () => {
+  assert.equal(paths.resolveOutput('reports/issues.bcfzip'), path.join(outputDir, 'reports', 'issues.bcfzip'));
+  assert.throws(() => paths.resolveOutput(path.join(workDir, 'issues.bcfzip'), { label: 'outputBcf' }), /outputBcf: .* is outside the allowed output folders/);
+  assert.throws(() => paths.resolveOutput('../work/issues.bcfzip'), /path traversal/);
+});
+
+test('rejects symlinks that point out of the allowed roots', (t) => {
+  try {
+    fs.symlinkSync(outside, path.join(workDir, 'linked'), 'dir');
+    fs.symlinkSync(outside, path.join(outputDir, 'linked'), 'dir');
+  } catch (error) {
+    t.skip(`symlinks not available: ${error.code}`);
+    return;
+  }
+  fs.writeFileSync(path.join(outside, 'secret.ifc'), 'ISO-10303-21;');
+  assert.throws(() => paths.resolveInput('linked/secret.ifc'), /outside the allowed input folders/);
+  assert.throws(() => paths.resolveOutput('linked/new.bcfzip'), /outside the allowed output folders/);
+});
+
+test('replaces existing outputs only when overwrite is set', () => {
+  const file = path.join(outputDir, 'existing.bcfzip');
+  fs.writeFileSync(file, '');
+  assert.throws(() => paths.resolveOutput('existing.bcfzip', { label: 'outputBcf' }), /outputBcf: .* already exists \(set overwrite to true to replace it\)/);
+  assert.equal(paths.resolveOutput('existing.bcfzip', { overwrite: true }), file);
+});
+
+test('resolves the input and output files of autorun commands', () => {
+  fs.writeFileSync(path.join(outputDir, 'taken.bcfzip'), '');
+  const commands = [
+    { type: 'openmodel', file: 'models/a.ifc' },
+    { type: 'bcfreport', file: 'new.bcfzip', version: '2.1' },
+    { type: 'exit' },
+  ];
+  assert.deepEqual(paths.resolveCommands(commands), [
+    { type: 'openmodel', file: path.join(workDir, 'models', 'a.ifc') },
+    { type: 'bcfreport', file: path.join(outputDir, 'new.bcfzip'), version: '2.1' },
+    { type: 'exit' },
+  ]);
+  assert.throws(() => paths.resolveCommands([{ type: 'bcfreport', file: 'taken.bcfzip' }]), /command 1 \(bcfreport\) file: .* already exists/);
+});
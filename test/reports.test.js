@@ -0,0 +1,92 @@
+/**
+ * Check reports: threshold verdicts and the CSV and SARIF writers
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'solibri-reports-')));
+const outputDir = path.join(root, 'output');
+process.env.SOLIBRI_WORK_DIR = path.join(root, 'work');
+process.env.SOLIBRI_OUTPUT_DIR = outputDir;
+
+const reports = require('../solibri/reports');
+const { writeBcf } = require('../solibri/bcf-writer');
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const SUMMARY = { topicCount: 5, bySeverity: { Critical: 2, Moderate: 3 } };
+
+const TOPICS = [
+  {
+    guid: '0a1b2c3d-1111-4222-8333-444455556666',
+    title: 'Duct through column',
+    description: 'Move the duct, "up"',
+    priority: 'Critical',
+    labels: ['Clash Detection', 'Ducts vs Columns'],
+    ifcGuids: ['3vB2YO$MX4xv5uCqZZG05x', '2O2Fr$t4X7Zf8NOew3FLOH'],
+  },
+  { guid: '1a1b2c3d-1111-4222-8333-444455556666', title: 'Missing fire rating', priority: 'Low', labels: ['Fire Safety'] },
+];
+
+test('passes and fails thresholds per severity and in total', () => {
+  assert.deepEqual(reports.verdict(SUMMARY, { critical: 2, total: 5 }), {
+    passed: true,
+    checks: [{ key: 'critical', count: 2, max: 2, passed: true }, { key: 'total', count: 5, max: 5, passed: true }],
+  });
+  const failed = reports.verdict(SUMMARY, { Critical: 0, Low: 0 });
+  assert.equal(failed.passed, false);
+  assert.deepEqual(failed.checks.map((c) => [c.key, c.count, c.passed]), [['Critical', 2, false], ['Low', 0, true]]);
+  assert.deepEqual(reports.verdict(SUMMARY), { passed: true, checks: [] });
+});
+
+test('rejects thresholds that match no severity', () => {
+  assert.throws(() => reports.verdict(SUMMARY, { critcal: 0 }), /thresholds: unknown severity "critcal" \(expected Critical, High, Moderate, Medium, Low, total\)/);
+  assert.throws(() => reports.verdict(SUMMARY, { Critical: -1 }), /thresholds: Critical must be a number of issues of 0 or more/);
+  assert.throws(() => reports.verdict(SUMMARY, { Critical: '0' }), /must be a number/);
+  assert.throws(() => reports.checkThresholds([0]), /thresholds must be an object/);
+});
+
+test('writes CSV and SARIF reports of a BCF', async () => {
+  const bcfPath = path.join(root, 'issues.bcfzip');
+  await writeBcf(bcfPath, { topics: TOPICS });
+  const model = path.join(root, 'work', 'ARK.ifc');
+
+  const report = await reports.generate(bcfPath, { formats: ['csv', 'sarif'], outputDir: path.join(outputDir, 'job'), thresholds: { Critical: 0 }, model });
+  assert.deepEqual(report.files, { csv: path.join(outputDir, 'job', 'report.csv'), sarif: path.join(outputDir, 'job', 'report.sarif') });
+  assert.equal(report.verdict.passed, false);
+
+  const csv = fs.readFileSync(report.files.csv, 'utf8');
+  assert.ok(csv.startsWith('\uFEFFIndex,Guid,Title,Rule,Severity,'));
+  const [, first] = csv.split('\r\n');
+  assert.match(first, /^\d*,0a1b2c3d-1111-4222-8333-444455556666,Duct through column,Ducts vs Columns,Critical,Open,,Clash Detection \/ Ducts vs Columns,3vB2YO\$MX4xv5uCqZZG05x 2O2Fr\$t4X7Zf8NOew3FLOH,"Move the duct, ""up""",/);
+
+  const sarif = JSON.parse(fs.readFileSync(report.files.sarif, 'utf8'));
+  assert.equal(sarif.version, '2.1.0');
+  const [run] = sarif.runs;
+  assert.deepEqual(run.tool.driver.rules.map((r) => r.id), ['Ducts vs Columns', 'Fire Safety']);
+  assert.deepEqual(run.results.map((r) => [r.ruleId, r.ruleIndex, r.level]), [['Ducts vs Columns', 0, 'error'], ['Fire Safety', 1, 'note']]);
+  assert.equal(run.results[0].message.text, 'Duct through column: Move the duct, "up"');
+  assert.deepEqual(run.results[0].locations[0].logicalLocations.map((l) => l.name), TOPICS[0].ifcGuids);
+  assert.equal(run.results[0].locations[0].physicalLocation.artifactLocation.uri, pathToFileURL(model).href);
+  assert.equal(run.properties.verdict.passed, false);
+});
+
+test('checks thresholds and existing reports before writing any', async () => {
+  const bcfPath = path.join(root, 'gate.bcfzip');
+  await writeBcf(bcfPath, { topics: TOPICS });
+  const dir = path.join(outputDir, 'gate');
+
+  await assert.rejects(reports.generate(bcfPath, { formats: ['csv'], outputDir: dir, thresholds: { critcal: 0 } }), /unknown severity "critcal"/);
+  assert.equal(fs.existsSync(dir), false);
+
+  await reports.generate(bcfPath, { formats: ['sarif'], outputDir: dir });
+  await assert.rejects(reports.generate(bcfPath, { formats: ['csv', 'sarif'], outputDir: dir }), /sarif report: .* already exists/);
+  assert.equal(fs.existsSync(path.join(dir, 'report.csv')), false);
+  await reports.generate(bcfPath, { formats: ['csv', 'sarif'], outputDir: dir, overwrite: true });
+  assert.equal(fs.existsSync(path.join(dir, 'report.csv')), true);
+});
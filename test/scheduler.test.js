@@ -0,0 +1,76 @@
+/**
+ * Scheduled checks: schedule validation and recording runs
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'solibri-scheduler-')));
+const workDir = path.join(root, 'work');
+const outputDir = path.join(root, 'output');
+const historyFile = path.join(root, 'schedule-runs.json');
+process.env.SOLIBRI_WORK_DIR = workDir;
+process.env.SOLIBRI_OUTPUT_DIR = outputDir;
+process.env.SOLIBRI_AUTORUN_DIR = path.join(root, 'autorun');
+process.env.SOLIBRI_EXE_PATH = path.join(root, 'missing', 'Solibri.exe');
+process.env.SOLIBRI_JOBS_FILE = path.join(root, 'jobs.json');
+process.env.SOLIBRI_AUDIT_FILE = path.join(root, 'audit.jsonl');
+process.env.SOLIBRI_SCHEDULES_FILE = path.join(root, 'schedules.json');
+process.env.SOLIBRI_SCHEDULE_HISTORY_FILE = historyFile;
+process.env.SOLIBRI_ALLOWED_INPUT_ROOTS = `${workDir};${outputDir}`;
+process.env.LOG_LEVEL = 'critical';
+
+const scheduler = require('../solibri/scheduler');
+const jobs = require('../solibri/jobs');
+
+fs.mkdirSync(workDir, { recursive: true });
+for (const file of ['ARK.smc', 'rules.cset']) fs.writeFileSync(path.join(workDir, file), '');
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const SPEC = { name: 'Nightly', cron: '0 2 * * *', models: ['*.smc'], rulesets: ['rules.cset'] };
+
+test('rejects invalid schedules when they are created', async () => {
+  await assert.rejects(scheduler.create({ ...SPEC, cron: '0 2 * *' }), /expected 5 fields/);
+  await assert.rejects(scheduler.create({ ...SPEC, bcfVersion: '4.0' }), /bcfVersion must be one of .* \(got "4\.0"\)/);
+  await assert.rejects(scheduler.create({ ...SPEC, models: 'ARK.smc' }), /models must be a list/);
+  await assert.rejects(scheduler.create({ ...SPEC, models: ['*.ifc'] }), /no model files match/);
+  await assert.rejects(scheduler.create({ ...SPEC, rulesets: [] }), /at least one ruleset/);
+  assert.deepEqual(scheduler.list(), []);
+
+  const created = await scheduler.create(SPEC);
+  assert.equal(created.name, 'Nightly');
+  await assert.rejects(scheduler.create(SPEC), /A schedule named "Nightly" already exists/);
+  scheduler.remove('Nightly');
+});
+
+test('logs a run it cannot record instead of failing the process', async () => {
+  const rejections = [];
+  const onRejection = (reason) => rejections.push(reason);
+  process.on('unhandledRejection', onRejection);
+
+  // A folder in place of the history file makes every write fail
+  fs.mkdirSync(historyFile);
+  fs.writeFileSync(process.env.SOLIBRI_SCHEDULES_FILE, JSON.stringify([{
+    id: 'every-minute',
+    name: 'Every minute',
+    cron: '* * * * *',
+    models: ['ARK.smc'],
+    rulesets: [path.join(workDir, 'rules.cset')],
+    classifications: [],
+    itos: [],
+    outputDir: null,
+  }]));
+
+  scheduler.start();
+  const [job] = jobs.list({ tool: 'solibri_schedule' });
+  assert.ok(job, 'the schedule queued a job');
+  await jobs.waitFor(job.id);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  process.off('unhandledRejection', onRejection);
+  assert.deepEqual(rejections, []);
+});
@@ -0,0 +1,121 @@
+/**
+ * HTTP server: tool calls with inline files larger than the default JSON body limit
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'solibri-server-'));
+const TOKEN = 'server-test-token-0123456789';
+// Inline limit of the test server: its JSON body limit is about 1.4 MB
+const MAX_INLINE = 300 * 1024;
+
+let server;
+let url;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+test.before(async () => {
+  const port = await freePort();
+  url = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+    env: {
+      ...process.env,
+      LOG_LEVEL: 'critical',
+      SOLIBRI_MCP_TRANSPORTS: 'streamable-http',
+      SOLIBRI_MCP_HOST: '127.0.0.1',
+      SOLIBRI_MCP_PORT: String(port),
+      SOLIBRI_MCP_TOKEN: TOKEN,
+      SOLIBRI_MCP_TOKENS_FILE: path.join(root, 'tokens.json'),
+      SOLIBRI_WORK_DIR: path.join(root, 'work'),
+      SOLIBRI_OUTPUT_DIR: path.join(root, 'output'),
+      SOLIBRI_AUTORUN_DIR: path.join(root, 'autorun'),
+      SOLIBRI_JOBS_FILE: path.join(root, 'jobs.json'),
+      SOLIBRI_AUDIT_FILE: path.join(root, 'audit.jsonl'),
+      SOLIBRI_INSTANCE_PID_FILE: path.join(root, 'instance.json'),
+      SOLIBRI_SCHEDULER: 'false',
+      SOLIBRI_RETENTION_DAYS: '0',
+      SOLIBRI_MAX_INLINE_BYTES: String(MAX_INLINE),
+    },
+    stdio: 'ignore',
+  });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      if ((await fetch(`${url}/health`)).ok) return;
+    } catch (error) {
+      if (attempt >= 100 || server.exitCode !== null) throw new Error(`Server did not start: ${error.message}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+});
+
+test.after(() => {
+  if (server) server.kill();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+function post(body, sessionId) {
+  return fetch(`${url}/mcp`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${TOKEN}`,
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {}),
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+// The JSON-RPC message of a response sent as a server-sent event stream
+async function message(response) {
+  const data = (await response.text()).split('\n').find((line) => line.startsWith('data: '));
+  return JSON.parse(data.slice(6));
+}
+
+test('accepts tool calls carrying inline files above 100 kB', async () => {
+  const init = await post({
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } },
+  });
+  assert.equal(init.status, 200);
+  const sessionId = init.headers.get('mcp-session-id');
+  await message(init);
+  assert.equal((await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, sessionId)).status, 202);
+
+  const content = crypto.randomBytes(200 * 1024);
+  const response = await post({
+    jsonrpc: '2.0',
+    id: 2,
+    method: 'tools/call',
+    params: { name: 'solibri_upload_file', arguments: { filename: 'model.ifc', contentBase64: content.toString('base64') } },
+  }, sessionId);
+  assert.equal(response.status, 200);
+
+  const result = await message(response);
+  assert.equal(result.result.isError, undefined, result.result.content[0].text);
+  const upload = JSON.parse(result.result.content[0].text);
+  assert.deepEqual(fs.readFileSync(upload.path), content);
+});
+
+test('rejects bodies above the inline limit', async () => {
+  const response = await post({ jsonrpc: '2.0', id: 1, method: 'ping', params: { padding: 'x'.repeat(2 * 1024 * 1024) } });
+  assert.equal(response.status, 413);
+});
@@ -0,0 +1,47 @@
+/**
+ * Job tools: calls rejected by argument checks leave nothing in the output folder
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'solibri-tools-')));
+const workDir = path.join(root, 'work');
+const outputDir = path.join(root, 'output');
+process.env.SOLIBRI_WORK_DIR = workDir;
+process.env.SOLIBRI_OUTPUT_DIR = outputDir;
+process.env.SOLIBRI_JOBS_FILE = path.join(root, 'jobs.json');
+process.env.SOLIBRI_AUDIT_FILE = path.join(root, 'audit.jsonl');
+process.env.SOLIBRI_ALLOWED_INPUT_ROOTS = `${workDir};${outputDir}`;
+process.env.LOG_LEVEL = 'critical';
+
+const { TOOLS } = require('../tools');
+
+const tool = (name) => TOOLS.find((t) => t.name === name).handler;
+
+for (const file of ['model.smc', 'rules.cset']) {
+  fs.mkdirSync(workDir, { recursive: true });
+  fs.writeFileSync(path.join(workDir, file), '');
+}
+fs.mkdirSync(outputDir, { recursive: true });
+fs.writeFileSync(path.join(outputDir, 'taken.smc'), '');
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const CALLS = [
+  ['solibri_check_model', { outputSmc: 'taken.smc' }, /outputSmc: .* already exists/],
+  ['solibri_check_model', { outputFormats: ['pdf'] }, /outputFormats: unknown format pdf/],
+  ['solibri_check_model', { thresholds: { critcal: 0 } }, /thresholds: unknown severity "critcal"/],
+  ['solibri_issue_presentation', { outputSmc: 'taken.smc' }, /outputSmc: .* already exists/],
+  ['solibri_issue_presentation', { bcfVersion: '4.0' }, /bcfVersion must be one of/],
+];
+
+for (const [name, args, error] of CALLS) {
+  test(`${name} rejected for ${Object.keys(args)[0]} creates no job folder`, async () => {
+    await assert.rejects(tool(name)({ modelPath: 'model.smc', rulesets: ['rules.cset'], ...args }), error);
+    assert.deepEqual(fs.readdirSync(outputDir), ['taken.smc']);
+  });
+}
@@ -0,0 +1,62 @@
+/**
+ * Excel reader: header detection, cell types, totals and paging
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const xlsx = require('../solibri/xlsx');
+const { writeZip } = require('../solibri/zip');
+
+function workbook(sheetXml, sharedStrings) {
+  return writeZip([
+    ['xl/workbook.xml', '<workbook xmlns:r="r"><sheets><sheet name="Takeoff" sheetId="1" r:id="rId1"/></sheets></workbook>'],
+    ['xl/_rels/workbook.xml.rels', '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>'],
+    ['xl/sharedStrings.xml', `<sst>${sharedStrings.map((s) => `<si><t>${s}</t></si>`).join('')}</sst>`],
+    ['xl/worksheets/sheet1.xml', `<worksheet><sheetData>${sheetXml}</sheetData></worksheet>`],
+  ]);
+}
+
+const s = (ref, index) => `<c r="${ref}" t="s"><v>${index}</v></c>`;
+const n = (ref, value) => `<c r="${ref}"><v>${value}</v></c>`;
+
+// Title row, header row with a year label, then rows with code columns stored as text
+const STRINGS = ['Quantity Takeoff', 'Code', 'Name', 'Area', '2024', '0101', 'Wall', '01.20', 'Slab'];
+const ROWS = [
+  `<row r="1">${s('A1', 0)}</row>`,
+  `<row r="3">${s('A3', 1)}${s('B3', 2)}${s('C3', 3)}${s('D3', 4)}</row>`,
+  `<row r="4">${s('A4', 5)}${s('B4', 6)}${n('C4', '12.5')}${n('D4', '3')}</row>`,
+  `<row r="5">${s('A5', 7)}${s('B5', 8)}${n('C5', '40')}<c r="E5" t="inlineStr"><is><t>note</t></is></c></row>`,
+].join('');
+
+test('detects the header row below the title rows', async () => {
+  const [sheet] = await xlsx.readWorkbook(workbook(ROWS, STRINGS));
+  assert.equal(sheet.name, 'Takeoff');
+  assert.deepEqual(sheet.title, ['Quantity Takeoff']);
+  assert.deepEqual(sheet.headers, ['Code', 'Name', 'Area', '2024', 'Column 5']);
+  assert.equal(sheet.rowCount, 2);
+});
+
+test('keeps text cells as text and totals only numeric cells', async () => {
+  const [sheet] = await xlsx.readWorkbook(workbook(ROWS, STRINGS));
+  assert.deepEqual(sheet.rows[0], { Code: '0101', Name: 'Wall', Area: 12.5, 2024: 3, 'Column 5': null });
+  assert.equal(sheet.rows[1].Code, '01.20');
+  assert.equal(sheet.rows[1]['Column 5'], 'note');
+  assert.deepEqual(sheet.totals, { Area: 52.5, 2024: 3 });
+});
+
+test('reads sheets with more rows than a call takes arguments', async () => {
+  const rows = [`<row r="1">${s('A1', 1)}${s('B1', 3)}</row>`];
+  for (let r = 2; r <= 150001; r++) rows.push(`<row r="${r}">${s(`A${r}`, 5)}${n(`B${r}`, 1)}</row>`);
+  const [sheet] = await xlsx.readWorkbook(workbook(rows.join(''), STRINGS));
+  assert.equal(sheet.rowCount, 150000);
+  assert.deepEqual(sheet.headers, ['Code', 'Area']);
+  assert.equal(sheet.totals.Area, 150000);
+});
+
+test('pages rows of a sheet', async () => {
+  const sheets = await xlsx.readWorkbook(workbook(ROWS, STRINGS));
+  const page = xlsx.pageRows(sheets, { sheet: 'Takeoff', offset: 1, limit: 5 });
+  assert.equal(page.total, 2);
+  assert.deepEqual(page.rows.map((r) => r.Name), ['Slab']);
+  assert.throws(() => xlsx.pageRows(sheets, { sheet: 'Other' }), /Sheet not found: Other/);
+});
@@ -0,0 +1,54 @@
+/**
+ * ZIP reader and writer
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { readZip, writeZip, isZip } = require('../solibri/zip');
+
+// Written by Python's zipfile: a folder entry, a deflated and a stored entry and an archive comment
+const PYTHON_ZIP = 'UEsDBBQAAAAAAN1CU10AAAAAAAAAAAAAAAAGAAAAdG9waWMvUEsDBBQAAAAIAAAAIQCbVa5gEQAAAEMAAAAQAAAAdG9waWMvbWFya3VwLmJjZrPxTSzKLi2wqyAZ2OhDtQIAUEsDBBQAAAAAAN1CU12mdOGpGgAAABoAAAALAAAAYmNmLnZlcnNpb248VmVyc2lvbiBWZXJzaW9uSWQ9IjIuMSIvPlBLAQIUAxQAAAAAAN1CU10AAAAAAAAAAAAAAAAGAAAAAAAAAAAAEAD9QQAAAAB0b3BpYy9QSwECFAMUAAAACAAAACEAm1WuYBEAAABDAAAAEAAAAAAAAAAAAAAAgAEkAAAAdG9waWMvbWFya3VwLmJjZlBLAQIUAxQAAAAAAN1CU12mdOGpGgAAABoAAAALAAAAAAAAAAAAAACAAWMAAABiY2YudmVyc2lvblBLBQYAAAAAAwADAKsAAACmAAAAEQB3cml0dGVuIGJ5IHB5dGhvbg==';
+
+test('round-trips text, binary, empty and non-ASCII entries', () => {
+  const entries = [
+    ['bcf.version', '<Version VersionId="2.1"/>'],
+    ['topic/markup.bcf', `<Markup>${'<Comment>repeated</Comment>'.repeat(200)}</Markup>`],
+    ['topic/snapshot.png', crypto.randomBytes(4096)],
+    ['empty.txt', ''],
+    ['Møterom/ÆØÅ.txt', 'blåbær'],
+  ];
+  const archive = writeZip(entries);
+  assert.equal(isZip(archive), true);
+
+  const read = readZip(archive);
+  assert.deepEqual([...read.keys()], entries.map(([name]) => name));
+  for (const [name, data] of entries) {
+    assert.deepEqual(read.get(name), Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8'), name);
+  }
+});
+
+test('deflates entries only when that makes them smaller', () => {
+  const text = 'x'.repeat(10000);
+  const random = crypto.randomBytes(10000);
+  assert.ok(writeZip([['a.txt', text]]).length < 1000);
+  assert.ok(writeZip([['a.bin', random]]).length > 10000);
+  assert.deepEqual(readZip(writeZip([['a.bin', random]])).get('a.bin'), random);
+});
+
+test('accepts a Map of entries', () => {
+  const read = readZip(writeZip(new Map([['a.txt', 'A'], ['b.txt', Buffer.from('B')]])));
+  assert.deepEqual([...read].map(([name, data]) => [name, data.toString()]), [['a.txt', 'A'], ['b.txt', 'B']]);
+});
+
+test('reads archives written by other tools', () => {
+  const read = readZip(Buffer.from(PYTHON_ZIP, 'base64'));
+  assert.deepEqual([...read.keys()], ['topic/markup.bcf', 'bcf.version']);
+  assert.equal(read.get('topic/markup.bcf').toString(), `<Markup>${'x'.repeat(50)}</Markup>`);
+  assert.equal(read.get('bcf.version').toString(), '<Version VersionId="2.1"/>');
+});
+
+test('rejects data that is not a ZIP archive', () => {
+  assert.equal(isZip(Buffer.from('ISO-10303-21;')), false);
+  assert.throws(() => readZip(Buffer.alloc(100)), /Not a ZIP archive/);
+});
@@ -0,0 +1,1180 @@
+/**
+ * MCP tool registry
+ *
+ * Shared by every transport (Streamable HTTP, SSE, stdio).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const config = require('./config');
+const autorun = require('./solibri/autorun');
+const assets = require('./solibri/assets');
+const jobs = require('./solibri/jobs');
+const bcf = require('./solibri/bcf');
+const bcfWriter = require('./solibri/bcf-writer');
+const xlsx = require('./solibri/xlsx');
+const compare = require('./solibri/compare');
+const ifc = require('./solibri/ifc');
+const batch = require('./solibri/batch');
+const scheduler = require('./solibri/scheduler');
+const issues = require('./solibri/issues');
+const reports = require('./solibri/reports');
+const audit = require('./solibri/audit');
+const { COMMANDS, BCF_VERSIONS, validateCommands, commandFiles } = require('./solibri/commands');
+const paths = require('./solibri/paths');
+const files = require('./solibri/files');
+const restClient = require('./solibri/rest-client');
+const instance = require('./solibri/instance');
+
+/**
+ * Queue an autorun job and return its id without waiting for Solibri.
+ * Invalid command lists and files outside the sandbox are rejected here,
+ * before anything is queued.
+ *
+ * When the call carries a progress token (options.context), the job is
+ * followed instead: progress notifications are sent per autorun step and the
+ * final job status is returned.
+ */
+function queueJob(tool, params, commands, outputs = {}, options = {}) {
+  validateCommands(commands);
+  commands = paths.resolveCommands(commands, { overwrite: options.overwrite });
+  return startJob({ id: options.jobId, tool, params, commands, outputs, finalize: options.finalize }, options.context);
+}
+
+/**
+ * Submit a job (see jobs.submit) and return its id, or follow it when the
+ * call carries a progress token
+ */
+function startJob(spec, context) {
+  const job = jobs.submit({ ...spec, requestedBy: context && context.identity ? context.identity.name : null });
+  // Lets the audit entry of the tool call name the job
+  if (context) context.jobId = job.id;
+  if (context && context.progressToken !== undefined) {
+    return followJob(job.id, context);
+  }
+  const response = { success: true, jobId: job.id, status: job.status, queuePosition: jobs.queuePosition(job.id), ...spec.outputs };
+  return {
+    content: [{ type: 'text', text: JSON.stringify(response, null, 2) }],
+  };
+}
+
+/**
+ * Report a job's progress to the client until it finishes. Waiting in the
+ * queue is step 0 and finishing the last step; progress only ever increases.
+ * If the client cancels the request the job keeps running and its current
+ * status is returned.
+ */
+async function followJob(jobId, context) {
+  let last = -1;
+  const send = (progress, total, message) => {
+    if (progress <= last) return Promise.resolve();
+    last = progress;
+    return context.sendProgress({ progress, total, message }).catch(() => {});
+  };
+  const onProgress = (event) => {
+    if (event.jobId === jobId) send(event.progress + 1, event.total + 1, event.message);
+  };
+
+  const position = jobs.queuePosition(jobId);
+  if (position > 0) send(0, undefined, `Queued (position ${position})`);
+  jobs.events.on('progress', onProgress);
+
+  try {
+    const finished = jobs.waitFor(jobId);
+    const aborted = context.signal
+      ? new Promise((resolve) => context.signal.addEventListener('abort', resolve, { once: true }))
+      : new Promise(() => {});
+    await Promise.race([finished, aborted]);
+  } finally {
+    jobs.events.off('progress', onProgress);
+  }
+
+  const job = jobs.get(jobId);
+  const done = !['queued', 'running'].includes(job.status);
+  if (done && job.progress) await send(job.progress.total + 1, job.progress.total + 1, `Job ${job.status}`);
+  const status = { ...job, queuePosition: jobs.queuePosition(jobId) };
+  return {
+    content: [{ type: 'text', text: JSON.stringify(status, null, 2) }],
+    ...(job.status === 'failed' ? { isError: true } : {}),
+  };
+}
+
+/**
+ * Resolve a list of input files against the sandbox
+ */
+function resolveInputs(files, label) {
+  return files.map((file) => paths.resolveInput(file, label));
+}
+
+/**
+ * Run a REST call against the live Solibri session: wait until Solibri is
+ * idle, make the call, then wait again until Solibri has processed it
+ */
+async function liveCall(action) {
+  await restClient.waitUntilIdle(config.SOLIBRI.restIdleTimeout);
+  const result = await action();
+  await restClient.waitUntilIdle(config.SOLIBRI.restIdleTimeout);
+  return {
+    content: [{ type: 'text', text: JSON.stringify({ success: true, result }, null, 2) }],
+  };
+}
+
+/**
+ * Check a list of IFC GUIDs
+ */
+function checkGuids(guids, { allowEmpty = false } = {}) {
+  if (!Array.isArray(guids) || (!allowEmpty && guids.length === 0) || guids.some((g) => typeof g !== 'string' || g.trim() === '')) {
+    throw new Error(`guids must be a ${allowEmpty ? '' : 'non-empty '}list of IFC GUIDs`);
+  }
+  return guids.map((g) => g.trim());
+}
+
+/**
+ * Commands that open a model with classifications and rulesets and run the check
+ */
+function checkCommands(modelPath, classifications, rulesets) {
+  const commands = [{ type: 'openmodel', file: modelPath }];
+  for (const cls of classifications) commands.push({ type: 'openclassification', file: cls });
+  for (const rs of rulesets) commands.push({ type: 'openruleset', file: rs });
+  commands.push({ type: 'check' });
+  return commands;
+}
+
+const REPORT_PROPERTIES = {
+  outputFormats: {
+    type: 'array',
+    items: { type: 'string', enum: reports.FORMATS },
+    description: 'Reports to write next to the BCF: csv (issue list), json, html (self-contained, with snapshots) and sarif',
+  },
+  thresholds: {
+    type: 'object',
+    additionalProperties: { type: 'number' },
+    description: 'Highest allowed issue count per severity (Critical, High, Moderate, Medium, Low) or "total" (e.g. { "Critical": 0, "total": 50 }); the result includes a passed/failed verdict',
+  },
+};
+
+// Define all tools
+const TOOLS = [
+  {
+    name: 'solibri_list_assets',
+    description: 'List available Solibri assets (classifications, rulesets, ITOs, templates), searched recursively in all configured folders, with size, modification time and metadata read from the files (ruleset names and descriptions, takeoff names inside ITOs for itoName, template sheets)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        type: {
+          type: 'string',
+          enum: Object.keys(assets.TYPES),
+          description: 'Type of assets to list',
+        },
+        query: { type: 'string', description: 'Only assets whose folder, file name, name, description or takeoff names contain all these words (optional)' },
+        includeMetadata: { type: 'boolean', description: 'Read metadata from the files (default true)' },
+        offset: { type: 'number', description: 'Index of the first asset to return (default 0)' },
+        limit: { type: 'number', description: 'Maximum number of assets to return (default 200)' },
+      },
+      required: ['type'],
+    },
+    handler: async ({ type, query, includeMetadata = true, offset = 0, limit = 200 }) => {
+      const found = await assets.listAssets(type, { query, metadata: includeMetadata });
+      const page = found.slice(offset, offset + limit);
+      return {
+        content: [{ type: 'text', text: JSON.stringify({ type, roots: assets.roots(type), total: found.length, offset, count: page.length, assets: page }, null, 2) }],
+      };
+    },
+  },
+  {
+    name: 'solibri_check_model',
+    description: 'Queue model checking on an IFC/SMC file with specified rulesets. Returns a job id; poll solibri_job_status for the result and issue summary',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        modelPath: { type: 'string', description: 'Path to IFC or SMC file' },
+        rulesets: { type: 'array', items: { type: 'string' }, description: 'List of ruleset files to apply' },
+        classifications: { type: 'array', items: { type: 'string' }, description: 'Classification files (optional)' },
+        outputBcf: { type: 'string', description: 'Path for BCF output file (optional, defaults to the job output folder)' },
+        outputSmc: { type: 'string', description: 'Path to save SMC model (optional)' },
+        overwrite: { type: 'boolean', description: 'Replace output files that already exist (default false)' },
+        ...REPORT_PROPERTIES,
+      },
+      required: ['modelPath', 'rulesets'],
+    },
+    handler: async ({ modelPath, rulesets, classifications = [], outputBcf, outputSmc, overwrite = false, outputFormats = [], thresholds }, context) => {
+      modelPath = paths.resolveInput(modelPath, 'modelPath');
+      rulesets = resolveInputs(rulesets, 'rulesets');
+      classifications = resolveInputs(classifications, 'classifications');
+      await ifc.validateModelFile(modelPath);
+      const unknown = outputFormats.filter((f) => !reports.FORMATS.includes(f));
+      if (unknown.length > 0) throw new Error(`outputFormats: unknown format ${unknown.join(', ')} (expected ${reports.FORMATS.join(', ')})`);
+      if (thresholds) reports.checkThresholds(thresholds);
+
+      // The BCF is always written so the job result can include an issue summary
+      const jobId = uuidv4();
+      outputBcf = paths.resolveOutput(outputBcf || jobs.outputPath(jobId, 'issues.bcfzip'), { label: 'outputBcf', overwrite });
+      if (outputSmc) outputSmc = paths.resolveOutput(outputSmc, { label: 'outputSmc', overwrite });
+
+      const commands = checkCommands(modelPath, classifications, rulesets);
+      commands.push({ type: 'bcfreport', file: outputBcf, version: '2.1' });
+      if (outputSmc) commands.push({ type: 'savemodel', file: outputSmc });
+      commands.push({ type: 'exit' });
+
+      return queueJob('solibri_check_model', { modelPath, rulesets, classifications }, commands, { outputBcf, outputSmc }, {
+        jobId,
+        overwrite,
+        finalize: async () => {
+          const result = { issues: bcf.summarize(await bcf.readBcf(outputBcf)) };
+          if (outputFormats.length === 0 && !thresholds) return result;
+          // Reports go to the job output folder, whatever outputBcf is
+          const report = await reports.generate(outputBcf, { formats: outputFormats, outputDir: jobs.outputPath(jobId, ''), overwrite, thresholds, model: modelPath });
+          return { ...result, reports: report.files, verdict: report.verdict };
+        },
+        context,
+      });
+    },
+  },
+  {
+    name: 'solibri_batch_check',
+    description: 'Queue a check of several models (paths or glob patterns such as "models/*.ifc") against the same rulesets as one job. Each model is checked in its own Solibri run with its own BCF; a model that fails does not stop the others. The job result is a table of issue counts per model and rule',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        models: { type: 'array', items: { type: 'string' }, description: 'Model files or glob patterns (* and ? within a folder, ** across folders), relative to the work directory' },
+        rulesets: { type: 'array', items: { type: 'string' }, description: 'List of ruleset files to apply to every model' },
+        classifications: { type: 'array', items: { type: 'string' }, description: 'Classification files (optional)' },
+        bcfVersion: { type: 'string', enum: BCF_VERSIONS, description: 'BCF version of the per-model reports (default 2.1)' },
+      },
+      required: ['models', 'rulesets'],
+    },
+    handler: async ({ models, rulesets, classifications = [], bcfVersion = '2.1' }, context) => {
+      const files = batch.expandModels(models);
+      if (files.length === 0) throw new Error('models: at least one model is required');
+      rulesets = resolveInputs(rulesets, 'rulesets');
+      classifications = resolveInputs(classifications, 'classifications');
+      for (const file of files) await ifc.validateModelFile(file);
+
+      // Per-model BCFs go to the job output folder, named after the models
+      const jobId = uuidv4();
+      const plans = batch.plan(files, { outputDir: path.join(config.SOLIBRI.outputDir, jobId), rulesets, classifications, bcfVersion });
+
+      return startJob({
+        id: jobId,
+        tool: 'solibri_batch_check',
+        params: { models: files, rulesets, classifications },
+        outputs: { bcfFiles: plans.map((p) => p.bcf) },
+        run: batch.createRunner(plans),
+        finalize: async (execution) => batch.consolidate(execution.results),
+      }, context);
+    },
+  },
+  {
+    name: 'solibri_issue_presentation',
+    description: 'Queue a review package: open model and rulesets, check, create or update the issue presentation, optionally auto-comment with snapshots, export BCF and save the SMC. Returns a job id',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        modelPath: { type: 'string', description: 'Path to IFC or SMC file (SMC required for mode "update")' },
+        rulesets: { type: 'array', items: { type: 'string' }, description: 'List of ruleset files to apply' },
+        classifications: { type: 'array', items: { type: 'string' }, description: 'Classification files (optional)' },
+        mode: {
+          type: 'string',
+          enum: ['create', 'update'],
+          description: 'Create a new presentation, or update the one saved in the SMC (default create)',
+        },
+        autoComment: { type: 'boolean', description: 'Add automatic comments to the issues (default true)' },
+        snapshots: { type: 'boolean', description: 'Include snapshots in the automatic comments (default true)' },
+        bcfVersion: { type: 'string', enum: BCF_VERSIONS, description: 'BCF version of the export (default 2.1)' },
+        outputBcf: { type: 'string', description: 'Path for BCF output file (optional, defaults to the job output folder)' },
+        outputSmc: { type: 'string', description: 'Path to save the SMC with the presentation (optional, defaults to the job output folder)' },
+        overwrite: { type: 'boolean', description: 'Replace output files that already exist (default false)' },
+      },
+      required: ['modelPath', 'rulesets'],
+    },
+    handler: async ({
+      modelPath,
+      rulesets,
+      classifications = [],
+      mode = 'create',
+      autoComment = true,
+      snapshots = true,
+      bcfVersion = '2.1',
+      outputBcf,
+      outputSmc,
+      overwrite = false,
+    }, context) => {
+      modelPath = paths.resolveInput(modelPath, 'modelPath');
+      rulesets = resolveInputs(rulesets, 'rulesets');
+      classifications = resolveInputs(classifications, 'classifications');
+      const model = await ifc.validateModelFile(modelPath);
+      if (mode === 'update' && model.format !== 'smc') {
+        throw new Error('mode "update" requires an SMC model that already contains a presentation');
+      }
+      if (!BCF_VERSIONS.includes(bcfVersion)) throw new Error(`bcfVersion must be one of ${BCF_VERSIONS.join(', ')}`);
+
+      const jobId = uuidv4();
+      outputBcf = paths.resolveOutput(outputBcf || jobs.outputPath(jobId, 'issues.bcfzip'), { label: 'outputBcf', overwrite });
+      outputSmc = paths.resolveOutput(outputSmc || jobs.outputPath(jobId, 'presentation.smc'), { label: 'outputSmc', overwrite });
+
+      const commands = checkCommands(modelPath, classifications, rulesets);
+      commands.push({ type: mode === 'update' ? 'updatepresentation' : 'createpresentation' });
+      if (autoComment) commands.push({ type: 'autocomment', snapshots });
+      commands.push({ type: 'bcfreport', file: outputBcf, version: bcfVersion });
+      commands.push({ type: 'savemodel', file: outputSmc });
+      commands.push({ type: 'exit' });
+
+      return queueJob('solibri_issue_presentation', { modelPath, rulesets, classifications, mode }, commands, { outputBcf, outputSmc }, {
+        jobId,
+        overwrite,
+        finalize: async () => ({ issues: bcf.summarize(await bcf.readBcf(outputBcf)) }),
+        context,
+      });
+    },
+  },
+  {
+    name: 'solibri_bcf_issues',
+    description: 'Read issue details from a BCF report (by check job id or BCF path), with filtering and paging',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string', description: 'Job id of a completed solibri_check_model or solibri_issue_presentation job' },
+        bcfPath: { type: 'string', description: 'Path to a .bcfzip file (alternative to jobId)' },
+        rule: { type: 'string', description: 'Only issues of this rule (optional)' },
+        severity: { type: 'string', description: 'Only issues with this severity/priority (optional)' },
+        status: { type: 'string', description: 'Only issues with this topic status (optional)' },
+        offset: { type: 'number', description: 'Index of the first issue to return (default 0)' },
+        limit: { type: 'number', description: 'Maximum number of issues to return (default 50)' },
+      },
+    },
+    handler: async ({ jobId, bcfPath, rule, severity, status, offset = 0, limit = 50 }) => {
+      if (jobId) {
+        const job = jobs.get(jobId);
+        if (!job || !job.outputs.outputBcf) {
+          return { content: [{ type: 'text', text: `Error: No BCF output for job: ${jobId}` }], isError: true };
+        }
+        bcfPath = job.outputs.outputBcf;
+      }
+      if (!bcfPath) {
+        return { content: [{ type: 'text', text: 'Error: Either jobId or bcfPath is required' }], isError: true };
+      }
+
+      try {
+        if (!jobId) bcfPath = paths.resolveInput(bcfPath, 'bcfPath');
+        const report = await bcf.readBcf(bcfPath);
+        const page = bcf.pageTopics(report.topics, { rule, severity, status, offset, limit });
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ bcfPath, version: report.version, ...page }, null, 2) }],
+        };
+      } catch (error) {
+        return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
+      }
+    },
+  },
+  {
+    name: 'solibri_check_report',
+    description: 'Write CSV, JSON, HTML and SARIF reports of a BCF report (by check job id or BCF path) and evaluate issue-count thresholds into a passed/failed verdict',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string', description: 'Job id of a completed solibri_check_model or solibri_issue_presentation job' },
+        bcfPath: { type: 'string', description: 'Path to a .bcfzip file (alternative to jobId)' },
+        modelPath: { type: 'string', description: 'Checked model, named in the reports (optional, taken from the job)' },
+        outputDir: { type: 'string', description: 'Folder for the reports (optional, defaults to the job output folder or a new output folder)' },
+        title: { type: 'string', description: 'Report title (optional)' },
+        overwrite: { type: 'boolean', description: 'Replace reports that already exist in the output folder (default false)' },
+        ...REPORT_PROPERTIES,
+      },
+    },
+    handler: async ({ jobId, bcfPath, modelPath, outputDir, title, overwrite = false, outputFormats = [], thresholds }) => {
+      let model = modelPath ? paths.resolveInput(modelPath, 'modelPath') : undefined;
+      if (jobId) {
+        const job = jobs.get(jobId);
+        if (!job || !job.outputs.outputBcf) throw new Error(`No BCF output for job: ${jobId}`);
+        bcfPath = job.outputs.outputBcf;
+        model = model || job.params.modelPath;
+      } else if (bcfPath) {
+        bcfPath = paths.resolveInput(bcfPath, 'bcfPath');
+      } else {
+        throw new Error('Either jobId or bcfPath is required');
+      }
+      if (outputFormats.length === 0 && !thresholds) throw new Error('Pass outputFormats, thresholds or both');
+
+      // The folder may exist; the report files in it follow the overwrite rule
+      outputDir = outputDir
+        ? paths.resolveOutput(outputDir, { label: 'outputDir', overwrite: true })
+        : jobs.outputPath(jobId || uuidv4(), '');
+      const report = await reports.generate(bcfPath, { formats: outputFormats, outputDir, overwrite, thresholds, model, title });
+      return {
+        content: [{ type: 'text', text: JSON.stringify({ bcfPath, ...report }, null, 2) }],
+      };
+    },
+  },
+  {
+    name: 'solibri_issue_diff',
+    description: 'Compare two BCF reports of a model and list new, resolved and persisting issues. Reports of finished checks are recorded per model/ruleset pair; by default the latest check of the pair is compared with the one before it',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        modelPath: { type: 'string', description: 'Checked model (with rulesets, selects the report history to compare)' },
+        rulesets: { type: 'array', items: { type: 'string' }, description: 'Rulesets the model was checked with' },
+        base: { type: 'string', description: 'Earlier report: history report id, job id or BCF path (optional, defaults to the report before target)' },
+        target: { type: 'string', description: 'Later report: history report id, job id or BCF path (optional, defaults to the latest report)' },
+        threshold: { type: 'number', description: 'Share of involved components two issues of the same rule must have in common to count as the same issue (0-1, default 0.5)' },
+        limit: { type: 'number', description: 'Maximum issues listed per category (default 50)' },
+      },
+    },
+    handler: async ({ modelPath, rulesets, base, target, threshold, limit }) => {
+      const model = modelPath ? paths.resolveInput(modelPath, 'modelPath') : undefined;
+      if (rulesets) rulesets = resolveInputs(rulesets, 'rulesets');
+      const diff = await issues.compare({ model, rulesets, base, target, threshold, limit });
+      const history = model && rulesets
+        ? issues.history({ model, rulesets }).slice(0, 10).map(({ id, jobId, createdAt, topicCount }) => ({ id, jobId, createdAt, topicCount }))
+        : undefined;
+      return {
+        content: [{ type: 'text', text: JSON.stringify({ ...diff, history }, null, 2) }],
+      };
+    },
+  },
+  {
+    name: 'solibri_bcf_write',
+    description: 'Write a BCF 2.1 or 3.0 archive from topics (e.g. issues found in review) and/or merge BCF files from several checks into one, skipping topics whose GUID was already added',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        outputBcf: { type: 'string', description: 'Path of the .bcfzip to write (relative paths go to the output folder)' },
+        version: { type: 'string', enum: bcfWriter.VERSIONS, description: 'BCF version (default: the version of the first merged file, else 2.1). Merged files must have this version' },
+        merge: { type: 'array', items: { type: 'string' }, description: 'BCF files to merge, in order (e.g. reports of solibri_check_model jobs)' },
+        topics: {
+          type: 'array',
+          description: 'Topics to add after the merged ones',
+          items: {
+            type: 'object',
+            properties: {
+              guid: { type: 'string', description: 'Topic GUID, a UUID (default: new)' },
+              title: { type: 'string' },
+              description: { type: 'string' },
+              status: { type: 'string', description: 'Topic status (default Open)' },
+              type: { type: 'string', description: 'Topic type (default Issue)' },
+              priority: { type: 'string' },
+              labels: { type: 'array', items: { type: 'string' } },
+              assignedTo: { type: 'string' },
+              dueDate: { type: 'string', description: 'ISO 8601 date-time' },
+              author: { type: 'string' },
+              ifcGuids: { type: 'array', items: { type: 'string' }, description: 'IFC GUIDs of the components involved (selected in the viewpoint)' },
+              camera: {
+                type: 'object',
+                description: 'Viewpoint camera',
+                properties: {
+                  type: { type: 'string', enum: ['perspective', 'orthogonal'] },
+                  position: { type: 'array', items: { type: 'number' }, description: '[x, y, z]' },
+                  direction: { type: 'array', items: { type: 'number' }, description: '[x, y, z]' },
+                  up: { type: 'array', items: { type: 'number' }, description: '[x, y, z] (default [0, 0, 1])' },
+                  fieldOfView: { type: 'number', description: 'Perspective field of view in degrees (default 60)' },
+                  viewToWorldScale: { type: 'number', description: 'Orthogonal view scale (default 1)' },
+                },
+                required: ['position', 'direction'],
+              },
+              comments: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: { guid: { type: 'string', description: 'Comment GUID (default: new)' }, comment: { type: 'string' }, author: { type: 'string' }, date: { type: 'string' } },
+                  required: ['comment'],
+                },
+              },
+            },
+            required: ['title'],
+          },
+        },
+        projectName: { type: 'string', description: 'Project name (default: the project of the first merged file)' },
+        overwrite: { type: 'boolean', description: 'Replace the output file if it already exists (default false)' },
+      },
+      required: ['outputBcf'],
+    },
+    handler: async ({ outputBcf, version, merge = [], topics = [], projectName, overwrite = false }) => {
+      outputBcf = paths.resolveOutput(outputBcf, { label: 'outputBcf', overwrite });
+      merge = resolveInputs(merge, 'merge');
+      autorun.ensureDir(path.dirname(outputBcf));
+      const result = await bcfWriter.writeBcf(outputBcf, {
+        version,
+        merge,
+        topics,
+        project: projectName ? { name: projectName } : undefined,
+      });
+      return {
+        content: [{ type: 'text', text: JSON.stringify({ success: true, ...result }, null, 2) }],
+      };
+    },
+  },
+  {
+    name: 'solibri_quantity_takeoff',
+    description: 'Queue Information Takeoff (ITO) and export to Excel. Returns a job id; poll solibri_job_status for the result',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        modelPath: { type: 'string', description: 'Path to IFC or SMC file' },
+        itoFile: { type: 'string', description: 'Path to ITO definition file' },
+        outputExcel: { type: 'string', description: 'Path for Excel output file' },
+        templateFile: { type: 'string', description: 'Excel template file (optional)' },
+        itoName: { type: 'string', description: 'Specific ITO name to run (optional)' },
+        title: { type: 'string', description: 'Report title (optional)' },
+        parseExcel: { type: 'boolean', description: 'Read the produced Excel file and include sheet headers, row counts and totals in the job result (default false)' },
+        overwrite: { type: 'boolean', description: 'Replace the Excel file if it already exists (default false)' },
+      },
+      required: ['modelPath', 'itoFile', 'outputExcel'],
+    },
+    handler: async ({ modelPath, itoFile, outputExcel, templateFile, itoName, title, parseExcel = false, overwrite = false }, context) => {
+      modelPath = paths.resolveInput(modelPath, 'modelPath');
+      itoFile = paths.resolveInput(itoFile, 'itoFile');
+      if (templateFile) templateFile = paths.resolveInput(templateFile, 'templateFile');
+      outputExcel = paths.resolveOutput(outputExcel, { label: 'outputExcel', overwrite });
+      await ifc.validateModelFile(modelPath);
+
+      const commands = [
+        { type: 'openmodel', file: modelPath },
+        { type: 'openito', file: itoFile },
+        { type: 'takeoff', name: itoName },
+        { type: 'itoreport', file: outputExcel, templatefile: templateFile, name: itoName, title },
+        { type: 'exit' },
+      ];
+
+      const finalize = parseExcel
+        ? async () => ({ sheets: xlsx.summarize(await xlsx.readWorkbook(outputExcel)) })
+        : undefined;
+      return queueJob('solibri_quantity_takeoff', { modelPath, itoFile, itoName }, commands, { outputExcel }, { overwrite, finalize, context });
+    },
+  },
+  {
+    name: 'solibri_takeoff_rows',
+    description: 'Read quantity takeoff rows from an ITO Excel report (by takeoff job id or Excel path) as JSON, with paging',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string', description: 'Job id of a completed solibri_quantity_takeoff job' },
+        excelPath: { type: 'string', description: 'Path to an .xlsx file (alternative to jobId)' },
+        sheet: { type: 'string', description: 'Sheet name (optional, defaults to the first sheet)' },
+        offset: { type: 'number', description: 'Index of the first row to return (default 0)' },
+        limit: { type: 'number', description: 'Maximum number of rows to return (default 100)' },
+      },
+    },
+    handler: async ({ jobId, excelPath, sheet, offset = 0, limit = 100 }) => {
+      if (jobId) {
+        const job = jobs.get(jobId);
+        if (!job || !job.outputs.outputExcel) {
+          return { content: [{ type: 'text', text: `Error: No Excel output for job: ${jobId}` }], isError: true };
+        }
+        excelPath = job.outputs.outputExcel;
+      }
+      if (!excelPath) {
+        return { content: [{ type: 'text', text: 'Error: Either jobId or excelPath is required' }], isError: true };
+      }
+
+      try {
+        if (!jobId) excelPath = paths.resolveInput(excelPath, 'excelPath');
+        const sheets = await xlsx.readWorkbook(excelPath);
+        const page = xlsx.pageRows(sheets, { sheet, offset, limit });
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ excelPath, sheets: sheets.map((s) => s.name), ...page }, null, 2) }],
+        };
+      } catch (error) {
+        return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
+      }
+    },
+  },
+  {
+    name: 'solibri_create_model',
+    description: 'Queue creation of a new Solibri model from multiple IFC files. Returns a job id',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ifcFiles: { type: 'array', items: { type: 'string' }, description: 'List of IFC file paths' },
+        outputSmc: { type: 'string', description: 'Path for output SMC file' },
+        classifications: { type: 'array', items: { type: 'string' }, description: 'Classification files (optional)' },
+        overwrite: { type: 'boolean', description: 'Replace the SMC file if it already exists (default false)' },
+      },
+      required: ['ifcFiles', 'outputSmc'],
+    },
+    handler: async ({ ifcFiles, outputSmc, classifications = [], overwrite = false }, context) => {
+      ifcFiles = resolveInputs(ifcFiles, 'ifcFiles');
+      classifications = resolveInputs(classifications, 'classifications');
+      outputSmc = paths.resolveOutput(outputSmc, { label: 'outputSmc', overwrite });
+      for (const ifcFile of ifcFiles) await ifc.validateModelFile(ifcFile);
+
+      const commands = [];
+      for (const ifcFile of ifcFiles) commands.push({ type: 'openmodel', file: ifcFile });
+      for (const cls of classifications) commands.push({ type: 'openclassification', file: cls });
+      commands.push({ type: 'savemodel', file: outputSmc });
+      commands.push({ type: 'exit' });
+
+      return queueJob('solibri_create_model', { ifcFiles, classifications }, commands, { outputSmc }, { overwrite, context });
+    },
+  },
+  {
+    name: 'solibri_update_model',
+    description: 'Queue an update of an existing SMC model with new/updated IFC files. Returns a job id',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        smcPath: { type: 'string', description: 'Path to existing SMC file' },
+        ifcFiles: { type: 'array', items: { type: 'string' }, description: 'IFC files to update/add' },
+        outputSmc: { type: 'string', description: 'Path for output SMC file (optional, defaults to input, which requires overwrite)' },
+        overwrite: { type: 'boolean', description: 'Replace the output SMC if it already exists (default false)' },
+      },
+      required: ['smcPath', 'ifcFiles'],
+    },
+    handler: async ({ smcPath, ifcFiles, outputSmc, overwrite = false }, context) => {
+      smcPath = paths.resolveInput(smcPath, 'smcPath');
+      ifcFiles = resolveInputs(ifcFiles, 'ifcFiles');
+      outputSmc = paths.resolveOutput(outputSmc || smcPath, { label: 'outputSmc', overwrite });
+      await ifc.validateModelFile(smcPath);
+      for (const ifcFile of ifcFiles) await ifc.validateModelFile(ifcFile);
+
+      const commands = [{ type: 'openmodel', file: smcPath }];
+      for (const ifcFile of ifcFiles) commands.push({ type: 'updatemodel', file: ifcFile });
+      commands.push({ type: 'savemodel', file: outputSmc });
+      commands.push({ type: 'exit' });
+
+      return queueJob('solibri_update_model', { smcPath, ifcFiles }, commands, { outputSmc }, { overwrite, context });
+    },
+  },
+  {
+    name: 'solibri_run_autorun',
+    description: `Queue an arbitrary autorun script. Commands are validated (required attributes, ordering) before queueing; exit is appended if missing. Supported commands: ${Object.entries(COMMANDS).map(([type, def]) => `${type} (${def.description})`).join('; ')}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        commands: {
+          type: 'array',
+          description: 'Autorun commands in execution order',
+          items: {
+            type: 'object',
+            properties: {
+              type: { type: 'string', enum: Object.keys(COMMANDS), description: 'Command type' },
+              file: { type: 'string', description: 'File to open or write' },
+              version: { type: 'string', description: 'BCF version (bcfreport)' },
+              name: { type: 'string', description: 'ITO name (takeoff, itoreport)' },
+              title: { type: 'string', description: 'Report title (itoreport)' },
+              templatefile: { type: 'string', description: 'Excel template (itoreport)' },
+              snapshots: { type: 'boolean', description: 'Include snapshots (autocomment)' },
+            },
+            required: ['type'],
+          },
+        },
+        overwrite: { type: 'boolean', description: 'Allow commands to replace output files that already exist (default false)' },
+      },
+      required: ['commands'],
+    },
+    handler: async ({ commands, overwrite = false }, context) => {
+      if (Array.isArray(commands) && commands.length > 0 && commands[commands.length - 1].type !== 'exit') {
+        commands = [...commands, { type: 'exit' }];
+      }
+      validateCommands(commands);
+      commands = paths.resolveCommands(commands, { overwrite });
+
+      // Summarize every BCF the script writes
+      const bcfFiles = commands.filter((c) => c.type === 'bcfreport').map((c) => c.file);
+      const finalize = bcfFiles.length > 0
+        ? async () => {
+          const issues = {};
+          for (const file of bcfFiles) issues[file] = bcf.summarize(await bcf.readBcf(file));
+          return { issues };
+        }
+        : undefined;
+
+      return queueJob('solibri_run_autorun', {}, commands, { outputFiles: commandFiles(commands).outputs }, { overwrite, finalize, context });
+    },
+  },
+  {
+    name: 'solibri_inspect_ifc',
+    description: 'Inspect an IFC file without Solibri: schema version, header (authoring application, timestamp), storey hierarchy, entity counts by type and property set names',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        modelPath: { type: 'string', description: 'Path to the IFC file' },
+        includeGeometry: { type: 'boolean', description: 'Also count geometry and other non-rooted entity types (default false)' },
+      },
+      required: ['modelPath'],
+    },
+    handler: async ({ modelPath, includeGeometry = false }) => {
+      try {
+        const result = await ifc.inspect(paths.resolveInput(modelPath, 'modelPath'), { includeGeometry });
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        };
+      } catch (error) {
+        return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
+      }
+    },
+  },
+  {
+    name: 'solibri_compare_models',
+    description: 'Compare two IFC revisions by GlobalId and report added, removed and modified elements with changed attributes and property sets. Runs on the server without Solibri. Both models must be IFC files: SMC models cannot be read outside Solibri, so compare the IFC an SMC was built from with the updated IFC',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        oldModel: { type: 'string', description: 'Path to the previous IFC file (not SMC)' },
+        newModel: { type: 'string', description: 'Path to the updated IFC file (not SMC)' },
+        entityTypes: { type: 'array', items: { type: 'string' }, description: 'Only compare these IFC entity types, e.g. IFCWALL (optional)' },
+        offset: { type: 'number', description: 'Index of the first element returned in each list (default 0)' },
+        limit: { type: 'number', description: 'Maximum number of elements returned in each list (default 100)' },
+      },
+      required: ['oldModel', 'newModel'],
+    },
+    handler: async ({ oldModel, newModel, entityTypes, offset = 0, limit = 100 }) => {
+      try {
+        const result = await compare.compareFiles(
+          paths.resolveInput(oldModel, 'oldModel'),
+          paths.resolveInput(newModel, 'newModel'),
+          { entityTypes }
+        );
+        const page = (list) => list.slice(offset, offset + limit);
+        const response = {
+          ...result,
+          offset,
+          limit,
+          added: page(result.added),
+          removed: page(result.removed),
+          modified: page(result.modified),
+        };
+        return {
+          content: [{ type: 'text', text: JSON.stringify(response, null, 2) }],
+        };
+      } catch (error) {
+        return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
+      }
+    },
+  },
+  {
+    name: 'solibri_job_status',
+    description: 'Get status and result of a queued autorun job',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string', description: 'Job id returned when the job was queued' },
+      },
+      required: ['jobId'],
+    },
+    handler: async ({ jobId }) => {
+      const job = jobs.get(jobId);
+      if (!job) {
+        return { content: [{ type: 'text', text: `Error: Job not found: ${jobId}` }], isError: true };
+      }
+      const status = { ...job, queuePosition: jobs.queuePosition(jobId) };
+      return {
+        content: [{ type: 'text', text: JSON.stringify(status, null, 2) }],
+      };
+    },
+  },
+  {
+    name: 'solibri_job_log',
+    description: 'Tail the log of a job: autorun commands, progress steps and Solibri output (also while it runs)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string', description: 'Job id' },
+        lines: { type: 'number', description: 'Number of lines from the end of the log (default 100)' },
+      },
+      required: ['jobId'],
+    },
+    handler: async ({ jobId, lines = 100 }) => {
+      const job = jobs.get(jobId);
+      const log = jobs.readLog(jobId, { tail: lines });
+      return {
+        content: [{ type: 'text', text: JSON.stringify({ jobId, status: job.status, progress: job.progress, ...log }, null, 2) }],
+      };
+    },
+  },
+  {
+    name: 'solibri_job_cancel',
+    description: 'Cancel a queued job, or kill the Solibri process of a running job',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string', description: 'Job id to cancel' },
+      },
+      required: ['jobId'],
+    },
+    handler: async ({ jobId }) => {
+      try {
+        const job = jobs.cancel(jobId);
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ success: true, jobId, status: job.status }, null, 2) }],
+        };
+      } catch (error) {
+        return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
+      }
+    },
+  },
+  {
+    name: 'solibri_job_list',
+    description: 'List queued, running and past jobs (newest first)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        status: {
+          type: 'string',
+          enum: ['queued', 'running', 'completed', 'failed', 'cancelled', 'interrupted'],
+          description: 'Only list jobs with this status (optional)',
+        },
+        tool: { type: 'string', description: 'Only list jobs created by this tool (optional)' },
+        limit: { type: 'number', description: 'Maximum number of jobs to return (default 20)' },
+      },
+    },
+    handler: async ({ status, tool, limit = 20 }) => {
+      const list = jobs.list({ status, tool, limit }).map((j) => ({
+        jobId: j.id,
+        tool: j.tool,
+        status: j.status,
+        createdAt: j.createdAt,
+        finishedAt: j.finishedAt,
+        outputs: j.outputs,
+        error: j.error,
+      }));
+      return {
+        content: [{ type: 'text', text: JSON.stringify({ jobs: list, count: list.length }, null, 2) }],
+      };
+    },
+  },
+  {
+    name: 'solibri_audit_query',
+    description: 'Search the audit log of tool calls (caller, arguments), Solibri autorun executions (generated XML, exit code) and finished jobs (duration, output files with SHA-256), newest first. Filter by model, user, tool, job or date range, e.g. to document which checks were run on a model',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        model: { type: 'string', description: 'Text contained in the model path, e.g. a file name (optional)' },
+        user: { type: 'string', description: 'Token name that made the call, "scheduler" or "local" for stdio (optional)' },
+        tool: { type: 'string', description: 'Tool name (optional)' },
+        jobId: { type: 'string', description: 'Job id (optional)' },
+        type: { type: 'string', enum: ['tool', 'autorun', 'job'], description: 'Entry type (optional)' },
+        from: { type: 'string', description: 'Earliest time, ISO date or date-time (optional)' },
+        to: { type: 'string', description: 'Latest time; a date includes the whole day (optional)' },
+        offset: { type: 'number', description: 'Entries to skip (default 0)' },
+        limit: { type: 'number', description: 'Maximum entries to return (default 50)' },
+      },
+    },
+    handler: async (filters) => {
+      const result = await audit.query(filters);
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+      };
+    },
+  },
+  {
+    name: 'solibri_schedule_create',
+    description: 'Create a recurring check: a cron expression (server local time, e.g. "0 6 * * 1" for Mondays 06:00) and the models, rulesets and optional ITOs to run. Each run checks every model like solibri_batch_check and its issue counts are kept for solibri_schedule_history',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Unique schedule name' },
+        cron: { type: 'string', description: 'Cron expression: minute hour day-of-month month day-of-week, or @daily, @weekly, ...' },
+        models: { type: 'array', items: { type: 'string' }, description: 'Model files or glob patterns, expanded again on every run' },
+        rulesets: { type: 'array', items: { type: 'string' }, description: 'Ruleset files' },
+        classifications: { type: 'array', items: { type: 'string' }, description: 'Classification files (optional)' },
+        itos: { type: 'array', items: { type: 'string' }, description: 'ITO files; each writes a takeoff Excel per model (optional)' },
+        outputDir: { type: 'string', description: 'Folder for the reports, each run in a timestamped subfolder (optional, defaults to the job output folder)' },
+        bcfVersion: { type: 'string', enum: BCF_VERSIONS, description: 'BCF version of the reports (default 2.1)' },
+        enabled: { type: 'boolean', description: 'Whether the schedule runs (default true)' },
+      },
+      required: ['name', 'cron', 'models', 'rulesets'],
+    },
+    handler: async (args) => {
+      const schedule = await scheduler.create(args);
+      return {
+        content: [{ type: 'text', text: JSON.stringify({ success: true, schedule }, null, 2) }],
+      };
+    },
+  },
+  {
+    name: 'solibri_schedule_list',
+    description: 'List scheduled checks with their next run time, last run outcome and running job',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+    handler: async () => {
+      const schedules = scheduler.list();
+      return {
+        content: [{ type: 'text', text: JSON.stringify({ count: schedules.length, schedules }, null, 2) }],
+      };
+    },
+  },
+  {
+    name: 'solibri_schedule_delete',
+    description: 'Delete a scheduled check (its run history is kept)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        schedule: { type: 'string', description: 'Schedule id or name' },
+      },
+      required: ['schedule'],
+    },
+    handler: async ({ schedule }) => {
+      const deleted = scheduler.remove(schedule);
+      return {
+        content: [{ type: 'text', text: JSON.stringify({ success: true, id: deleted.id, name: deleted.name }, null, 2) }],
+      };
+    },
+  },
+  {
+    name: 'solibri_schedule_history',
+    description: 'Outcome and issue counts of the recent runs of a schedule, oldest first, with the change over them (e.g. how the clash count trended over the last ten runs)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        schedule: { type: 'string', description: 'Schedule id or name' },
+        limit: { type: 'number', description: 'Number of most recent runs (default 10)' },
+        rule: { type: 'string', description: 'Only count issues of rules whose name contains this text, e.g. "clash" (optional)' },
+      },
+      required: ['schedule'],
+    },
+    handler: async ({ schedule, limit = 10, rule }) => {
+      const trend = scheduler.trend(schedule, { limit, rule });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(trend, null, 2) }],
+      };
+    },
+  },
+  {
+    name: 'solibri_upload_file',
+    description: 'Upload a model, ruleset, classification, ITO or template into the work folder (base64 content). Returns the stored path for use in other tools. Large files: use PUT /files/uploads/<name> instead.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        filename: { type: 'string', description: `File name (${files.UPLOAD_EXTENSIONS.join(', ')})` },
+        contentBase64: { type: 'string', description: 'File content, base64 encoded' },
+        sha256: { type: 'string', description: 'Expected SHA-256 of the content (hex, optional); uploads with a different checksum are rejected' },
+        folder: { type: 'string', description: 'Subfolder below the upload folder (optional)' },
+        overwrite: { type: 'boolean', description: 'Replace an existing file with the same name (default false)' },
+      },
+      required: ['filename', 'contentBase64'],
+    },
+    handler: async ({ filename, contentBase64, sha256, folder, overwrite = false }) => {
+      const buffer = Buffer.from(contentBase64, 'base64');
+      const upload = await files.saveUpload(filename, Readable.from([buffer]), {
+        folder,
+        sha256,
+        overwrite,
+        maxBytes: config.FILES.maxInlineBytes,
+      });
+      return {
+        content: [{ type: 'text', text: JSON.stringify({ success: true, ...upload }, null, 2) }],
+      };
+    },
+  },
+  {
+    name: 'solibri_list_artifacts',
+    description: 'List the files produced by a job (BCF, Excel, SMC, ...) with size and SHA-256',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string', description: 'Job ID' },
+      },
+      required: ['jobId'],
+    },
+    handler: async ({ jobId }) => {
+      const artifacts = await files.listArtifacts(jobId);
+      return {
+        content: [{ type: 'text', text: JSON.stringify({ jobId, artifacts, count: artifacts.length }, null, 2) }],
+      };
+    },
+  },
+  {
+    name: 'solibri_download_artifact',
+    description: 'Download one file produced by a job as an embedded resource. Large files: use GET /files/jobs/<jobId>/<name> instead.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string', description: 'Job ID' },
+        name: { type: 'string', description: 'Artifact file name (from solibri_list_artifacts)' },
+      },
+      required: ['jobId', 'name'],
+    },
+    handler: async ({ jobId, name }) => {
+      const file = files.artifactPath(jobId, name);
+      const size = fs.statSync(file).size;
+      if (size > config.FILES.maxInlineBytes) {
+        throw new Error(`${name} is ${size} bytes, above the ${config.FILES.maxInlineBytes} byte inline limit. Download it from GET /files/jobs/${jobId}/${encodeURIComponent(name)}`);
+      }
+      const buffer = fs.readFileSync(file);
+      return {
+        content: [
+          {
+            type: 'resource',
+            resource: { uri: `solibri://jobs/${jobId}/${encodeURIComponent(name)}`, mimeType: files.mimeType(file), blob: buffer.toString('base64') },
+          },
+          { type: 'text', text: JSON.stringify({ jobId, name, size, sha256: await files.sha256File(file) }, null, 2) },
+        ],
+      };
+    },
+  },
+  {
+    name: 'solibri_status',
+    description: 'Get status of running Solibri instance (requires REST API enabled)',
+    inputSchema: { type: 'object', properties: {} },
+    handler: async () => {
+      try {
+        const [ping, about, status] = await Promise.all([
+          restClient.ping().catch(() => null),
+          restClient.about().catch(() => null),
+          restClient.status().catch(() => null),
+        ]);
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ running: !!ping, about, status, instance: instance.status() }, null, 2) }],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ running: false, error: error.message, instance: instance.status() }, null, 2) }],
+        };
+      }
+    },
+  },
+  {
+    name: 'solibri_launch',
+    description: 'Start a long-lived interactive Solibri with the REST API enabled, for the solibri_live_* tools. The instance is health-checked and restarted if it crashes',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        waitForReady: { type: 'boolean', description: 'Wait until the REST API responds (default true)' },
+      },
+    },
+    handler: async ({ waitForReady = true }) => {
+      const status = await instance.launch({ waitForReady });
+      return {
+        content: [{ type: 'text', text: JSON.stringify({ success: true, instance: status }, null, 2) }],
+      };
+    },
+  },
+  {
+    name: 'solibri_shutdown',
+    description: 'Close the Solibri instance started with solibri_launch (asks it to close, then kills it after a timeout). Unsaved changes in Solibri are lost',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        force: { type: 'boolean', description: 'Kill the process immediately (default false)' },
+      },
+    },
+    handler: async ({ force = false }) => {
+      const status = await instance.shutdown({ force });
+      return {
+        content: [{ type: 'text', text: JSON.stringify({ success: true, instance: status }, null, 2) }],
+      };
+    },
+  },
+  {
+    name: 'solibri_live_submit_model',
+    description: 'Open an IFC file in the running Solibri session (REST API) and wait until Solibri has loaded it. Returns the model info including its UUID',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ifcPath: { type: 'string', description: 'Path to the IFC file' },
+        name: { type: 'string', description: 'File name shown in Solibri (optional, defaults to the file name)' },
+      },
+      required: ['ifcPath'],
+    },
+    handler: async ({ ifcPath, name }) => {
+      ifcPath = paths.resolveInput(ifcPath, 'ifcPath');
+      await ifc.validateModelFile(ifcPath);
+      const content = fs.readFileSync(ifcPath);
+      return liveCall(() => restClient.submitModel(content, name || path.basename(ifcPath)));
+    },
+  },
+  {
+    name: 'solibri_live_partial_update',
+    description: 'Apply a partial IFC update (changed/added components) to a model in the running Solibri session and wait until it is processed',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        modelUUID: { type: 'string', description: 'UUID of the model in Solibri (from solibri_live_submit_model)' },
+        ifcPath: { type: 'string', description: 'Path to the IFC file with the updated components' },
+      },
+      required: ['modelUUID', 'ifcPath'],
+    },
+    handler: async ({ modelUUID, ifcPath }) => {
+      ifcPath = paths.resolveInput(ifcPath, 'ifcPath');
+      await ifc.validateModelFile(ifcPath);
+      const content = fs.readFileSync(ifcPath);
+      return liveCall(() => restClient.partialUpdate(modelUUID, content));
+    },
+  },
+  {
+    name: 'solibri_live_delete_components',
+    description: 'Delete components by IFC GUID from a model in the running Solibri session and wait until it is processed',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        modelUUID: { type: 'string', description: 'UUID of the model in Solibri' },
+        guids: { type: 'array', items: { type: 'string' }, description: 'IFC GUIDs of the components to delete' },
+      },
+      required: ['modelUUID', 'guids'],
+    },
+    handler: async ({ modelUUID, guids }) => {
+      guids = checkGuids(guids);
+      return liveCall(() => restClient.deleteComponents(modelUUID, guids));
+    },
+  },
+  {
+    name: 'solibri_live_get_selection',
+    description: 'Read the selection basket of the running Solibri session (GUIDs of the selected components)',
+    inputSchema: { type: 'object', properties: {} },
+    handler: async () => liveCall(() => restClient.getSelectionBasket()),
+  },
+  {
+    name: 'solibri_live_set_selection',
+    description: 'Replace the selection basket of the running Solibri session with the given components (an empty list clears it)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        guids: { type: 'array', items: { type: 'string' }, description: 'IFC GUIDs of the components to select' },
+      },
+      required: ['guids'],
+    },
+    handler: async ({ guids }) => {
+      guids = checkGuids(guids, { allowEmpty: true });
+      return liveCall(() => restClient.setSelectionBasket(guids));
+    },
+  },
+  {
+    name: 'solibri_live_component_info',
+    description: 'Highlight a component in the running Solibri session and return its information (type, properties, model)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        guid: { type: 'string', description: 'IFC GUID of the component' },
+      },
+      required: ['guid'],
+    },
+    handler: async ({ guid }) => {
+      [guid] = checkGuids([guid]);
+      return liveCall(() => restClient.getComponentInfo(guid));
+    },
+  },
+  {
+    name: 'solibri_live_export_bcf',
+    description: 'Export the current issues of the running Solibri session as BCF, save the archive and return an issue summary (details via solibri_bcf_issues with bcfPath)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        version: { type: 'string', enum: BCF_VERSIONS, description: 'BCF version (default 2.1)' },
+        outputBcf: { type: 'string', description: 'Path for the BCF file (optional, defaults to a timestamped file in the output folder)' },
+        overwrite: { type: 'boolean', description: 'Replace the BCF file if it already exists (default false)' },
+      },
+    },
+    handler: async ({ version = '2.1', outputBcf, overwrite = false }) => {
+      if (!BCF_VERSIONS.includes(version)) throw new Error(`version must be one of ${BCF_VERSIONS.join(', ')}`);
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      outputBcf = paths.resolveOutput(outputBcf || `live-${timestamp}.bcfzip`, { label: 'outputBcf', overwrite });
+
+      await restClient.waitUntilIdle(config.SOLIBRI.restIdleTimeout);
+      const archive = await restClient.getBcf(version);
+      autorun.ensureDir(path.dirname(outputBcf));
+      fs.writeFileSync(outputBcf, archive);
+
+      const issues = bcf.summarize(await bcf.readBcf(outputBcf));
+      return {
+        content: [{ type: 'text', text: JSON.stringify({ success: true, outputBcf, version, issues }, null, 2) }],
+      };
+    },
+  },
+];
+
+module.exports = {
+  TOOLS,
+};
@@ -0,0 +1,52 @@
+/**
+ * In-memory event store for resumable Streamable HTTP sessions
+ *
+ * Keeps the last `maxEvents` messages sent on a session so a client that
+ * reconnects with `Last-Event-ID` gets the messages it missed.
+ */
+
+/**
+ * Create an event store implementing the SDK EventStore interface
+ */
+function createEventStore(maxEvents) {
+  // eventId -> { streamId, message }, in insertion order
+  const events = new Map();
+  let counter = 0;
+
+  return {
+    async storeEvent(streamId, message) {
+      const eventId = `${streamId}_${++counter}`;
+      events.set(eventId, { streamId, message });
+      while (events.size > maxEvents) {
+        events.delete(events.keys().next().value);
+      }
+      return eventId;
+    },
+
+    async getStreamIdForEventId(eventId) {
+      const event = events.get(eventId);
+      return event ? event.streamId : undefined;
+    },
+
+    async replayEventsAfter(lastEventId, { send }) {
+      const last = events.get(lastEventId);
+      if (!last) return '';
+
+      let found = false;
+      for (const [eventId, { streamId, message }] of events) {
+        if (eventId === lastEventId) {
+          found = true;
+          continue;
+        }
+        if (found && streamId === last.streamId) {
+          await send(eventId, message);
+        }
+      }
+      return last.streamId;
+    },
+  };
+}
+
+module.exports = {
+  createEventStore,
+};
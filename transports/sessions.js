@@ -0,0 +1,118 @@
+/**
+ * Session registry shared by the HTTP transports
+ *
+ * Tracks every connected client (Streamable HTTP and SSE), enforces the
+ * concurrent session cap and closes sessions that have gone idle. A session
+ * belongs to the token that opened it, and a session with an open stream
+ * (e.g. a client waiting for a long job) is never idle.
+ */
+
+const config = require('../config');
+const logger = require('../logger');
+
+const log = logger.create('Sessions');
+
+// sessionId -> { id, type, handle, clientId, remoteAddress, connectedAt, lastActivity, requests, openStreams }
+const sessions = new Map();
+
+let sweeper = null;
+
+/**
+ * Whether another session may be opened
+ */
+function hasCapacity() {
+  return sessions.size < config.SSE.maxSessions;
+}
+
+/**
+ * Register a session. `handle` is the transport object, closed on eviction;
+ * `clientId` is the name of the token that opened it (req.auth.clientId).
+ * Returns the session record.
+ */
+function add(id, type, handle, clientId, remoteAddress) {
+  const now = new Date().toISOString();
+  const session = { id, type, handle, clientId, remoteAddress, connectedAt: now, lastActivity: now, requests: 0, openStreams: 0 };
+  sessions.set(id, session);
+
+  if (!sweeper && config.SSE.sessionIdleTimeout > 0) {
+    sweeper = setInterval(sweep, Math.min(config.SSE.sessionIdleTimeout, 60000));
+    sweeper.unref();
+  }
+  return session;
+}
+
+/**
+ * Look up a session and record activity on it. A session opened with another
+ * token is treated as unknown.
+ */
+function touch(id, clientId) {
+  const session = sessions.get(id);
+  if (!session) return null;
+  if (session.clientId !== clientId) {
+    log.warning(`Token "${clientId}" used a session of token "${session.clientId}"`, { sessionId: id });
+    return null;
+  }
+  session.lastActivity = new Date().toISOString();
+  session.requests++;
+  return session;
+}
+
+/**
+ * Count a response as an open stream of the session until it closes
+ */
+function track(session, res) {
+  session.openStreams++;
+  res.on('close', () => {
+    session.openStreams--;
+    session.lastActivity = new Date().toISOString();
+  });
+}
+
+function remove(id) {
+  sessions.delete(id);
+}
+
+/**
+ * Close and forget a session
+ */
+async function close(id) {
+  const session = sessions.get(id);
+  if (!session) return false;
+  sessions.delete(id);
+  try {
+    await session.handle.close();
+  } catch (error) {
+    log.warning(`Failed to close ${id}: ${error.message}`, { sessionId: id });
+  }
+  return true;
+}
+
+/**
+ * Close sessions without open streams or activity for longer than the idle timeout
+ */
+async function sweep() {
+  const cutoff = Date.now() - config.SSE.sessionIdleTimeout;
+  for (const session of [...sessions.values()]) {
+    if (session.openStreams === 0 && Date.parse(session.lastActivity) < cutoff) {
+      log.info(`Closing idle ${session.type} session`, { sessionId: session.id });
+      await close(session.id);
+    }
+  }
+}
+
+/**
+ * Session info for the admin view (without transport handles)
+ */
+function list() {
+  return [...sessions.values()].map(({ handle, ...session }) => session);
+}
+
+module.exports = {
+  hasCapacity,
+  add,
+  touch,
+  track,
+  remove,
+  close,
+  list,
+};
@@ -0,0 +1,60 @@
+/**
+ * SSE transport (deprecated by MCP, kept for backward compatibility)
+ */
+
+const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
+const { createServer } = require('../server');
+const sessions = require('./sessions');
+const logger = require('../logger');
+
+const log = logger.create('SSE');
+
+/**
+ * Mount the /sse and /messages endpoints on an Express app
+ */
+function mount(app, authenticate) {
+  // SSE endpoint
+  app.get('/sse', authenticate, async (req, res) => {
+    if (!sessions.hasCapacity()) {
+      return res.status(503).json({ error: 'Too many active sessions' });
+    }
+
+    // The client is told to POST to /messages?sessionId=<id>
+    const transport = new SSEServerTransport('/messages', res);
+    const sessionId = transport.sessionId;
+    log.info('New client connection', { sessionId });
+
+    // Create server instance for this connection
+    const server = createServer();
+
+    // The event stream is this response, open until the client disconnects
+    sessions.track(sessions.add(sessionId, 'sse', transport, req.auth.clientId, req.ip), res);
+
+    req.on('close', () => {
+      log.info('Client disconnected', { sessionId });
+      sessions.remove(sessionId);
+    });
+
+    await server.connect(transport);
+  });
+
+  // Messages endpoint for SSE, routed by the session id issued on /sse
+  app.post('/messages', authenticate, async (req, res) => {
+    const sessionId = req.query.sessionId;
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Missing sessionId query parameter' });
+    }
+
+    const session = sessions.touch(sessionId, req.auth.clientId);
+    if (!session || session.type !== 'sse') {
+      return res.status(404).json({ error: `Unknown session: ${sessionId}` });
+    }
+    sessions.track(session, res);
+
+    await session.handle.handlePostMessage(req, res, req.body);
+  });
+}
+
+module.exports = {
+  mount,
+};
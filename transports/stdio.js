@@ -0,0 +1,22 @@
+/**
+ * stdio transport for local clients launching the server as a subprocess
+ */
+
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { createServer } = require('../server');
+const logger = require('../logger');
+
+const log = logger.create('stdio');
+
+/**
+ * Serve MCP over stdin/stdout
+ */
+async function start() {
+  const transport = new StdioServerTransport();
+  await createServer().connect(transport);
+  log.info('MCP server ready');
+}
+
+module.exports = {
+  start,
+};
@@ -0,0 +1,79 @@
+/**
+ * Streamable HTTP transport (single /mcp endpoint, resumable sessions)
+ */
+
+const { randomUUID } = require('crypto');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+const config = require('../config');
+const logger = require('../logger');
+const { createServer } = require('../server');
+const { createEventStore } = require('./event-store');
+const sessions = require('./sessions');
+
+const log = logger.create('HTTP');
+
+function badRequest(res, message) {
+  res.status(400).json({ jsonrpc: '2.0', error: { code: -32000, message }, id: null });
+}
+
+/**
+ * Mount the /mcp endpoint on an Express app
+ */
+function mount(app, authenticate) {
+  // Client -> server messages; an initialize request without session id opens a new session
+  app.post('/mcp', authenticate, async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    const session = sessionId && sessions.touch(sessionId, req.auth.clientId);
+    let transport = session && session.type === 'streamable-http' ? session.handle : null;
+
+    if (!transport) {
+      if (sessionId) return res.status(404).json({ jsonrpc: '2.0', error: { code: -32001, message: `Unknown session: ${sessionId}` }, id: null });
+      if (!isInitializeRequest(req.body)) return badRequest(res, 'No session id provided');
+      if (!sessions.hasCapacity()) {
+        return res.status(503).json({ jsonrpc: '2.0', error: { code: -32000, message: 'Too many active sessions' }, id: null });
+      }
+
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        eventStore: createEventStore(config.SSE.eventHistory),
+        onsessioninitialized: (id) => {
+          log.info('New session', { sessionId: id });
+          sessions.add(id, 'streamable-http', transport, req.auth.clientId, req.ip);
+        },
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) {
+          log.info('Session closed', { sessionId: transport.sessionId });
+          sessions.remove(transport.sessionId);
+        }
+      };
+
+      await createServer().connect(transport);
+    } else {
+      // A response can stay open as a stream until a long tool call finishes
+      sessions.track(session, res);
+    }
+
+    await transport.handleRequest(req, res, req.body);
+  });
+
+  // GET opens (or resumes, with Last-Event-ID) the server -> client stream, DELETE ends the session
+  const handleSessionRequest = async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    if (!sessionId) return badRequest(res, 'No session id provided');
+
+    const session = sessions.touch(sessionId, req.auth.clientId);
+    if (!session || session.type !== 'streamable-http') {
+      return res.status(404).json({ jsonrpc: '2.0', error: { code: -32001, message: `Unknown session: ${sessionId}` }, id: null });
+    }
+    sessions.track(session, res);
+    await session.handle.handleRequest(req, res);
+  };
+  app.get('/mcp', authenticate, handleSessionRequest);
+  app.delete('/mcp', authenticate, handleSessionRequest);
+}
+
+module.exports = {
+  mount,
+};